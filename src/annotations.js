@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { StringLinter } = require('./string-linter');
+const { PlaceholderChecker } = require('./placeholder-checker');
+
+/**
+ * Turns the comparison results into annotations on the referenced source lines,
+ * published as a GitHub check run and/or a SARIF file
+ */
+class Annotations {
+  /**
+   * GitHub accepts at most 50 annotations per check run request
+   */
+  static CHECK_RUN_BATCH_SIZE = 50;
+
+  static CHECK_RUN_NAME = 'i18n String Review';
+
+  /**
+   * Rules behind the annotations, also listed in the SARIF output
+   */
+  static RULES = {
+    'added-string': {
+      name: 'AddedString',
+      description: 'A new translatable string was added and needs translating'
+    },
+    'reuse-candidate': {
+      name: 'ReuseCandidate',
+      description: 'A new string is similar to an existing, already translated string'
+    }
+  };
+
+  /**
+   * Lint severity => annotation level
+   */
+  static LINT_LEVELS = { error: 'failure', warning: 'warning', notice: 'notice' };
+
+  /**
+   * Build one annotation per referenced source line of the added strings, placeholder issues and lint findings
+   * Strings with a suggested match get a warning, so the reuse candidate stands out
+   * @param {Object} results - Results from POTComparator
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   * @param {Object} options - { sourceRoot } - directory the POT references are relative to
+   * @returns {Array<Object>} - [{ path, line, level, ruleId, title, message }]
+   */
+  static collect(results, suggestions = new Map(), { sourceRoot = '' } = {}) {
+    const annotations = [];
+
+    for (const entry of results.added) {
+      const suggestion = suggestions.get(entry.msgid);
+      const ruleId = suggestion?.match ? 'reuse-candidate' : 'added-string';
+      const context = entry.msgctxt ? ` (context: ${entry.msgctxt})` : '';
+
+      let message = `New translatable string: "${entry.msgid}"${context}`;
+      if (suggestion?.match) {
+        const confidence = suggestion.confidence ? ` (${Math.round(suggestion.confidence * 100)}% similar)` : '';
+        message += `\nConsider reusing the existing string "${suggestion.match}"${confidence}, which is already translated.`;
+      }
+
+      for (const reference of this.parseReferences(entry.comments.reference, sourceRoot)) {
+        annotations.push({
+          ...reference,
+          level: suggestion?.match ? 'warning' : 'notice',
+          ruleId,
+          title: suggestion?.match ? 'Reuse an existing string?' : 'New translatable string',
+          message
+        });
+      }
+    }
+
+    for (const issue of results.placeholderIssues || []) {
+      for (const reference of this.parseReferences(issue.entry.comments.reference, sourceRoot)) {
+        annotations.push({
+          ...reference,
+          level: 'warning',
+          ruleId: `placeholder/${issue.type}`,
+          title: 'Placeholder issue',
+          message: `${issue.message}: "${issue.entry.msgid}"\n${PlaceholderChecker.TYPES[issue.type]}`
+        });
+      }
+    }
+
+    for (const finding of results.lintFindings || []) {
+      for (const reference of this.parseReferences(finding.entry.comments.reference, sourceRoot)) {
+        annotations.push({
+          ...reference,
+          level: this.LINT_LEVELS[finding.severity],
+          ruleId: `lint/${finding.rule}`,
+          title: `String lint: ${finding.rule}`,
+          message: `${finding.message}: "${finding.entry.msgid}"\n${StringLinter.RULES[finding.rule].description}`
+        });
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Split a POT reference comment into file paths and line numbers
+   * References without a line number point to line 1
+   * @param {string} referenceString - e.g. "src/file.php:23 src/other.php:45"
+   * @param {string} sourceRoot - Prefix for the paths, relative to the repository root
+   * @returns {Array<Object>} - [{ path, line }]
+   */
+  static parseReferences(referenceString, sourceRoot = '') {
+    if (!referenceString) return [];
+
+    return referenceString.split(/\s+/).filter(Boolean).map(reference => {
+      const match = /^(.*?)(?::(\d+))?$/.exec(reference);
+      const filePath = path.posix.normalize(path.posix.join(sourceRoot || '.', match[1]));
+      return { path: filePath, line: match[2] ? parseInt(match[2], 10) : 1 };
+    });
+  }
+
+  /**
+   * Convert annotations to a SARIF 2.1.0 log, e.g. for github/codeql-action/upload-sarif
+   * @param {Array<Object>} annotations - From collect()
+   * @returns {Object} - SARIF log
+   */
+  static toSARIF(annotations) {
+    const levels = { notice: 'note', warning: 'warning', failure: 'error' };
+    const rules = [
+      ...Object.entries(this.RULES).map(([id, rule]) => ({
+        id,
+        name: rule.name,
+        shortDescription: { text: rule.description }
+      })),
+      ...Object.entries(PlaceholderChecker.TYPES).map(([type, description]) => ({
+        id: `placeholder/${type}`,
+        name: this._ruleName(type),
+        shortDescription: { text: description }
+      })),
+      ...Object.entries(StringLinter.RULES).map(([rule, { description }]) => ({
+        id: `lint/${rule}`,
+        name: this._ruleName(rule),
+        shortDescription: { text: description }
+      }))
+    ];
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'i18n-string-reviewer',
+            rules
+          }
+        },
+        results: annotations.map(annotation => ({
+          ruleId: annotation.ruleId,
+          level: levels[annotation.level] || 'note',
+          message: { text: annotation.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: annotation.path },
+              region: { startLine: annotation.line }
+            }
+          }]
+        }))
+      }]
+    };
+  }
+
+  /**
+   * SARIF rule name from a rule id, e.g. "empty-plural" => "EmptyPlural"
+   */
+  static _ruleName(id) {
+    return id.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * Write annotations to a SARIF file
+   */
+  static writeSARIF(filePath, annotations) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toSARIF(annotations), null, 2) + '\n', 'utf8');
+    console.log(`✓ Wrote ${annotations.length} SARIF result(s) to ${filePath}`);
+  }
+
+  /**
+   * Publish the annotations as a check run on the given commit
+   * Annotations are sent in batches, since GitHub accepts at most 50 per request
+   * @param {Object} octokit - Authenticated Octokit client (needs checks: write)
+   * @param {Object} params - { owner, repo, headSha, annotations, summary, text, failed }
+   *   failed - conclude with failure regardless of the annotations, e.g. when a policy failed
+   */
+  static async publishCheckRun(octokit, { owner, repo, headSha, annotations, summary, text = '', failed = false }) {
+    const batches = [];
+    for (let i = 0; i < annotations.length; i += this.CHECK_RUN_BATCH_SIZE) {
+      batches.push(annotations.slice(i, i + this.CHECK_RUN_BATCH_SIZE).map(annotation => ({
+        path: annotation.path,
+        start_line: annotation.line,
+        end_line: annotation.line,
+        annotation_level: annotation.level,
+        title: annotation.title,
+        message: annotation.message
+      })));
+    }
+
+    const output = {
+      title: annotations.length > 0 ? `${annotations.length} i18n annotation(s)` : 'No i18n annotations',
+      summary,
+      // GitHub limits the text to 65535 characters
+      text: text.length > 65535 ? text.substring(0, 65500) + '\n\n*Report truncated*' : text
+    };
+
+    const { data: checkRun } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name: this.CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion: failed || annotations.some(annotation => annotation.level === 'failure')
+        ? 'failure'
+        : (annotations.length > 0 ? 'neutral' : 'success'),
+      output: { ...output, annotations: batches[0] || [] }
+    });
+
+    for (const batch of batches.slice(1)) {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRun.id,
+        output: { ...output, annotations: batch }
+      });
+    }
+
+    console.log(`✓ Published check run with ${annotations.length} annotation(s)`);
+    return checkRun;
+  }
+}
+
+module.exports = { Annotations };
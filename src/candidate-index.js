@@ -0,0 +1,120 @@
+const { SimilarityMatcher } = require('./similarity-matcher');
+
+/**
+ * TF-IDF index over base strings, used to retrieve the most plausible
+ * candidates for a new string before anything is sent to the LLM
+ * Features are the normalized words plus character trigrams, so typos
+ * and inflections ("Setting" / "Settings") still overlap
+ */
+class CandidateIndex {
+  /**
+   * Default number of candidates retrieved per new string
+   */
+  static DEFAULT_TOP_K = 50;
+
+  /**
+   * @param {Array<Object>} entries - POTEntry objects (base entries plus removed entries)
+   * @param {Object} options - { maxCandidateLength }
+   */
+  constructor(entries, { maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH } = {}) {
+    this.maxCandidateLength = maxCandidateLength;
+    this.strings = [];
+    this.postings = new Map(); // feature => [{ doc, weight }]
+    this.norms = [];
+    this.idf = new Map();
+
+    const seen = new Set();
+    const documents = [];
+    for (const entry of entries) {
+      const msgid = entry.msgid;
+      // Same limit as the LLM candidates
+      if (!msgid || !msgid.trim() || msgid.length >= maxCandidateLength || seen.has(msgid)) continue;
+      seen.add(msgid);
+      this.strings.push(msgid);
+      documents.push(CandidateIndex.extractFeatures(msgid));
+    }
+
+    // Document frequency per feature
+    const documentFrequency = new Map();
+    for (const features of documents) {
+      for (const feature of features.keys()) {
+        documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+      }
+    }
+    for (const [feature, df] of documentFrequency) {
+      this.idf.set(feature, Math.log((1 + documents.length) / (1 + df)) + 1);
+    }
+
+    // Build postings with TF-IDF weights
+    documents.forEach((features, doc) => {
+      let norm = 0;
+      for (const [feature, tf] of features) {
+        const weight = tf * this.idf.get(feature);
+        norm += weight * weight;
+        if (!this.postings.has(feature)) {
+          this.postings.set(feature, []);
+        }
+        this.postings.get(feature).push({ doc, weight });
+      }
+      this.norms[doc] = Math.sqrt(norm);
+    });
+  }
+
+  get size() {
+    return this.strings.length;
+  }
+
+  /**
+   * Extract weighted features (words and character trigrams) from a string
+   * @param {string} text - Raw msgid
+   * @returns {Map<string, number>} - feature => term frequency
+   */
+  static extractFeatures(text) {
+    const features = new Map();
+    const normalized = SimilarityMatcher.normalize(text);
+    if (!normalized) return features;
+
+    const add = (feature) => features.set(feature, (features.get(feature) || 0) + 1);
+
+    for (const word of SimilarityMatcher.tokenize(normalized)) {
+      add(`w:${word}`);
+    }
+
+    const padded = ` ${normalized} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      add(`c:${padded.substring(i, i + 3)}`);
+    }
+
+    return features;
+  }
+
+  /**
+   * Retrieve the top-K most similar base strings (cosine similarity)
+   * @param {string} newString - The new string to find candidates for
+   * @param {number} topK - Maximum number of candidates
+   * @returns {Array<string>} - Candidate msgids, best first
+   */
+  query(newString, topK = CandidateIndex.DEFAULT_TOP_K) {
+    const features = CandidateIndex.extractFeatures(newString);
+    const scores = new Map();
+
+    for (const [feature, tf] of features) {
+      const postings = this.postings.get(feature);
+      if (!postings) continue;
+
+      const queryWeight = tf * this.idf.get(feature);
+      for (const { doc, weight } of postings) {
+        scores.set(doc, (scores.get(doc) || 0) + queryWeight * weight);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([doc]) => this.strings[doc] !== newString)
+      .map(([doc, score]) => [doc, score / this.norms[doc]])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([doc]) => this.strings[doc]);
+  }
+}
+
+module.exports = { CandidateIndex };
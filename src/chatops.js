@@ -0,0 +1,163 @@
+/**
+ * Commands reviewers post as PR comments to act on the report:
+ *
+ *   /i18n ignore "<msgid>"    Stop reporting and counting a string
+ *   /i18n accept "<msgid>"    Accept the suggested match of a string
+ *   /i18n rematch             Look for suggested matches again, without the cache
+ *   /i18n approve             Sign off the current string changes as a translator
+ *
+ * Decisions are kept in a DecisionStore, so later runs respect them
+ */
+class ChatOps {
+  static PREFIX = '/i18n';
+
+  /**
+   * Command => whether it takes a quoted msgid
+   */
+  static COMMANDS = {
+    ignore: true,
+    accept: true,
+    rematch: false,
+    approve: false
+  };
+
+  /**
+   * Comment authors allowed to run commands: people with write access to the repository
+   */
+  static PERMITTED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+  /**
+   * Find the commands in a comment, one per line
+   * @param {string} body - Comment body
+   * @returns {Object} - { commands: [{ name, msgid }], errors: [string] }
+   */
+  static parse(body) {
+    const commands = [];
+    const errors = [];
+
+    for (const line of (body || '').split(/\r?\n/)) {
+      const match = /^\s*\/i18n(?:\s+(\S+))?(?:\s+(.*?))?\s*$/.exec(line);
+      if (!match) continue;
+
+      const [, name, argument = ''] = match;
+      if (!name || !(name in this.COMMANDS)) {
+        errors.push(`Unknown command "${line.trim()}". Valid commands: ${Object.keys(this.COMMANDS).map(command => `${this.PREFIX} ${command}`).join(', ')}`);
+        continue;
+      }
+
+      if (!this.COMMANDS[name]) {
+        if (argument) {
+          errors.push(`\`${this.PREFIX} ${name}\` takes no arguments`);
+          continue;
+        }
+        commands.push({ name, msgid: null });
+        continue;
+      }
+
+      const msgid = this._parseQuoted(argument);
+      if (msgid === null) {
+        errors.push(`\`${this.PREFIX} ${name}\` needs the string in double quotes, e.g. ${this.PREFIX} ${name} "Save changes"`);
+        continue;
+      }
+      commands.push({ name, msgid });
+    }
+
+    return { commands, errors };
+  }
+
+  /**
+   * Check whether a comment author may run commands
+   * @param {string} association - author_association of the comment
+   */
+  static isPermitted(association) {
+    return this.PERMITTED_ASSOCIATIONS.includes(association);
+  }
+
+  /**
+   * Store the decisions that shape the comparison, so they apply to this run already
+   * @param {Array<Object>} commands - From parse()
+   * @param {DecisionStore} decisions - Store to update
+   * @param {string} user - Login of the comment author
+   */
+  static applyIgnores(commands, decisions, user) {
+    for (const { name, msgid } of commands) {
+      if (name === 'ignore') {
+        decisions.ignore(msgid, user);
+        console.log(`🙈 Ignoring "${msgid}" as requested by @${user}`);
+      }
+    }
+  }
+
+  /**
+   * Store the decisions that need the results of this run: accepted suggestions and approvals
+   * @param {Array<Object>} commands - From parse()
+   * @param {DecisionStore} decisions - Store to update
+   * @param {Object} context - { user, author, suggestions, fingerprint }
+   *   author - Login of the PR author, who can't approve their own changes
+   *   suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   *   fingerprint - DecisionStore.fingerprint() of the results
+   * @returns {Array<string>} - Why commands couldn't be applied
+   */
+  static applyReviews(commands, decisions, { user, author, suggestions, fingerprint }) {
+    const errors = [];
+
+    for (const { name, msgid } of commands) {
+      if (name === 'accept') {
+        const suggestion = suggestions.get(msgid);
+        if (!suggestion?.match) {
+          errors.push(`"${msgid}" has no suggested match to accept`);
+          continue;
+        }
+        decisions.accept(msgid, suggestion, user);
+        console.log(`✅ Accepted "${suggestion.match}" for "${msgid}" as requested by @${user}`);
+      } else if (name === 'approve') {
+        if (user === author) {
+          errors.push('Pull request authors can\'t approve their own string changes');
+          continue;
+        }
+        decisions.approve(user, fingerprint);
+        console.log(`👍 String changes approved by @${user}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * React to the command comment, and reply with the errors when some commands failed
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} params - { owner, repo, pullRequestNumber, commentId, errors }
+   */
+  static async respond(octokit, { owner, repo, pullRequestNumber, commentId, errors = [] }) {
+    await octokit.rest.reactions.createForIssueComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      content: errors.length > 0 ? 'confused' : '+1'
+    });
+
+    if (errors.length > 0) {
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: pullRequestNumber,
+        body: `⚠️ Some \`${this.PREFIX}\` commands were not applied:\n\n${errors.map(error => `- ${error}`).join('\n')}`
+      });
+    }
+  }
+
+  /**
+   * Parse a double-quoted argument with JSON escapes, e.g. "Say \"hi\""
+   * @returns {string|null} - The string, or null when the argument isn't quoted
+   */
+  static _parseQuoted(argument) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(argument)) return null;
+    try {
+      return JSON.parse(argument);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { ChatOps };
@@ -1,10 +1,14 @@
 const fs = require('fs');
+const path = require('path');
 const gettextParser = require('gettext-parser');
+const { SimilarityMatcher } = require('./similarity-matcher');
 
 class POTEntry {
-  constructor({ msgid, msgidPlural = '', msgctxt = '', comments = {} }) {
+  constructor({ msgid, msgidPlural = '', hasPlural = Boolean(msgidPlural), msgctxt = '', comments = {} }) {
     this.msgid = msgid;
     this.msgidPlural = msgidPlural;
+    // A plural entry can have an empty msgid_plural, which msgidPlural alone can't tell apart
+    this.hasPlural = hasPlural;
     this.msgctxt = msgctxt;
     this.comments = {
       translator: comments.translator || '',
@@ -28,9 +32,74 @@ class POTEntry {
     // Only check actual string content, ignore comments
     return this.msgidPlural !== other.msgidPlural;
   }
+
+  hasChangedComments(other) {
+    return this.comments.translator !== other.comments.translator ||
+           this.comments.extracted !== other.comments.extracted;
+  }
+
+  hasChangedFlags(other) {
+    return this.getFlags().join(',') !== other.getFlags().join(',');
+  }
+
+  /**
+   * Whether the string is now referenced from a different set of files
+   * Line number changes within the same files are ignored
+   */
+  hasMoved(other) {
+    return [...this.getReferencedFiles()].sort().join('\n') !== [...other.getReferencedFiles()].sort().join('\n');
+  }
+
+  /**
+   * Get the sorted flags, e.g. ['php-format']
+   */
+  getFlags() {
+    return this.comments.flag.split(/[\s,]+/).filter(Boolean).sort();
+  }
+
+  /**
+   * Get the files this string is referenced from, without line numbers
+   * @returns {Set<string>}
+   */
+  getReferencedFiles() {
+    return new Set(this.comments.reference.split(/\s+/).filter(Boolean).map(ref => ref.replace(/:\d+$/, '')));
+  }
 }
 
 class POTComparator {
+  /**
+   * Default minimum similarity for a removed and an added string to be paired as reworded
+   */
+  static DEFAULT_REWORD_THRESHOLD = 0.7;
+
+  /**
+   * Similarity bonus when the removed and added strings share a source file
+   */
+  static SHARED_REFERENCE_BONUS = 0.1;
+
+  /**
+   * Change kinds and the results list each one is stored in
+   * context and plural replace what would otherwise show up as a removed/added pair or a bare change
+   * comment, flags and moved are metadata-only changes: the string itself is the same
+   */
+  static CHANGE_KINDS = {
+    added: 'added',
+    removed: 'removed',
+    changed: 'changed',
+    reworded: 'reworded',
+    context: 'contextChanged',
+    plural: 'pluralized',
+    comment: 'commentChanged',
+    flags: 'flagsChanged',
+    moved: 'moved'
+  };
+
+  /**
+   * Change kinds that count towards total-changes by default
+   * Comment, flag and file changes don't give translators new work, so they are only reported unless count-changes lists them
+   */
+  static DEFAULT_COUNTED_KINDS = ['added', 'removed', 'changed', 'reworded', 'context', 'plural'];
+
   constructor(baseFile, targetFile) {
     this.baseFile = baseFile;
     this.targetFile = targetFile;
@@ -39,17 +108,24 @@ class POTComparator {
     this.added = [];
     this.removed = [];
     this.changed = [];
+    this.reworded = [];
+    this.contextChanged = [];
+    this.pluralized = [];
+    this.commentChanged = [];
+    this.flagsChanged = [];
+    this.moved = [];
+    this.countedKinds = POTComparator.DEFAULT_COUNTED_KINDS;
+    this.baseHeaders = {};
+    this.targetHeaders = {};
   }
 
   loadPOTFiles() {
     try {
-      console.log(`Loading base POT file: ${this.baseFile}`);
-      const baseContent = fs.readFileSync(this.baseFile, 'utf8');
-      const baseParsed = gettextParser.po.parse(baseContent);
-      
-      console.log(`Loading target POT file: ${this.targetFile}`);
-      const targetContent = fs.readFileSync(this.targetFile, 'utf8');
-      const targetParsed = gettextParser.po.parse(targetContent);
+      // A missing side (null) means the POT file was added or deleted, so it has no entries
+      const baseParsed = this._loadFile(this.baseFile, 'base');
+      const targetParsed = this._loadFile(this.targetFile, 'target');
+      this.baseHeaders = baseParsed.headers || {};
+      this.targetHeaders = targetParsed.headers || {};
 
       // Process base entries
       this._processEntries(baseParsed, this.baseEntries);
@@ -66,6 +142,38 @@ class POTComparator {
     }
   }
 
+  /**
+   * Use entries that were built elsewhere (e.g. extracted from source code) instead of POT files
+   * @param {Map<string, POTEntry>} baseEntries - Base entries keyed by getKey()
+   * @param {Map<string, POTEntry>} targetEntries - Target entries keyed by getKey()
+   */
+  loadEntries(baseEntries, targetEntries) {
+    this.baseEntries = baseEntries;
+    this.targetEntries = targetEntries;
+    console.log(`✓ Loaded ${this.baseEntries.size} base entries and ${this.targetEntries.size} target entries`);
+  }
+
+  _loadFile(file, label) {
+    if (!file) {
+      console.log(`No ${label} POT file, treating it as empty`);
+      return { headers: {}, translations: {} };
+    }
+
+    console.log(`Loading ${label} POT file: ${file}`);
+    const content = fs.readFileSync(file, 'utf8');
+    return gettextParser.po.parse(content);
+  }
+
+  /**
+   * Get the text domain from the POT header (X-Domain), falling back to the file name
+   * @param {string} fallbackFile - File name to derive the domain from when there is no header
+   */
+  getTextDomain(fallbackFile = this.targetFile || this.baseFile) {
+    const domain = this.targetHeaders?.['X-Domain'] || this.baseHeaders?.['X-Domain'];
+    if (domain) return domain;
+    return path.basename(fallbackFile || '', '.pot') || 'default';
+  }
+
   _processEntries(parsed, entriesMap) {
     // Get translations from the default context ('')
     const translations = parsed.translations[''] || {};
@@ -77,6 +185,7 @@ class POTComparator {
       const entry = new POTEntry({
         msgid: msgid,
         msgidPlural: data.msgid_plural || '',
+        hasPlural: data.msgid_plural !== undefined,
         msgctxt: data.msgctxt || '',
         comments: {
           translator: data.comments?.translator || '',
@@ -99,6 +208,7 @@ class POTComparator {
         const entry = new POTEntry({
           msgid: msgid,
           msgidPlural: data.msgid_plural || '',
+          hasPlural: data.msgid_plural !== undefined,
           msgctxt: context,
           comments: {
             translator: data.comments?.translator || '',
@@ -113,7 +223,26 @@ class POTComparator {
     }
   }
 
-  compare() {
+  /**
+   * Compare base and target entries
+   * @param {Object} options - { detectReworded, rewordThreshold, countedKinds, ignore }
+   *   ignore - function(entry) returning true for entries to leave out on both sides
+   */
+  compare({
+    detectReworded = true,
+    rewordThreshold = POTComparator.DEFAULT_REWORD_THRESHOLD,
+    countedKinds = POTComparator.DEFAULT_COUNTED_KINDS,
+    ignore = null
+  } = {}) {
+    this.countedKinds = countedKinds;
+
+    if (ignore) {
+      const ignored = this._removeEntries(this.baseEntries, ignore) + this._removeEntries(this.targetEntries, ignore);
+      if (ignored > 0) {
+        console.log(`ℹ️  Ignoring ${ignored} entries matching the ignore rules`);
+      }
+    }
+
     const baseKeys = new Set(this.baseEntries.keys());
     const targetKeys = new Set(this.targetEntries.keys());
 
@@ -131,34 +260,196 @@ class POTComparator {
       const baseEntry = this.baseEntries.get(key);
       const targetEntry = this.targetEntries.get(key);
 
+      // A singular that gained a plural form needs plural translations, not just an update
+      if (!baseEntry.hasPlural && targetEntry.hasPlural) {
+        this.pluralized.push({ base: baseEntry, target: targetEntry });
+        continue;
+      }
+
       if (baseEntry.hasChangedContent(targetEntry)) {
         this.changed.push({ base: baseEntry, target: targetEntry });
+        continue;
+      }
+
+      // Metadata-only changes, a string can have several kinds at once
+      if (baseEntry.hasChangedComments(targetEntry)) {
+        this.commentChanged.push({ base: baseEntry, target: targetEntry });
+      }
+      if (baseEntry.hasChangedFlags(targetEntry)) {
+        this.flagsChanged.push({ base: baseEntry, target: targetEntry });
+      }
+      if (baseEntry.hasMoved(targetEntry)) {
+        this.moved.push({ base: baseEntry, target: targetEntry });
       }
     }
 
+    // The same msgid with another context is the same text used differently, not a new string
+    this._pairContextChanges();
+
+    // Pair removed and added strings that are small edits of each other
+    if (detectReworded) {
+      this._pairReworded(rewordThreshold);
+    }
+
     console.log(`\n📊 Comparison Results:`);
     console.log(`   Added: ${this.added.length}`);
     console.log(`   Removed: ${this.removed.length}`);
     console.log(`   Changed: ${this.changed.length}`);
-    console.log(`   Total changes: ${this.getTotalChanges()}`);
+    console.log(`   Reworded: ${this.reworded.length}`);
+    console.log(`   Context changed: ${this.contextChanged.length}`);
+    console.log(`   Now plural: ${this.pluralized.length}`);
+    console.log(`   Comment changed: ${this.commentChanged.length}`);
+    console.log(`   Flags changed: ${this.flagsChanged.length}`);
+    console.log(`   Moved: ${this.moved.length}`);
+    console.log(`   Total changes: ${this.getTotalChanges()} (counting ${this.countedKinds.join(', ')})`);
+  }
+
+  _removeEntries(entriesMap, ignore) {
+    let removed = 0;
+    for (const [key, entry] of entriesMap) {
+      if (ignore(entry)) {
+        entriesMap.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Move removed/added pairs with the same msgid but a different context into this.contextChanged
+   * Each pair gets a change: 'added' (had no context), 'removed' (has none now) or 'renamed'
+   * When a msgid lost several contexts, a removed entry sharing a source file is preferred
+   */
+  _pairContextChanges() {
+    if (this.added.length === 0 || this.removed.length === 0) return;
+
+    const removedByMsgid = new Map();
+    for (const entry of this.removed) {
+      if (!removedByMsgid.has(entry.msgid)) removedByMsgid.set(entry.msgid, []);
+      removedByMsgid.get(entry.msgid).push(entry);
+    }
+
+    const pairedBase = new Set();
+    const pairedTarget = new Set();
+    for (const target of this.added) {
+      const candidates = (removedByMsgid.get(target.msgid) || []).filter(entry => !pairedBase.has(entry));
+      if (candidates.length === 0) continue;
+
+      const files = target.getReferencedFiles();
+      const base = candidates.find(entry => [...entry.getReferencedFiles()].some(file => files.has(file))) || candidates[0];
+      const change = !base.msgctxt ? 'added' : (!target.msgctxt ? 'removed' : 'renamed');
+
+      pairedBase.add(base);
+      pairedTarget.add(target);
+      this.contextChanged.push({ base, target, change });
+    }
+
+    this.removed = this.removed.filter(entry => !pairedBase.has(entry));
+    this.added = this.added.filter(entry => !pairedTarget.has(entry));
+  }
+
+  /**
+   * Move removed/added pairs that look like edits of the same string into this.reworded
+   * Pairs need the same context and a similarity at or above the threshold;
+   * sharing a source file makes a pair more likely
+   */
+  _pairReworded(threshold) {
+    if (this.added.length === 0 || this.removed.length === 0) return;
+
+    const prepare = (entry) => {
+      const normalized = SimilarityMatcher.normalize(entry.msgid);
+      return {
+        entry,
+        normalized,
+        tokens: SimilarityMatcher.tokenize(normalized),
+        files: entry.getReferencedFiles()
+      };
+    };
+    const removed = this.removed.map(prepare).filter(item => item.normalized);
+    const added = this.added.map(prepare).filter(item => item.normalized);
+
+    const candidates = [];
+    for (const after of added) {
+      for (const before of removed) {
+        if (before.entry.msgctxt !== after.entry.msgctxt) continue;
+
+        const sharesFile = [...after.files].some(file => before.files.has(file));
+        const bonus = sharesFile ? POTComparator.SHARED_REFERENCE_BONUS : 0;
+
+        // Edit similarity can never exceed the length ratio, so skip hopeless pairs early
+        const lengthRatio = Math.min(before.normalized.length, after.normalized.length) /
+                            Math.max(before.normalized.length, after.normalized.length);
+        if (0.5 * lengthRatio + 0.5 + bonus < threshold) continue;
+
+        const similarity = SimilarityMatcher.scoreNormalized(before.normalized, before.tokens, after.normalized, after.tokens);
+        const score = Math.min(1, similarity + bonus);
+        if (score >= threshold) {
+          candidates.push({ before: before.entry, after: after.entry, similarity, score });
+        }
+      }
+    }
+
+    // Best pairs first, each entry is used at most once
+    candidates.sort((a, b) => b.score - a.score);
+    const pairedBase = new Set();
+    const pairedTarget = new Set();
+    for (const { before, after, similarity } of candidates) {
+      if (pairedBase.has(before) || pairedTarget.has(after)) continue;
+      pairedBase.add(before);
+      pairedTarget.add(after);
+      this.reworded.push({ base: before, target: after, similarity: Math.round(similarity * 100) / 100 });
+    }
+
+    this.removed = this.removed.filter(entry => !pairedBase.has(entry));
+    this.added = this.added.filter(entry => !pairedTarget.has(entry));
   }
 
   getTotalChanges() {
-    return this.added.length + this.removed.length + this.changed.length;
+    return POTComparator.countChanges(this, this.countedKinds);
+  }
+
+  /**
+   * Count the changes of the given kinds
+   * @param {Object} lists - Object holding the results lists, e.g. a comparator or results
+   * @param {Array<string>} countedKinds - Keys of CHANGE_KINDS
+   */
+  static countChanges(lists, countedKinds) {
+    return countedKinds.reduce((total, kind) => total + (lists[POTComparator.CHANGE_KINDS[kind]] || []).length, 0);
+  }
+
+  /**
+   * Combine the results of several comparisons (e.g. one per text domain) into one
+   * @param {Array<Object>} resultsList - Results from getResults()
+   * @returns {Object} - Results with the same shape, with combined lists and totals
+   */
+  static combineResults(resultsList, countedKinds = POTComparator.DEFAULT_COUNTED_KINDS) {
+    const lists = {};
+    for (const key of Object.values(POTComparator.CHANGE_KINDS)) {
+      lists[key] = resultsList.flatMap(results => results[key]);
+    }
+    return POTComparator._buildResults(lists, countedKinds);
   }
 
   getResults() {
-    return {
-      added: this.added,
-      removed: this.removed,
-      changed: this.changed,
-      addedCount: this.added.length,
-      removedCount: this.removed.length,
-      changedCount: this.changed.length,
-      totalChanges: this.getTotalChanges()
-    };
+    const lists = {};
+    for (const key of Object.values(POTComparator.CHANGE_KINDS)) {
+      lists[key] = this[key];
+    }
+    return POTComparator._buildResults(lists, this.countedKinds);
+  }
+
+  /**
+   * Build a results object: each list, its count (e.g. addedCount) and the total of the counted kinds
+   */
+  static _buildResults(lists, countedKinds) {
+    const results = { ...lists };
+    for (const [key, list] of Object.entries(lists)) {
+      results[`${key}Count`] = list.length;
+    }
+    results.countedKinds = countedKinds;
+    results.totalChanges = POTComparator.countChanges(lists, countedKinds);
+    return results;
   }
 }
 
 module.exports = { POTComparator, POTEntry };
-
@@ -0,0 +1,424 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { Glob } = require('./glob');
+const { GitSource } = require('./git-source');
+const { POTComparator } = require('./comparator');
+const { StringLinter } = require('./string-linter');
+const { Reporter } = require('./reporter');
+const { PolicyEngine } = require('./policy-engine');
+const { StringFreeze } = require('./string-freeze');
+
+/**
+ * Project configuration, read from .i18n-reviewer.yml in the repository
+ * Action inputs override the values from the file
+ *
+ * ignore:
+ *   msgids: ['^Lorem ipsum']          # regular expressions
+ *   references: [vendor/, tests/]     # globs, an entry is ignored when all its references match
+ * report:
+ *   max-rows: 100
+ *   string-length: 50
+ *   location-length: 30
+ *   diff-style: html                  # or diff
+ * fail-on:
+ *   added: true                       # fail on any added string
+ *   removed: 10                       # fail when more than 10 strings are removed
+ * count-changes: [added, removed, changed]
+ * lint:                                # severity per rule: error, warning, notice or off
+ *   all-caps: off                      # or "lint: false" to turn linting off
+ *   unordered-placeholders: error
+ * cost:
+ *   currency: EUR
+ *   words-per-hour: 300
+ *   locales:                          # rate per word
+ *     de_DE: 0.12
+ *   fuzzy-tiers:                      # share of the rate charged when the suggested match is at least min similar
+ *     - { min: 0.95, rate: 0.3 }
+ * policies:                           # see PolicyEngine
+ *   - name: Release freeze
+ *     branches: ['release/*']
+ *     rules: { no-removed-strings: true }
+ * string-freeze:                      # see StringFreeze
+ *   exception-label: string-freeze-exception
+ *   windows:
+ *     - { name: 2.0 release, branches: ['release/2.0'], from: 2026-11-01, until: 2026-11-15 }
+ * matching:
+ *   local: true
+ *   local-threshold: 0.6
+ *   llm-batch-size: 20
+ *   llm-candidate-limit: 50
+ *   max-candidate-length: 200
+ *   detect-reworded: true
+ *   reword-threshold: 0.7
+ */
+class Config {
+  static DEFAULT_FILE = '.i18n-reviewer.yml';
+
+  static SECTIONS = ['ignore', 'report', 'fail-on', 'count-changes', 'lint', 'cost', 'policies', 'string-freeze', 'matching'];
+
+  /**
+   * Load and validate the config file
+   * @param {string} filePath - Path of the config file
+   * @param {Object} options - { required } - fail when the file doesn't exist
+   * @returns {Object} - { ignore, report, failOn, countChanges, lint, cost, policies, stringFreeze, matching }, unset values are undefined
+   */
+  static load(filePath = this.DEFAULT_FILE, { required = false } = {}) {
+    if (!fs.existsSync(filePath)) {
+      if (required) {
+        throw new Error(`Config file not found: ${filePath}`);
+      }
+      return this.parse({}, filePath);
+    }
+
+    const config = this.parse(this._parseYAML(fs.readFileSync(filePath, 'utf8'), filePath), filePath);
+    console.log(`✓ Loaded config from ${filePath}`);
+    return config;
+  }
+
+  /**
+   * Load and validate the config file as committed at a git ref
+   * Used for the gating settings, so a pull request can't loosen the rules it is checked against
+   * @param {string} ref - Branch, tag or SHA
+   * @param {string} filePath - Path of the config file, relative to the repository root
+   * @returns {Object} - Same shape as load(), the defaults when the file doesn't exist at the ref
+   */
+  static loadAtRef(ref, filePath = this.DEFAULT_FILE) {
+    const label = `${filePath} at ${ref}`;
+    if (!GitSource.fileExistsAtRef(ref, filePath)) {
+      console.log(`ℹ️  No ${label}, using the default settings`);
+      return this.parse({}, label);
+    }
+
+    const config = this.parse(this._parseYAML(GitSource.readFileAtRef(ref, filePath), label), label);
+    console.log(`✓ Loaded config from ${label}`);
+    return config;
+  }
+
+  /**
+   * Parse the YAML of a config file, which must be a mapping
+   */
+  static _parseYAML(text, filePath) {
+    let data;
+    try {
+      data = YAML.parse(text) || {};
+    } catch (error) {
+      throw new Error(`Invalid YAML in ${filePath}: ${error.message}`);
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`${filePath} must contain a mapping of settings`);
+    }
+    return data;
+  }
+
+  /**
+   * Validate parsed config data and convert it to the internal shape
+   * @param {Object} data - Parsed YAML
+   * @param {string} filePath - Used in error messages
+   */
+  static parse(data, filePath = this.DEFAULT_FILE) {
+    for (const key of Object.keys(data)) {
+      if (!this.SECTIONS.includes(key)) {
+        console.warn(`⚠️  Unknown setting "${key}" in ${filePath}, ignoring`);
+      }
+    }
+
+    const read = (section, key, validate) => {
+      const value = data[section]?.[key];
+      if (value === undefined || value === null) return undefined;
+      return validate(value, `${section}.${key}`);
+    };
+
+    const number = ({ min = 0, max = Infinity, integer = false } = {}) => (value, key) => {
+      if (typeof value !== 'number' || value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new Error(`${filePath}: ${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+      }
+      return value;
+    };
+
+    const boolean = (value, key) => {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${filePath}: ${key} must be true or false`);
+      }
+      return value;
+    };
+
+    const list = (value, key) => {
+      if (typeof value === 'string') return Glob.parseList(value);
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`${filePath}: ${key} must be a list of strings`);
+      }
+      return value;
+    };
+
+    const string = (value, key) => {
+      if (typeof value !== 'string' || !value) {
+        throw new Error(`${filePath}: ${key} must be a non-empty string`);
+      }
+      return value;
+    };
+
+    const oneOf = (values) => (value, key) => {
+      if (!values.includes(value)) {
+        throw new Error(`${filePath}: ${key} must be one of ${values.join(', ')}`);
+      }
+      return value;
+    };
+
+    const regexList = (value, key) => list(value, key).map(pattern => {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${filePath}: invalid regular expression in ${key}: ${error.message}`);
+      }
+    });
+
+    return {
+      ignore: {
+        msgids: read('ignore', 'msgids', regexList) || [],
+        references: read('ignore', 'references', list) || []
+      },
+      report: {
+        maxRows: read('report', 'max-rows', number({ min: 1, integer: true })),
+        stringLength: read('report', 'string-length', number({ min: 10, integer: true })),
+        locationLength: read('report', 'location-length', number({ min: 10, integer: true })),
+        diffStyle: read('report', 'diff-style', oneOf(Reporter.DIFF_STYLES))
+      },
+      failOn: this._parseFailOn(data['fail-on'], filePath),
+      countChanges: data['count-changes'] === undefined ? undefined : list(data['count-changes'], 'count-changes'),
+      lint: this._parseLint(data.lint, filePath),
+      cost: {
+        currency: read('cost', 'currency', string),
+        wordsPerHour: read('cost', 'words-per-hour', number({ min: 1 })),
+        locales: this._parseCostLocales(data.cost?.locales, filePath),
+        fuzzyTiers: this._parseFuzzyTiers(data.cost?.['fuzzy-tiers'], filePath)
+      },
+      policies: this._parsePolicies(data.policies, filePath),
+      stringFreeze: {
+        exceptionLabel: read('string-freeze', 'exception-label', string),
+        windows: this._parseFreezeWindows(data['string-freeze']?.windows, filePath)
+      },
+      matching: {
+        local: read('matching', 'local', boolean),
+        localThreshold: read('matching', 'local-threshold', number({ max: 1 })),
+        llmBatchSize: read('matching', 'llm-batch-size', number({ min: 1, integer: true })),
+        llmCandidateLimit: read('matching', 'llm-candidate-limit', number({ integer: true })),
+        maxCandidateLength: read('matching', 'max-candidate-length', number({ min: 1, integer: true })),
+        detectReworded: read('matching', 'detect-reworded', boolean),
+        rewordThreshold: read('matching', 'reword-threshold', number({ max: 1 }))
+      }
+    };
+  }
+
+  /**
+   * Parse lint rule severities
+   * @returns {Object|false} - Rule id => severity, or false when linting is turned off
+   */
+  static _parseLint(lint, filePath) {
+    if (lint === undefined || lint === null || lint === true) return {};
+    if (lint === false) return false;
+    if (typeof lint !== 'object' || Array.isArray(lint)) {
+      throw new Error(`${filePath}: lint must be false or map rules to a severity`);
+    }
+
+    const error = StringLinter.validateSeverities(lint);
+    if (error) {
+      throw new Error(`${filePath}: ${error}`);
+    }
+    return lint;
+  }
+
+  /**
+   * Parse the per-word rate of each target locale
+   * @returns {Object|undefined} - locale => rate
+   */
+  static _parseCostLocales(locales, filePath) {
+    if (locales === undefined || locales === null) return undefined;
+    if (typeof locales !== 'object' || Array.isArray(locales)) {
+      throw new Error(`${filePath}: cost.locales must map locales to a rate per word`);
+    }
+    for (const [locale, rate] of Object.entries(locales)) {
+      if (typeof rate !== 'number' || rate < 0) {
+        throw new Error(`${filePath}: cost.locales.${locale} must be a rate per word of 0 or more`);
+      }
+    }
+    return locales;
+  }
+
+  /**
+   * Parse fuzzy match discount tiers: [{ min, rate }], both between 0 and 1
+   */
+  static _parseFuzzyTiers(tiers, filePath) {
+    if (tiers === undefined || tiers === null) return undefined;
+    if (!Array.isArray(tiers)) {
+      throw new Error(`${filePath}: cost.fuzzy-tiers must be a list of { min, rate }`);
+    }
+    return tiers.map((tier, index) => {
+      const valid = tier && typeof tier === 'object' &&
+        typeof tier.min === 'number' && tier.min >= 0 && tier.min <= 1 &&
+        typeof tier.rate === 'number' && tier.rate >= 0 && tier.rate <= 1;
+      if (!valid) {
+        throw new Error(`${filePath}: cost.fuzzy-tiers[${index}] must have a min similarity and a rate, both between 0 and 1`);
+      }
+      return { min: tier.min, rate: tier.rate };
+    });
+  }
+
+  /**
+   * Parse the policies: [{ name, branches, rules }]
+   * Policies without a name are named by their position
+   */
+  static _parsePolicies(policies, filePath) {
+    if (policies === undefined || policies === null) return [];
+    if (!Array.isArray(policies)) {
+      throw new Error(`${filePath}: policies must be a list of { name, branches, rules }`);
+    }
+
+    return policies.map((policy, index) => {
+      const label = `policies[${index}]`;
+      if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error(`${filePath}: ${label} must be a mapping with name, branches and rules`);
+      }
+
+      const name = policy.name === undefined ? `Policy ${index + 1}` : policy.name;
+      if (typeof name !== 'string' || !name) {
+        throw new Error(`${filePath}: ${label}.name must be a non-empty string`);
+      }
+
+      let branches = policy.branches ?? [];
+      if (typeof branches === 'string') branches = Glob.parseList(branches);
+      if (!Array.isArray(branches) || branches.some(branch => typeof branch !== 'string')) {
+        throw new Error(`${filePath}: ${label}.branches must be a list of branch patterns`);
+      }
+
+      const rules = policy.rules;
+      if (!rules || typeof rules !== 'object' || Array.isArray(rules) || Object.keys(rules).length === 0) {
+        throw new Error(`${filePath}: ${label}.rules must map at least one rule to its setting`);
+      }
+      for (const [rule, value] of Object.entries(rules)) {
+        const error = PolicyEngine.validateRule(rule, value);
+        if (error) {
+          throw new Error(`${filePath}: ${label}.rules.${rule} ${error}`);
+        }
+      }
+
+      return { name, branches, rules };
+    });
+  }
+
+  /**
+   * Parse the string freeze windows: [{ name, branches, milestones, from, until }]
+   * Every window needs at least one condition, so a typo can't freeze every PR
+   */
+  static _parseFreezeWindows(windows, filePath) {
+    if (windows === undefined || windows === null) return [];
+    if (!Array.isArray(windows)) {
+      throw new Error(`${filePath}: string-freeze.windows must be a list of { name, branches, milestones, from, until }`);
+    }
+
+    return windows.map((window, index) => {
+      const label = `string-freeze.windows[${index}]`;
+      if (!window || typeof window !== 'object' || Array.isArray(window)) {
+        throw new Error(`${filePath}: ${label} must be a mapping with name, branches, milestones, from and until`);
+      }
+
+      const name = window.name === undefined ? `Freeze ${index + 1}` : String(window.name);
+      const patterns = (key) => {
+        let value = window[key] ?? [];
+        if (typeof value === 'string') value = Glob.parseList(value);
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+          throw new Error(`${filePath}: ${label}.${key} must be a list of patterns`);
+        }
+        return value;
+      };
+      const date = (key) => {
+        const value = window[key];
+        if (value === undefined || value === null) return undefined;
+        if (!StringFreeze.isDate(value)) {
+          throw new Error(`${filePath}: ${label}.${key} must be a date like 2026-11-01`);
+        }
+        return value;
+      };
+
+      const parsed = { name, branches: patterns('branches'), milestones: patterns('milestones'), from: date('from'), until: date('until') };
+      if (parsed.branches.length === 0 && parsed.milestones.length === 0 && !parsed.from && !parsed.until) {
+        throw new Error(`${filePath}: ${label} needs branches, milestones, from or until`);
+      }
+      if (parsed.from && parsed.until && parsed.from > parsed.until) {
+        throw new Error(`${filePath}: ${label}.from must not be after until`);
+      }
+      return parsed;
+    });
+  }
+
+  /**
+   * Convert fail-on rules to the maximum allowed count per change kind
+   * true = no changes allowed, a number = that many changes allowed, false = no rule
+   */
+  static _parseFailOn(failOn, filePath) {
+    if (failOn === undefined || failOn === null) return {};
+    if (typeof failOn !== 'object' || Array.isArray(failOn)) {
+      throw new Error(`${filePath}: fail-on must map change kinds to true, false or a maximum count`);
+    }
+
+    const rules = {};
+    for (const [kind, rule] of Object.entries(failOn)) {
+      if (!(kind in POTComparator.CHANGE_KINDS)) {
+        throw new Error(`${filePath}: unknown change kind "${kind}" in fail-on. Valid kinds: ${Object.keys(POTComparator.CHANGE_KINDS).join(', ')}`);
+      }
+      if (rule === true) {
+        rules[kind] = 0;
+      } else if (Number.isInteger(rule) && rule >= 0) {
+        rules[kind] = rule;
+      } else if (rule !== false) {
+        throw new Error(`${filePath}: fail-on.${kind} must be true, false or a maximum count`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Use an action input when it is set, otherwise the config file value
+   * @param {string} input - Raw input value ('' when not set)
+   * @param {*} configValue - Value from the config file (undefined when not set)
+   * @param {Function} parse - Converts the input string
+   */
+  static inputOr(input, configValue, parse = value => value) {
+    if (input === undefined || input === '') return configValue;
+    const value = parse(input);
+    return Number.isNaN(value) ? configValue : value;
+  }
+
+  /**
+   * Build the ignore function passed to POTComparator.compare()
+   * @returns {Function|null} - entry => true when it should be ignored, null without rules
+   */
+  static createIgnoreFilter({ msgids, references }) {
+    if (msgids.length === 0 && references.length === 0) return null;
+
+    return (entry) => {
+      if (msgids.some(pattern => pattern.test(entry.msgid))) return true;
+
+      const files = [...entry.getReferencedFiles()];
+      return references.length > 0 && files.length > 0 && files.every(file => Glob.matchesAny(file, references));
+    };
+  }
+
+  /**
+   * Check the results against the fail-on rules
+   * @param {Object} failOn - Change kind => maximum allowed count
+   * @param {Object} results - Results from POTComparator
+   * @returns {Array<string>} - One message per broken rule
+   */
+  static checkFailRules(failOn, results) {
+    const failures = [];
+    for (const [kind, max] of Object.entries(failOn)) {
+      const count = results[`${POTComparator.CHANGE_KINDS[kind]}Count`] || 0;
+      if (count > max) {
+        failures.push(max === 0 ? `${count} ${kind}` : `${count} ${kind} (more than ${max} allowed)`);
+      }
+    }
+    return failures;
+  }
+}
+
+module.exports = { Config };
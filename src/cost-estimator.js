@@ -0,0 +1,121 @@
+/**
+ * Estimates what translating the new and changed strings costs per target locale
+ * Strings with a suggested existing match can be discounted by fuzzy match tiers, like CAT tools do
+ */
+class CostEstimator {
+  /**
+   * Typical translator throughput, used for the effort estimate
+   */
+  static DEFAULT_WORDS_PER_HOUR = 300;
+
+  static DEFAULT_CURRENCY = 'USD';
+
+  /**
+   * @param {Object} options - { locales, currency, wordsPerHour, fuzzyTiers }
+   *   locales - locale => rate per word
+   *   fuzzyTiers - [{ min, rate }]: strings whose suggested match is at least min similar (0-1)
+   *                are charged rate (0-1) of the full price; without tiers every word is charged in full
+   */
+  constructor({ locales = {}, currency = CostEstimator.DEFAULT_CURRENCY, wordsPerHour = CostEstimator.DEFAULT_WORDS_PER_HOUR, fuzzyTiers = [] } = {}) {
+    this.locales = locales;
+    this.currency = currency;
+    this.wordsPerHour = wordsPerHour;
+    this.fuzzyTiers = [...fuzzyTiers].sort((a, b) => b.min - a.min);
+  }
+
+  /**
+   * Words in a string, as counted in the report and the estimate
+   */
+  static countWords(text) {
+    if (!text) return 0;
+    // Remove extra whitespace and split by spaces
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Parse locale rates from an action input, e.g. "de_DE=0.12, fr_FR=0.10"
+   * @param {Array<string>} items - Items of the input list
+   * @returns {Object} - locale => rate per word
+   */
+  static parseLocales(items) {
+    const locales = {};
+    for (const item of items) {
+      const match = /^([^=\s]+)\s*=\s*(\d+(?:\.\d+)?)$/.exec(item);
+      if (!match) {
+        throw new Error(`Invalid locale rate "${item}", expected locale=rate (e.g. de_DE=0.12)`);
+      }
+      locales[match[1]] = parseFloat(match[2]);
+    }
+    return locales;
+  }
+
+  /**
+   * Estimate cost and effort for the strings translators will see
+   * @param {Object} results - Results from POTComparator
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   * @returns {Object|null} - Estimate, null when no locales are configured
+   *   { currency, wordsPerHour, words, weightedWords, reusableWords, cost, savings, hours, savedHours, locales: [{ locale, rate, cost, savings }] }
+   *   weightedWords - words after fuzzy discounts, per locale
+   *   savings - what reusing every suggested match would save, since those strings are already translated
+   */
+  estimate(results, suggestions = new Map()) {
+    const localeRates = Object.entries(this.locales);
+    if (localeRates.length === 0) return null;
+
+    const entries = [
+      ...results.added,
+      ...results.changed.map(({ target }) => target),
+      ...(results.reworded || []).map(({ target }) => target),
+      ...(results.contextChanged || []).map(({ target }) => target),
+      ...(results.pluralized || []).map(({ target }) => target)
+    ];
+
+    let words = 0;
+    let weightedWords = 0;
+    let reusableWords = 0;
+    for (const entry of entries) {
+      const entryWords = CostEstimator.countWords(entry.msgid) + CostEstimator.countWords(entry.msgidPlural);
+      const suggestion = suggestions.get(entry.msgid);
+      const weighted = entryWords * this._getTierRate(suggestion);
+
+      words += entryWords;
+      weightedWords += weighted;
+      if (suggestion?.match) {
+        reusableWords += weighted;
+      }
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const locales = localeRates.map(([locale, rate]) => ({
+      locale,
+      rate,
+      cost: round(weightedWords * rate),
+      savings: round(reusableWords * rate)
+    }));
+
+    return {
+      currency: this.currency,
+      wordsPerHour: this.wordsPerHour,
+      words,
+      weightedWords: round(weightedWords),
+      reusableWords: round(reusableWords),
+      cost: round(locales.reduce((total, { cost }) => total + cost, 0)),
+      savings: round(locales.reduce((total, { savings }) => total + savings, 0)),
+      hours: round(weightedWords * locales.length / this.wordsPerHour),
+      savedHours: round(reusableWords * locales.length / this.wordsPerHour),
+      locales
+    };
+  }
+
+  /**
+   * Share of the full rate charged for a string, from the similarity of its suggested match
+   * LLM suggestions have no similarity score, so they are charged in full
+   */
+  _getTierRate(suggestion) {
+    if (!suggestion?.match || typeof suggestion.confidence !== 'number') return 1;
+    const tier = this.fuzzyTiers.find(({ min }) => suggestion.confidence >= min);
+    return tier ? tier.rate : 1;
+  }
+}
+
+module.exports = { CostEstimator };
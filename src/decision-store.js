@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { POTComparator } = require('./comparator');
+
+/**
+ * Reviewer decisions made with ChatOps commands, kept in a PR comment of this action
+ * so every later run of the PR respects them:
+ * - ignored strings are left out of the comparison, like the ignore rules of the config file
+ * - accepted suggestions are pinned, whatever the matchers find later
+ * - approvals sign off the string changes they were given for, see the require-approvals policy rule
+ */
+class DecisionStore {
+  /**
+   * Hidden marker to recognize the decisions comment
+   */
+  static MARKER = '<!-- i18n-string-reviewer-decisions -->';
+
+  // The data travels base64 encoded in an HTML comment, so msgids can't end the comment early
+  static DATA_PATTERN = /<!-- i18n-decisions-data ([A-Za-z0-9+/=]+) -->/;
+
+  /**
+   * @param {Object} data - { ignored, accepted, approvals }
+   *   ignored - msgid => { by, at }
+   *   accepted - msgid => { match, source, confidence, by, at }
+   *   approvals - [{ by, at, fingerprint }]
+   */
+  constructor({ ignored = {}, accepted = {}, approvals = [] } = {}) {
+    this.ignored = ignored;
+    this.accepted = accepted;
+    this.approvals = approvals;
+    this.modified = false;
+    this.commentId = null;
+  }
+
+  /**
+   * Login of the user the token belongs to, who writes the decisions comment
+   * Installation tokens like GITHUB_TOKEN can't look themselves up
+   * @param {Object} octokit - Authenticated Octokit client
+   * @returns {Promise<string|null>}
+   */
+  static async getAuthenticatedLogin(octokit) {
+    try {
+      const { data } = await octokit.rest.users.getAuthenticated();
+      return data.login;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load the decisions of a pull request
+   * Only comments by the token's user are trusted (any bot when it can't be looked up),
+   * anyone can post a comment that looks like ours
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} prContext - { owner, repo, pullRequestNumber }
+   * @returns {Promise<DecisionStore>}
+   */
+  static async load(octokit, { owner, repo, pullRequestNumber }) {
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: pullRequestNumber,
+      per_page: 100
+    });
+
+    const login = await this.getAuthenticatedLogin(octokit);
+    const isTrusted = user => (login ? user?.login === login : user?.type === 'Bot');
+    const comment = comments.find(item => isTrusted(item.user) && item.body?.includes(this.MARKER));
+    const store = new DecisionStore(comment ? this.parse(comment.body) : {});
+    if (comment) {
+      store.commentId = comment.id;
+      console.log(`🗳️  Loaded reviewer decisions: ${Object.keys(store.ignored).length} ignored, ${Object.keys(store.accepted).length} accepted, ${store.approvals.length} approval(s)`);
+    }
+    return store;
+  }
+
+  /**
+   * Read the data of a decisions comment
+   * @returns {Object} - { ignored, accepted, approvals }, empty when the comment has no valid data
+   */
+  static parse(body) {
+    const match = this.DATA_PATTERN.exec(body || '');
+    if (!match) return {};
+    try {
+      return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Failed to read reviewer decisions: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Identify the string changes of a run, so approvals expire when the strings change again
+   * @param {Object} results - Results from POTComparator
+   */
+  static fingerprint(results) {
+    const keys = [];
+    for (const kind of ['added', 'removed', 'changed', 'reworded', 'context', 'plural']) {
+      for (const item of results[POTComparator.CHANGE_KINDS[kind]] || []) {
+        const entry = item.target || item;
+        keys.push([kind, entry.msgctxt, entry.msgid, entry.msgidPlural, item.base?.msgid || ''].join('\u0000'));
+      }
+    }
+    return crypto.createHash('sha256').update(keys.sort().join('\n')).digest('hex').slice(0, 16);
+  }
+
+  ignore(msgid, by) {
+    this.ignored[msgid] = { by, at: new Date().toISOString() };
+    this.modified = true;
+  }
+
+  accept(msgid, { match, source, confidence = null }, by) {
+    this.accepted[msgid] = { match, source, confidence, by, at: new Date().toISOString() };
+    this.modified = true;
+  }
+
+  /**
+   * Approve the string changes with the given fingerprint, replacing an earlier approval by the same user
+   */
+  approve(by, fingerprint) {
+    this.approvals = this.approvals.filter(approval => approval.by !== by);
+    this.approvals.push({ by, at: new Date().toISOString(), fingerprint });
+    this.modified = true;
+  }
+
+  /**
+   * Wrap an ignore filter (see Config.createIgnoreFilter) so it also leaves out ignored strings
+   * @param {Function|null} ignore - entry => true when it should be ignored
+   * @returns {Function|null}
+   */
+  createIgnoreFilter(ignore) {
+    if (Object.keys(this.ignored).length === 0) return ignore;
+    return entry => Object.hasOwn(this.ignored, entry.msgid) || Boolean(ignore && ignore(entry));
+  }
+
+  /**
+   * Replace suggestions with the accepted ones
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, updated in place
+   */
+  applyAccepted(suggestions) {
+    for (const [msgid, { match, source, confidence, by }] of Object.entries(this.accepted)) {
+      if (suggestions.has(msgid)) {
+        suggestions.set(msgid, { match, source, confidence, acceptedBy: by });
+      }
+    }
+  }
+
+  /**
+   * Users who approved the string changes with this fingerprint
+   */
+  getApprovers(fingerprint) {
+    return this.approvals.filter(approval => approval.fingerprint === fingerprint).map(approval => approval.by);
+  }
+
+  /**
+   * Decisions for the reports: { ignored: [{ msgid, by }], accepted: [{ msgid, match, by }], approvers }
+   */
+  summarize(fingerprint) {
+    return {
+      ignored: Object.entries(this.ignored).map(([msgid, { by }]) => ({ msgid, by })),
+      accepted: Object.entries(this.accepted).map(([msgid, { match, by }]) => ({ msgid, match, by })),
+      approvers: this.getApprovers(fingerprint)
+    };
+  }
+
+  /**
+   * Save the decisions to their PR comment, when they changed
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} prContext - { owner, repo, pullRequestNumber }
+   */
+  async save(octokit, { owner, repo, pullRequestNumber }) {
+    if (!this.modified) return;
+
+    const body = this.render();
+    if (this.commentId) {
+      await octokit.rest.issues.updateComment({ owner, repo, comment_id: this.commentId, body });
+    } else {
+      const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: pullRequestNumber, body });
+      this.commentId = data.id;
+    }
+    this.modified = false;
+    console.log('💾 Saved reviewer decisions to the PR');
+  }
+
+  /**
+   * Render the decisions comment: a readable list, plus the data for later runs
+   */
+  render() {
+    const quote = text => `\`${String(text).replace(/`/g, '\'').replace(/\n/g, ' ')}\``;
+    const lines = [DecisionStore.MARKER, '### 🗳️ i18n Reviewer Decisions\n'];
+
+    const ignored = Object.entries(this.ignored);
+    const accepted = Object.entries(this.accepted);
+    if (ignored.length > 0) {
+      lines.push('**Ignored strings**\n');
+      lines.push(...ignored.map(([msgid, { by }]) => `- ${quote(msgid)} by @${by}`), '');
+    }
+    if (accepted.length > 0) {
+      lines.push('**Accepted suggestions**\n');
+      lines.push(...accepted.map(([msgid, { match, by }]) => `- ${quote(msgid)} → ${quote(match)} by @${by}`), '');
+    }
+    if (this.approvals.length > 0) {
+      lines.push('**Approvals**\n');
+      lines.push(...this.approvals.map(({ by, at }) => `- @${by} on ${at.slice(0, 10)}`), '');
+    }
+
+    lines.push('*Commands: `/i18n ignore "<msgid>"`, `/i18n accept "<msgid>"`, `/i18n rematch`, `/i18n approve`. Approvals expire when the strings change.*');
+    lines.push(`<!-- i18n-decisions-data ${Buffer.from(JSON.stringify({
+      ignored: this.ignored,
+      accepted: this.accepted,
+      approvals: this.approvals
+    })).toString('base64')} -->`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = { DecisionStore };
@@ -0,0 +1,144 @@
+/**
+ * Word and character diffs between two versions of a string, rendered for the report
+ */
+class TextDiff {
+  /**
+   * Split text into words and the whitespace between them, so a diff keeps the original spacing
+   */
+  static tokenizeWords(text) {
+    if (!text) return [];
+    return text.match(/\s+|[^\s]+/g) || [];
+  }
+
+  /**
+   * Word-level diff between two strings, based on the longest common subsequence
+   * @param {string} before - Old text
+   * @param {string} after - New text
+   * @returns {Array<Object>} - [{ type: 'equal' | 'removed' | 'added', value }]
+   */
+  static diffWords(before, after) {
+    return this._diffTokens(this.tokenizeWords(before), this.tokenizeWords(after));
+  }
+
+  static _diffTokens(a, b) {
+    // LCS lengths of the suffixes a[i..], b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    const push = (type, value) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) {
+        last.value += value;
+      } else {
+        ops.push({ type, value });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('equal', a[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('removed', a[i]);
+        i++;
+      } else {
+        push('added', b[j]);
+        j++;
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return ops;
+  }
+
+  /**
+   * Character-level diff, e.g. for a typo fixed inside a word
+   */
+  static diffChars(before, after) {
+    return this._diffTokens([...(before || '')], [...(after || '')]);
+  }
+
+  /**
+   * Word-level diff where a word replaced by a similar word is refined to a character-level diff,
+   * so "recieve" => "receive" shows the swapped letters instead of two whole words
+   * @returns {Array<Object>} - [{ type: 'equal' | 'removed' | 'added', value }]
+   */
+  static diff(before, after) {
+    const ops = this.diffWords(before, after);
+    const refined = [];
+
+    for (let i = 0; i < ops.length; i++) {
+      const op = ops[i];
+      const next = ops[i + 1];
+      if (op.type === 'removed' && next?.type === 'added' && /^\S+$/.test(op.value) && /^\S+$/.test(next.value)) {
+        const chars = this.diffChars(op.value, next.value);
+        const kept = chars.filter(({ type }) => type === 'equal').reduce((length, { value }) => length + value.length, 0);
+        // Only when most of the word stayed, otherwise letter soup is harder to read than the two words
+        if (kept * 2 >= Math.max(op.value.length, next.value.length)) {
+          refined.push(...chars);
+          i++;
+          continue;
+        }
+      }
+      refined.push(op);
+    }
+
+    // Merge neighbours of the same type, e.g. an equal word followed by equal letters
+    return refined.reduce((merged, op) => {
+      const last = merged[merged.length - 1];
+      if (last && last.type === op.type) {
+        last.value += op.value;
+      } else {
+        merged.push({ ...op });
+      }
+      return merged;
+    }, []);
+  }
+
+  static escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Render a diff inline with <del> and <ins>, which GitHub renders in comments,
+   * the job summary and table cells
+   * @param {Array<Object>} ops - Result of diff() or diffWords()
+   * @param {Function} escape - Escapes text, HTML-escaped by default
+   * @returns {string}
+   */
+  static renderHTML(ops, escape = text => this.escapeHTML(text)) {
+    return ops.map(({ type, value }) => {
+      const text = escape(value).replace(/\n/g, '<br>');
+      if (type === 'equal') return text;
+      const tag = type === 'removed' ? 'del' : 'ins';
+      return `<${tag}>${text}</${tag}>`;
+    }).join('');
+  }
+
+  /**
+   * Render the old and new text as a ```diff code block, one "-" and "+" line per line of text
+   * Either side can be empty when a value was added or removed
+   * @returns {string}
+   */
+  static renderDiffBlock(before, after) {
+    const lines = [
+      ...(before ? before.split('\n').map(line => `- ${line}`) : []),
+      ...(after ? after.split('\n').map(line => `+ ${line}`) : [])
+    ];
+    // The fence has to be longer than any backtick run in the text
+    const longestRun = Math.max(0, ...(`${before}${after}`.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return [`${fence}diff`, ...lines, fence].join('\n');
+  }
+}
+
+module.exports = { TextDiff };
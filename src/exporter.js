@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const { POTComparator } = require('./comparator');
+const { CostEstimator } = require('./cost-estimator');
+
+/**
+ * Exports the strings translators need to see to files for translation vendors:
+ * a CSV for spreadsheets and XLIFF 1.2 / 2.0 for CAT tools
+ */
+class StringExporter {
+  /**
+   * Format => file name in the export directory
+   */
+  static FORMATS = {
+    csv: 'strings.csv',
+    'xliff-1.2': 'strings.xliff12.xlf',
+    'xliff-2.0': 'strings.xliff20.xlf'
+  };
+
+  /**
+   * Change kinds whose (new) strings need a translation, see POTComparator.CHANGE_KINDS
+   */
+  static EXPORTED_KINDS = ['added', 'changed', 'reworded', 'context', 'plural'];
+
+  static DEFAULT_SOURCE_LANGUAGE = 'en';
+
+  static CSV_COLUMNS = [
+    'text_domain', 'kind', 'msgctxt', 'msgid', 'msgid_plural', 'previous_msgid', 'previous_msgid_plural',
+    'developer_comment', 'translator_comment', 'references', 'word_count', 'suggested_match', 'match_source', 'match_similarity'
+  ];
+
+  /**
+   * @param {Object} options - { sourceLanguage, targetLanguage }, BCP 47 codes like "en" or "de-DE"
+   */
+  constructor({ sourceLanguage = StringExporter.DEFAULT_SOURCE_LANGUAGE, targetLanguage = '' } = {}) {
+    this.sourceLanguage = sourceLanguage;
+    this.targetLanguage = targetLanguage;
+  }
+
+  /**
+   * Write the strings in each format
+   * @param {string} dir - Directory to write to
+   * @param {Array<string>} formats - Keys of FORMATS
+   * @param {Array<Object>} domains - [{ domain, file, results }]
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   * @returns {Object} - format => path of the written file
+   */
+  write(dir, formats, domains, suggestions = new Map()) {
+    const groups = StringExporter.collect(domains, suggestions);
+    const render = {
+      csv: () => this.toCSV(groups),
+      'xliff-1.2': () => this.toXLIFF12(groups),
+      'xliff-2.0': () => this.toXLIFF20(groups)
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const files = {};
+    for (const format of formats) {
+      files[format] = path.join(dir, StringExporter.FORMATS[format]);
+      fs.writeFileSync(files[format], render[format](), 'utf8');
+    }
+
+    const count = groups.reduce((total, { units }) => total + units.length, 0);
+    console.log(`📤 Exported ${count} strings to ${Object.values(files).join(', ')}`);
+    return files;
+  }
+
+  /**
+   * The strings to export, grouped by POT file
+   * @returns {Array<Object>} - [{ domain, file, units: [{ kind, entry, base, suggestion, wordCount, references }] }]
+   *   base is the previous entry of changed strings, null for added strings
+   */
+  static collect(domains, suggestions = new Map()) {
+    return domains.map(({ domain, file, results }) => ({
+      domain,
+      file,
+      units: this.EXPORTED_KINDS.flatMap(kind => (results[POTComparator.CHANGE_KINDS[kind]] || []).map(item => {
+        const entry = item.target || item;
+        return {
+          kind,
+          entry,
+          base: item.base || null,
+          suggestion: suggestions.get(entry.msgid) || null,
+          wordCount: CostEstimator.countWords(entry.msgid) + CostEstimator.countWords(entry.msgidPlural),
+          references: entry.comments.reference.split(/\s+/).filter(Boolean)
+        };
+      }))
+    })).filter(({ units }) => units.length > 0);
+  }
+
+  /**
+   * CSV (RFC 4180) with a byte order mark, so spreadsheets detect UTF-8
+   */
+  toCSV(groups) {
+    const rows = [StringExporter.CSV_COLUMNS];
+    for (const { domain, units } of groups) {
+      for (const { kind, entry, base, suggestion, wordCount, references } of units) {
+        const previous = StringExporter._getPrevious(entry, base);
+        rows.push([
+          domain,
+          kind,
+          entry.msgctxt,
+          entry.msgid,
+          entry.msgidPlural,
+          previous.msgid,
+          previous.msgidPlural,
+          entry.comments.extracted,
+          entry.comments.translator,
+          references.join(' '),
+          wordCount,
+          suggestion?.match || '',
+          suggestion?.match ? suggestion.source : '',
+          typeof suggestion?.confidence === 'number' && suggestion.match ? Math.round(suggestion.confidence * 100) : ''
+        ]);
+      }
+    }
+    return '﻿' + rows.map(row => row.map(value => StringExporter._csvField(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * XLIFF 1.2, one <file> per POT file
+   * Plural strings become a group of two trans-units, like po2xliff writes them
+   */
+  toXLIFF12(groups) {
+    const xml = StringExporter._xml;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">'
+    ];
+
+    for (const { domain, file, units } of groups) {
+      const target = this.targetLanguage ? ` target-language="${xml(this.targetLanguage)}"` : '';
+      lines.push(`  <file original="${xml(file || domain)}" source-language="${xml(this.sourceLanguage)}"${target} datatype="po">`);
+      lines.push('    <body>');
+
+      units.forEach((unit, index) => {
+        const id = `${domain}-${index + 1}`;
+        const details = this._renderXLIFF12Details(unit, '        ');
+        if (unit.entry.hasPlural) {
+          // A group has its notes and context before its units
+          lines.push(`      <group id="${xml(id)}" restype="x-gettext-plurals">`);
+          lines.push(...details);
+          [unit.entry.msgid, unit.entry.msgidPlural].forEach((source, form) => {
+            lines.push(`        <trans-unit id="${xml(id)}[${form}]">`);
+            lines.push(`          <source>${xml(source)}</source>`);
+            lines.push('        </trans-unit>');
+          });
+          lines.push('      </group>');
+        } else {
+          lines.push(`      <trans-unit id="${xml(id)}">`);
+          lines.push(`        <source>${xml(unit.entry.msgid)}</source>`);
+          lines.push(...details);
+          lines.push('      </trans-unit>');
+        }
+      });
+
+      lines.push('    </body>');
+      lines.push('  </file>');
+    }
+
+    lines.push('</xliff>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * XLIFF 2.0, one <file> per POT file
+   * Plural strings become a group with a unit per form, the notes belong to the group
+   */
+  toXLIFF20(groups) {
+    const xml = StringExporter._xml;
+    const target = this.targetLanguage ? ` trgLang="${xml(this.targetLanguage)}"` : '';
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${xml(this.sourceLanguage)}"${target}>`
+    ];
+
+    groups.forEach(({ domain, file, units }, fileIndex) => {
+      lines.push(`  <file id="f${fileIndex + 1}" original="${xml(file || domain)}">`);
+
+      units.forEach((unit, index) => {
+        const id = `u${index + 1}`;
+        const notes = this._renderXLIFF20Notes(unit);
+        const segment = (source, indent) => [
+          `${indent}<segment>`,
+          `${indent}  <source>${xml(source)}</source>`,
+          `${indent}</segment>`
+        ];
+
+        if (unit.entry.hasPlural) {
+          lines.push(`    <group id="${id}" type="po:plurals">`);
+          lines.push(...notes);
+          [unit.entry.msgid, unit.entry.msgidPlural].forEach((source, form) => {
+            lines.push(`      <unit id="${id}-${form}">`);
+            lines.push(...segment(source, '        '));
+            lines.push('      </unit>');
+          });
+          lines.push('    </group>');
+        } else {
+          lines.push(`    <unit id="${id}">`);
+          lines.push(...notes);
+          lines.push(...segment(unit.entry.msgid, '      '));
+          lines.push('    </unit>');
+        }
+      });
+
+      lines.push('  </file>');
+    });
+
+    lines.push('</xliff>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Notes, context, references and word count of an XLIFF 1.2 trans-unit or plural group
+   * The suggested match goes in a note: <alt-trans> needs a translation, which a POT file doesn't have
+   */
+  _renderXLIFF12Details({ kind, entry, base, suggestion, wordCount, references }, indent) {
+    const xml = StringExporter._xml;
+    const lines = [];
+    const previous = StringExporter._getPrevious(entry, base);
+
+    if (entry.comments.extracted) lines.push(`<note from="developer">${xml(entry.comments.extracted)}</note>`);
+    if (entry.comments.translator) lines.push(`<note from="translator">${xml(entry.comments.translator)}</note>`);
+    lines.push(`<note from="i18n-string-reviewer">Change: ${kind}</note>`);
+    if (previous.msgid || previous.msgidPlural) {
+      lines.push(`<note from="i18n-string-reviewer">Previous source: ${xml([previous.msgid, previous.msgidPlural].filter(Boolean).join(' / '))}</note>`);
+    }
+    if (suggestion?.match) {
+      lines.push(`<note from="i18n-string-reviewer">${xml(StringExporter._describeSuggestion(suggestion))}</note>`);
+    }
+    if (entry.msgctxt) {
+      lines.push('<context-group purpose="information">');
+      lines.push(`  <context context-type="x-gettext-msgctxt">${xml(entry.msgctxt)}</context>`);
+      lines.push('</context-group>');
+    }
+    for (const reference of references) {
+      const [, file, line] = /^(.*?)(?::(\d+))?$/.exec(reference);
+      lines.push('<context-group purpose="location">');
+      lines.push(`  <context context-type="sourcefile">${xml(file)}</context>`);
+      if (line) lines.push(`  <context context-type="linenumber">${line}</context>`);
+      lines.push('</context-group>');
+    }
+    lines.push(`<count-group name="words"><count count-type="total" unit="word">${wordCount}</count></count-group>`);
+
+    return lines.map(line => indent + line);
+  }
+
+  /**
+   * Notes of an XLIFF 2.0 unit: comments, context, references, word count and the suggested match
+   */
+  _renderXLIFF20Notes({ kind, entry, base, suggestion, wordCount, references }) {
+    const xml = StringExporter._xml;
+    const notes = [];
+    const previous = StringExporter._getPrevious(entry, base);
+
+    if (entry.msgctxt) notes.push(['context', entry.msgctxt]);
+    if (entry.comments.extracted) notes.push(['developer', entry.comments.extracted]);
+    if (entry.comments.translator) notes.push(['translator', entry.comments.translator]);
+    notes.push(['change', kind]);
+    if (previous.msgid || previous.msgidPlural) {
+      notes.push(['previous-source', [previous.msgid, previous.msgidPlural].filter(Boolean).join(' / ')]);
+    }
+    if (references.length > 0) notes.push(['location', references.join(' ')]);
+    notes.push(['word-count', String(wordCount)]);
+    if (suggestion?.match) notes.push(['suggestion', StringExporter._describeSuggestion(suggestion)]);
+
+    return [
+      '      <notes>',
+      ...notes.map(([category, text]) => `        <note category="${category}">${xml(text)}</note>`),
+      '      </notes>'
+    ];
+  }
+
+  /**
+   * The previous wording of a changed string, empty when it didn't change
+   */
+  static _getPrevious(entry, base) {
+    return {
+      msgid: base && base.msgid !== entry.msgid ? base.msgid : '',
+      msgidPlural: base && base.msgidPlural !== entry.msgidPlural ? base.msgidPlural : ''
+    };
+  }
+
+  static _describeSuggestion({ match, source, confidence }) {
+    const similarity = typeof confidence === 'number' ? `, ${Math.round(confidence * 100)}% similar` : '';
+    return `Suggested existing string (${source}${similarity}): ${match}`;
+  }
+
+  /**
+   * Quote a CSV field when needed; cells that spreadsheets would run as formulas are prefixed with '
+   */
+  static _csvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Escape text for XML, dropping the control characters XML 1.0 doesn't allow
+   */
+  static _xml(text) {
+    return String(text ?? '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = { StringExporter };
@@ -0,0 +1,517 @@
+const fs = require('fs');
+const path = require('path');
+const { POTEntry } = require('./comparator');
+const { GitSource } = require('./git-source');
+const { Glob } = require('./glob');
+const { Placeholders } = require('./placeholders');
+
+/**
+ * Argument positions of the WordPress gettext functions
+ * Shared by PHP and @wordpress/i18n, which use the same signatures
+ */
+const GETTEXT_FUNCTIONS = {
+  __: { msgid: 0, domain: 1 },
+  _e: { msgid: 0, domain: 1 },
+  esc_html__: { msgid: 0, domain: 1 },
+  esc_html_e: { msgid: 0, domain: 1 },
+  esc_attr__: { msgid: 0, domain: 1 },
+  esc_attr_e: { msgid: 0, domain: 1 },
+  _x: { msgid: 0, msgctxt: 1, domain: 2 },
+  _ex: { msgid: 0, msgctxt: 1, domain: 2 },
+  esc_html_x: { msgid: 0, msgctxt: 1, domain: 2 },
+  esc_attr_x: { msgid: 0, msgctxt: 1, domain: 2 },
+  _n: { msgid: 0, msgidPlural: 1, domain: 3 },
+  _nx: { msgid: 0, msgidPlural: 1, msgctxt: 3, domain: 4 },
+  _n_noop: { msgid: 0, msgidPlural: 1, domain: 2 },
+  _nx_noop: { msgid: 0, msgidPlural: 1, msgctxt: 2, domain: 3 }
+};
+
+// Functions available in @wordpress/i18n
+const JS_FUNCTIONS = new Set(['__', '_x', '_n', '_nx']);
+
+// Keywords an expression can follow, so a "/" after them starts a regex and a "<" a JSX element
+const EXPRESSION_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+const PHP_EXTENSIONS = new Set(['.php']);
+const JS_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx']);
+
+/**
+ * Builds POTEntry objects straight from PHP and JS/TS sources,
+ * so strings can be compared without a generated POT file
+ */
+class StringExtractor {
+  /**
+   * Default paths that are never scanned
+   */
+  static DEFAULT_EXCLUDE = ['vendor/', 'node_modules/', '*.min.js'];
+
+  /**
+   * Extract entries from the working tree and from a base ref
+   * @param {Object} options - { baseRef, include, exclude, textDomain }
+   *   include - globs of source files to scan, e.g. ['*.php', 'assets/js/src/']
+   * @returns {Object} - { baseEntries, targetEntries } as Map<key, POTEntry>
+   */
+  static extractRefs({ baseRef, include, exclude = this.DEFAULT_EXCLUDE, textDomain = '' }) {
+    const options = { textDomain };
+
+    console.log(`Extracting strings from the checkout (${include.join(', ')})`);
+    const root = GitSource.git(['rev-parse', '--show-toplevel']);
+    const targetFiles = this.filterFiles(GitSource.listWorkingTreeFiles(), include, exclude);
+    const targetEntries = this.extractFiles(root, targetFiles, options);
+    console.log(`✓ Extracted ${targetEntries.size} entries from ${targetFiles.length} file(s)`);
+
+    console.log(`Extracting strings from base ref ${baseRef}`);
+    const baseEntries = GitSource.withWorktree(baseRef, (worktree) => {
+      const baseFiles = this.filterFiles(GitSource.listFilesAtRef(baseRef), include, exclude);
+      const entries = this.extractFiles(worktree, baseFiles, options);
+      console.log(`✓ Extracted ${entries.size} entries from ${baseFiles.length} file(s)`);
+      return entries;
+    });
+
+    return { baseEntries, targetEntries };
+  }
+
+  /**
+   * Keep the PHP and JS/TS files that match the include globs and not the exclude globs
+   */
+  static filterFiles(files, include, exclude = []) {
+    return files.filter(file =>
+      this.getLanguage(file) &&
+      Glob.matchesAny(file, include) &&
+      !Glob.matchesAny(file, exclude)
+    );
+  }
+
+  /**
+   * Get the source language of a file from its extension
+   * @returns {string|null} - 'php', 'js' or null if the file isn't scanned
+   */
+  static getLanguage(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (PHP_EXTENSIONS.has(extension)) return 'php';
+    if (JS_EXTENSIONS.has(extension)) return 'js';
+    return null;
+  }
+
+  /**
+   * Extract entries from files and merge duplicates like a POT file would
+   * @param {string} rootDir - Directory the file paths are relative to
+   * @param {Array<string>} files - File paths relative to rootDir
+   * @param {Object} options - { textDomain }
+   * @returns {Map<string, POTEntry>} - Same shape as POTComparator.baseEntries
+   */
+  static extractFiles(rootDir, files, options = {}) {
+    const entries = new Map();
+
+    for (const file of files) {
+      let code;
+      try {
+        code = fs.readFileSync(path.join(rootDir, file), 'utf8');
+      } catch (error) {
+        console.warn(`⚠️  Failed to read ${file}: ${error.message}`);
+        continue;
+      }
+
+      const language = this.getLanguage(file);
+      for (const string of this.extractFromSource(code, language, options)) {
+        const entry = new POTEntry({
+          msgid: string.msgid,
+          msgidPlural: string.msgidPlural,
+          hasPlural: string.hasPlural,
+          msgctxt: string.msgctxt,
+          comments: {
+            extracted: string.comment,
+            reference: `${file}:${string.line}`,
+            // Flag PHP strings with printf placeholders as php-format, like wp-cli does
+            flag: language === 'php' && (Placeholders.hasPrintf(string.msgid) || Placeholders.hasPrintf(string.msgidPlural))
+              ? 'php-format'
+              : ''
+          }
+        });
+
+        const existing = entries.get(entry.getKey());
+        if (existing) {
+          this._mergeEntry(existing, entry);
+        } else {
+          entries.set(entry.getKey(), entry);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  static _mergeEntry(existing, entry) {
+    existing.comments.reference = [existing.comments.reference, entry.comments.reference].join('\n');
+    if (entry.comments.extracted && !existing.comments.extracted.split('\n').includes(entry.comments.extracted)) {
+      existing.comments.extracted = [existing.comments.extracted, entry.comments.extracted].filter(Boolean).join('\n');
+    }
+    existing.hasPlural = existing.hasPlural || entry.hasPlural;
+    if (!existing.msgidPlural && entry.msgidPlural) {
+      existing.msgidPlural = entry.msgidPlural;
+    }
+    if (!existing.comments.flag && entry.comments.flag) {
+      existing.comments.flag = entry.comments.flag;
+    }
+  }
+
+  /**
+   * Extract translatable strings from one source file
+   * @param {string} code - Source code
+   * @param {string} language - 'php' or 'js'
+   * @param {Object} options - { textDomain } - only keep calls for this text domain
+   * @returns {Array<Object>} - [{ msgid, msgidPlural, hasPlural, msgctxt, comment, line }]
+   */
+  static extractFromSource(code, language, { textDomain = '' } = {}) {
+    const tokens = this.tokenize(code, language);
+    const strings = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const spec = GETTEXT_FUNCTIONS[token.value];
+      if (token.type !== 'ident' || !spec || tokens[i + 1]?.value !== '(') continue;
+      if (language === 'js' && !JS_FUNCTIONS.has(token.value)) continue;
+
+      // Skip method calls and definitions: $obj->__(), Foo::__(), function __()
+      const previous = tokens[i - 1];
+      if (previous && (previous.value === '->' || previous.value === '::' || previous.value === 'function' || previous.value === '$')) {
+        continue;
+      }
+
+      const args = this._parseArguments(tokens, i + 2, language);
+      const msgid = args[spec.msgid];
+      if (typeof msgid !== 'string' || msgid === '') continue;
+
+      if (textDomain && spec.domain !== undefined && args[spec.domain] !== textDomain) continue;
+
+      strings.push({
+        msgid,
+        msgidPlural: spec.msgidPlural !== undefined && typeof args[spec.msgidPlural] === 'string' ? args[spec.msgidPlural] : '',
+        hasPlural: spec.msgidPlural !== undefined,
+        msgctxt: spec.msgctxt !== undefined && typeof args[spec.msgctxt] === 'string' ? args[spec.msgctxt] : '',
+        comment: this._findTranslatorComment(tokens, i),
+        line: token.line
+      });
+    }
+
+    return strings;
+  }
+
+  /**
+   * Parse call arguments starting after the opening parenthesis
+   * @returns {Array<string|null>} - Literal string value per argument, null when not a literal
+   */
+  static _parseArguments(tokens, start, language) {
+    const concatOperator = language === 'php' ? '.' : '+';
+    const args = [];
+    let current = [];
+    let depth = 0;
+
+    for (let i = start; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'comment') continue;
+
+      if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+      if (token.value === ')' || token.value === ']' || token.value === '}') {
+        if (depth === 0) break;
+        depth--;
+      }
+
+      if (depth === 0 && token.value === ',') {
+        args.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+    args.push(current);
+
+    // An argument is a literal when it's only strings joined by the concatenation operator
+    return args.map(argTokens => {
+      if (argTokens.length === 0) return null;
+      let value = '';
+      for (let i = 0; i < argTokens.length; i++) {
+        const token = argTokens[i];
+        if (i % 2 === 0) {
+          if (token.type !== 'string') return null;
+          value += token.value;
+        } else if (token.value !== concatOperator) {
+          return null;
+        }
+      }
+      return argTokens.length % 2 === 1 ? value : null;
+    });
+  }
+
+  /**
+   * Find a "translators:" comment ending on the call's line or the line before it
+   * A comment belongs to the first call after it, so another gettext call in between ends the search
+   */
+  static _findTranslatorComment(tokens, index) {
+    const callLine = tokens[index].line;
+
+    for (let i = index - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.endLine < callLine - 1) break;
+      if (token.type === 'comment' && /translators:/i.test(token.value)) {
+        return token.value;
+      }
+      if (token.type === 'ident' && GETTEXT_FUNCTIONS[token.value] && tokens[i + 1]?.value === '(') {
+        break;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Split source code into identifiers, string literals, comments and punctuation
+   * PHP files are only scanned inside <?php ... ?> blocks; heredocs, JS regex literals and JSX text
+   * are skipped as a whole, so a quote inside them doesn't start a string
+   * @returns {Array<Object>} - [{ type, value, line, endLine }]
+   */
+  static tokenize(code, language) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+    let inCode = language !== 'php';
+    // Open JSX elements and the {expressions} inside them, innermost last: { type: 'tag' | 'children' | 'expression', braces }
+    const jsx = [];
+
+    const push = (type, value, startLine) => tokens.push({ type, value, line: startLine, endLine: line });
+    const advance = (count) => {
+      for (let n = 0; n < count && i < code.length; n++, i++) {
+        if (code[i] === '\n') line++;
+      }
+    };
+    const startsExpression = () => this._startsExpression(tokens.findLast(token => token.type !== 'comment'));
+
+    while (i < code.length) {
+      const char = code[i];
+
+      // Skip HTML between PHP blocks
+      if (!inCode) {
+        const next = code.indexOf('<?', i);
+        if (next === -1) break;
+        advance(next - i);
+        const tag = code.startsWith('<?php', i) ? 5 : (code.startsWith('<?=', i) ? 3 : 2);
+        advance(tag);
+        inCode = true;
+        continue;
+      }
+
+      if (language === 'php' && code.startsWith('?>', i)) {
+        advance(2);
+        inCode = false;
+        continue;
+      }
+
+      // JSX text between tags is skipped, up to the next tag or {expression}
+      const frame = jsx[jsx.length - 1];
+      if (frame?.type === 'children') {
+        let end = i;
+        while (end < code.length && code[end] !== '<' && code[end] !== '{') end++;
+        advance(end - i);
+        if (i >= code.length) break;
+
+        if (code[i] === '{') {
+          jsx.push({ type: 'expression', braces: 0 });
+          push('punct', '{', line);
+          advance(1);
+        } else if (code[i + 1] === '/') {
+          const close = code.indexOf('>', i);
+          advance((close === -1 ? code.length : close + 1) - i);
+          jsx.pop();
+        } else {
+          jsx.push({ type: 'tag' });
+          advance(1);
+        }
+        continue;
+      }
+
+      if (char === '\n' || char === ' ' || char === '\t' || char === '\r') {
+        advance(1);
+        continue;
+      }
+
+      const startLine = line;
+
+      // The end of a JSX opening tag, its children follow unless it closes itself
+      if (frame?.type === 'tag' && (char === '>' || code.startsWith('/>', i))) {
+        jsx.pop();
+        if (char === '>') jsx.push({ type: 'children' });
+        advance(char === '>' ? 1 : 2);
+        continue;
+      }
+
+      if (language === 'js' && char === '<' && /[A-Za-z>]/.test(code[i + 1] || '') && frame?.type !== 'tag' && startsExpression()) {
+        jsx.push({ type: 'tag' });
+        advance(1);
+        continue;
+      }
+
+      // Heredoc and nowdoc bodies, up to the line that starts with the closing identifier
+      const heredoc = language === 'php' && /^<<<[ \t]*(['"]?)([A-Za-z_]\w*)\1\r?\n/.exec(code.substring(i, i + 100));
+      if (heredoc) {
+        const bodyStart = i + heredoc[0].length;
+        const closing = new RegExp(`^[ \\t]*${heredoc[2]}\\b`, 'm').exec(code.substring(bodyStart));
+        const end = closing ? bodyStart + closing.index + closing[0].length : code.length;
+        const body = code.substring(bodyStart, closing ? bodyStart + closing.index : end);
+        advance(end - i);
+        push('template', body, startLine); // Like an interpolated template, never a literal
+        continue;
+      }
+
+      // Comments
+      if (code.startsWith('//', i) || (language === 'php' && char === '#' && code[i + 1] !== '[')) {
+        let end = code.indexOf('\n', i);
+        if (end === -1) end = code.length;
+        // A "?>" ends the PHP block even inside a line comment
+        if (language === 'php') {
+          const close = code.indexOf('?>', i);
+          if (close !== -1 && close < end) end = close;
+        }
+        const text = code.substring(i, end).replace(/^(\/\/|#)\s*/, '').trim();
+        advance(end - i);
+        push('comment', text, startLine);
+        continue;
+      }
+
+      if (code.startsWith('/*', i)) {
+        let end = code.indexOf('*/', i + 2);
+        end = end === -1 ? code.length : end + 2;
+        const text = code.substring(i + 2, end - 2)
+          .split('\n')
+          .map(commentLine => commentLine.replace(/^\s*\*?\s?/, '').trim())
+          .filter(Boolean)
+          .join(' ');
+        advance(end - i);
+        push('comment', text, startLine);
+        continue;
+      }
+
+      if (language === 'js' && char === '/' && startsExpression()) {
+        const end = this._findRegexEnd(code, i);
+        if (end !== -1) {
+          const raw = code.substring(i, end);
+          advance(end - i);
+          push('regex', raw, startLine);
+          continue;
+        }
+      }
+
+      // String literals
+      if (char === '\'' || char === '"' || (language === 'js' && char === '`')) {
+        let end = i + 1;
+        while (end < code.length && code[end] !== char) {
+          if (code[end] === '\\') end++;
+          end++;
+        }
+        const raw = code.substring(i + 1, end);
+        advance(end + 1 - i);
+
+        if (char === '`' && raw.includes('${')) {
+          push('template', raw, startLine); // Interpolated template, never a literal
+        } else {
+          push('string', this._unescape(raw, char, language), startLine);
+        }
+        continue;
+      }
+
+      const number = /^\d[\w.]*/.exec(code.substring(i, i + 100));
+      if (number) {
+        advance(number[0].length);
+        push('number', number[0], startLine);
+        continue;
+      }
+
+      // Identifiers (PHP variables keep their $ as a separate token)
+      const identifier = /^[A-Za-z_\x80-\uffff][\w\x80-\uffff]*/.exec(code.substring(i, i + 100));
+      if (identifier) {
+        advance(identifier[0].length);
+        push('ident', identifier[0], startLine);
+        continue;
+      }
+
+      if (code.startsWith('->', i) || code.startsWith('::', i)) {
+        advance(2);
+        push('punct', code.substring(i - 2, i), startLine);
+        continue;
+      }
+
+      // Braces of a JSX {expression}, the closing one returns to the tag or the children
+      if (char === '{' && frame) {
+        if (frame.type === 'expression') frame.braces++;
+        else jsx.push({ type: 'expression', braces: 0 });
+      } else if (char === '}' && frame?.type === 'expression') {
+        if (frame.braces === 0) jsx.pop();
+        else frame.braces--;
+      }
+
+      advance(1);
+      push('punct', char, startLine);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Whether a JS expression can start after the token, so "/" begins a regex and "<" a JSX element
+   * rather than division or less-than
+   */
+  static _startsExpression(previous) {
+    if (!previous) return true;
+    if (previous.type === 'ident') return EXPRESSION_KEYWORDS.has(previous.value);
+    if (previous.type !== 'punct') return false;
+    return ![')', ']', '}'].includes(previous.value);
+  }
+
+  /**
+   * End of the regex literal starting at the slash, after its flags; -1 when the line ends first
+   * A slash inside a character class doesn't end the regex
+   */
+  static _findRegexEnd(code, start) {
+    let inClass = false;
+    for (let i = start + 1; i < code.length; i++) {
+      const char = code[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '\n') {
+        return -1;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        return i + 1 + /^[a-z]*/i.exec(code.substring(i + 1, i + 20))[0].length;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Decode escape sequences of a string literal
+   */
+  static _unescape(raw, quote, language) {
+    // PHP single quotes only support \' and \\
+    if (language === 'php' && quote === '\'') {
+      return raw.replace(/\\(['\\])/g, '$1');
+    }
+
+    const escapes = { n: '\n', t: '\t', r: '\r', v: '\v', f: '\f', '0': '\0' };
+    return raw.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/gs, (match, sequence) => {
+      if (sequence[0] === 'u' && sequence.length > 1) {
+        return String.fromCodePoint(parseInt(sequence.replace(/[u{}]/g, ''), 16));
+      }
+      if (sequence[0] === 'x' && sequence.length === 3) {
+        return String.fromCharCode(parseInt(sequence.substring(1), 16));
+      }
+      if (escapes[sequence] !== undefined) return escapes[sequence];
+      if (sequence === '\n') return language === 'js' ? '' : match; // JS line continuation
+      // PHP keeps unknown escapes as-is, e.g. "\d"
+      if (language === 'php' && !['"', '\\', '$'].includes(sequence)) return match;
+      return sequence;
+    });
+  }
+}
+
+module.exports = { StringExtractor, GETTEXT_FUNCTIONS };
@@ -0,0 +1,200 @@
+const { execFileSync, execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Reads files from other refs of the local git checkout,
+ * so workflows don't need a separate `git show` step
+ */
+class GitSource {
+  /**
+   * Run a git command in the working directory and return its trimmed output
+   */
+  static git(args, cwd = process.cwd()) {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 256 * 1024 * 1024
+    }).trim();
+  }
+
+  /**
+   * Resolve a branch, tag or SHA to a commit SHA
+   * Branch names are also tried as remote-tracking branches (origin/<branch>)
+   * @param {string} ref - Branch, tag or SHA
+   * @returns {string} - Commit SHA
+   */
+  static resolveRef(ref) {
+    for (const candidate of [ref, `origin/${ref}`]) {
+      try {
+        return this.git(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]);
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+
+    throw new Error(
+      `Base ref "${ref}" was not found in the checkout. ` +
+      'Make sure it is fetched, e.g. with actions/checkout and fetch-depth: 0'
+    );
+  }
+
+  /**
+   * Read a file's content at a given ref
+   * @param {string} ref - Branch, tag or SHA
+   * @param {string} filePath - Path relative to the repository root
+   * @returns {string} - File content
+   */
+  static readFileAtRef(ref, filePath) {
+    const sha = this.resolveRef(ref);
+    const repoPath = this.toRepoPath(filePath);
+
+    try {
+      return this.git(['show', `${sha}:${repoPath}`]);
+    } catch (error) {
+      throw new Error(
+        `"${repoPath}" does not exist at base ref "${ref}" (${sha.substring(0, 7)}). ` +
+        'Check the path, or use generate-command if the POT file is not committed'
+      );
+    }
+  }
+
+  /**
+   * Write a file from a given ref to a temporary location
+   * @param {string} ref - Branch, tag or SHA
+   * @param {string} filePath - Path relative to the repository root
+   * @returns {string} - Path of the temporary copy
+   */
+  static extractFileAtRef(ref, filePath) {
+    const content = this.readFileAtRef(ref, filePath);
+    const outputPath = this._tempPath(filePath);
+    fs.writeFileSync(outputPath, content + '\n', 'utf8');
+    return outputPath;
+  }
+
+  /**
+   * Check whether a file exists at a given ref
+   */
+  static fileExistsAtRef(ref, filePath) {
+    const sha = this.resolveRef(ref);
+    try {
+      this.git(['cat-file', '-e', `${sha}:${this.toRepoPath(filePath)}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List all files committed at a given ref
+   * @returns {Array<string>} - Paths relative to the repository root
+   */
+  static listFilesAtRef(ref) {
+    const sha = this.resolveRef(ref);
+    return this.git(['ls-tree', '-r', '--name-only', sha]).split('\n').filter(Boolean);
+  }
+
+  /**
+   * List tracked and untracked (not ignored) files in the working tree
+   * @returns {Array<string>} - Paths relative to the repository root
+   */
+  static listWorkingTreeFiles() {
+    const root = this.git(['rev-parse', '--show-toplevel']);
+    return this.git(['ls-files', '--cached', '--others', '--exclude-standard'], root).split('\n').filter(Boolean);
+  }
+
+  /**
+   * List files changed between a ref and HEAD (since their merge base)
+   * @param {string} ref - Branch, tag or SHA
+   * @param {Array<string>} pathspecs - Git pathspecs to limit the diff, e.g. ['*.pot']
+   * @returns {Array<string>} - Paths relative to the repository root
+   */
+  static getChangedFiles(ref, pathspecs = []) {
+    const sha = this.resolveRef(ref);
+    const root = this.git(['rev-parse', '--show-toplevel']);
+    return this.git(['diff', '--name-only', `${sha}...HEAD`, '--', ...pathspecs], root).split('\n').filter(Boolean);
+  }
+
+  /**
+   * Check out a ref into a temporary worktree, run a command there and copy out the generated files
+   * @param {string} ref - Branch, tag or SHA
+   * @param {string} command - Shell command that (re)generates the files
+   * @param {Array<string>} filePaths - Paths of the generated files, relative to the repository root
+   * @returns {Map<string, string|null>} - filePath => path of the temporary copy (null if it was not generated)
+   */
+  static generateAtRef(ref, command, filePaths) {
+    return this.withWorktree(ref, (worktree) => {
+      this.runCommand(command, worktree);
+
+      const outputs = new Map();
+      for (const filePath of filePaths) {
+        const generatedPath = path.join(worktree, this.toRepoPath(filePath));
+        if (fs.existsSync(generatedPath)) {
+          const outputPath = this._tempPath(filePath);
+          fs.copyFileSync(generatedPath, outputPath);
+          outputs.set(filePath, outputPath);
+        } else {
+          outputs.set(filePath, null);
+        }
+      }
+      return outputs;
+    });
+  }
+
+  /**
+   * Check out a ref into a temporary worktree and run a callback in it
+   * The worktree is removed afterwards, even if the callback throws
+   * @param {string} ref - Branch, tag or SHA
+   * @param {Function} callback - Receives the worktree path, its return value is passed through
+   */
+  static withWorktree(ref, callback) {
+    const sha = this.resolveRef(ref);
+    const worktree = fs.mkdtempSync(path.join(this._tempDir(), 'i18n-base-'));
+
+    console.log(`Checking out base ref ${ref} (${sha.substring(0, 7)}) to a temporary worktree`);
+    this.git(['worktree', 'add', '--detach', worktree, sha]);
+
+    try {
+      return callback(worktree);
+    } finally {
+      try {
+        this.git(['worktree', 'remove', '--force', worktree]);
+      } catch (error) {
+        console.warn(`⚠️  Failed to remove temporary worktree: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Run a shell command, streaming its output to the log
+   */
+  static runCommand(command, cwd = process.cwd()) {
+    console.log(`$ ${command}`);
+    try {
+      execSync(command, { cwd, stdio: 'inherit' });
+    } catch (error) {
+      throw new Error(`generate-command failed in ${cwd}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a path to one relative to the repository root, as `git show` expects
+   */
+  static toRepoPath(filePath) {
+    const root = this.git(['rev-parse', '--show-toplevel']);
+    return path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  static _tempDir() {
+    return process.env.RUNNER_TEMP || os.tmpdir();
+  }
+
+  static _tempPath(filePath) {
+    const dir = fs.mkdtempSync(path.join(this._tempDir(), 'i18n-base-pot-'));
+    return path.join(dir, path.basename(filePath));
+  }
+}
+
+module.exports = { GitSource };
@@ -0,0 +1,106 @@
+/**
+ * Minimal glob matching for repository paths
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}` alternatives
+ */
+class Glob {
+  /**
+   * Check whether a pattern contains glob syntax
+   */
+  static isGlob(pattern) {
+    return /[*?{]/.test(pattern);
+  }
+
+  /**
+   * Convert a glob pattern to a regular expression
+   * @param {string} pattern - e.g. "languages/*.pot"
+   * @returns {RegExp}
+   */
+  static toRegExp(pattern) {
+    let source = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*') {
+        if (pattern[i + 1] === '*') {
+          // "**/" matches zero or more directories, a trailing "**" matches everything
+          if (pattern[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i += 1;
+          }
+        } else {
+          source += '[^/]*';
+        }
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        inGroup = true;
+        source += '(?:';
+      } else if (char === '}' && inGroup) {
+        inGroup = false;
+        source += ')';
+      } else if (char === ',' && inGroup) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Check whether a path matches any of the patterns
+   * Like .gitignore, patterns without a slash match in any directory
+   * and a trailing slash matches everything inside a directory (e.g. "vendor/")
+   * @param {string} filePath - Path relative to the repository root
+   * @param {Array<string>} patterns - Glob patterns
+   * @returns {boolean}
+   */
+  static matchesAny(filePath, patterns) {
+    const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    return patterns.some(pattern => {
+      let cleanPattern = pattern.replace(/^\.\//, '');
+      if (cleanPattern.endsWith('/')) {
+        cleanPattern += '**';
+      }
+      const anchored = cleanPattern.replace(/\/\*\*$/, '').includes('/');
+      const fullPattern = anchored ? cleanPattern.replace(/^\//, '') : `**/${cleanPattern}`;
+      return this.toRegExp(fullPattern).test(normalized);
+    });
+  }
+
+  /**
+   * Split a list input (newline or comma separated) into trimmed, non-empty items
+   */
+  static parseList(input) {
+    if (!input) return [];
+
+    // Commas inside {a,b} alternatives don't separate items
+    const items = [];
+    let current = '';
+    let depth = 0;
+    for (const char of input) {
+      if (char === '{') depth++;
+      if (char === '}') depth = Math.max(0, depth - 1);
+
+      if (char === '\n' || (char === ',' && depth === 0)) {
+        items.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+
+    return items
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+}
+
+module.exports = { Glob };
@@ -0,0 +1,253 @@
+/**
+ * Converts the Markdown report to a standalone HTML page, for the full report artifact
+ * Only the Markdown the Reporter writes is supported: headings, tables, quotes, lists,
+ * code fences, <details> sections and inline emphasis, code, links and diff tags
+ */
+class HTMLReport {
+  /**
+   * HTML tags the Reporter writes itself, everything else is escaped
+   */
+  static ALLOWED_TAGS = ['details', 'summary', 'strong', 'em', 'code', 'del', 'ins', 'br'];
+
+  static STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1200px; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+    table { border-collapse: collapse; margin: 1rem 0; }
+    th, td { border: 1px solid #d1d9e0; padding: 6px 13px; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    blockquote { margin: 1rem 0; padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+    code { background: #eff1f3; padding: 0.2em 0.4em; border-radius: 6px; font-size: 85%; }
+    pre { background: #f6f8fa; padding: 1rem; border-radius: 6px; overflow: auto; }
+    pre code { background: none; padding: 0; }
+    del { background: #ffebe9; }
+    ins { background: #dafbe1; text-decoration: none; }
+    .diff-removed { color: #82071e; }
+    .diff-added { color: #116329; }
+    summary { cursor: pointer; margin: 0.5rem 0; }`;
+
+  /**
+   * Render a Markdown report as an HTML document
+   * @param {string} markdown - From Reporter.generateMarkdownReport()
+   * @param {Object} options - { title }
+   */
+  static render(markdown, { title = 'i18n String Review Report' } = {}) {
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${this.escapeHTML(title)}</title>`,
+      `<style>${this.STYLE}\n</style>`,
+      '</head>',
+      '<body>',
+      this.renderBody(markdown),
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render Markdown blocks to HTML, without the document around them
+   */
+  static renderBody(markdown) {
+    const lines = (markdown || '').split('\n');
+    const html = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => this.renderInline(line)).join('<br>\n')}</p>`);
+        paragraph = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Code fences, closed by a fence at least as long
+      const fence = /^(`{3,})(\w*)\s*$/.exec(line);
+      if (fence) {
+        flushParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !(lines[i].startsWith(fence[1]) && /^`+\s*$/.test(lines[i]))) {
+          code.push(lines[i]);
+          i++;
+        }
+        html.push(this._renderCode(code, fence[2]));
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushParagraph();
+        continue;
+      }
+
+      const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+      if (heading) {
+        flushParagraph();
+        html.push(`<h${heading[1].length}>${this.renderInline(heading[2])}</h${heading[1].length}>`);
+        continue;
+      }
+
+      // Tables need a separator row below the header
+      if (line.startsWith('|') && /^\|[\s:|-]+\|$/.test(lines[i + 1] || '')) {
+        flushParagraph();
+        const rows = [line];
+        i += 2;
+        while (i < lines.length && lines[i].startsWith('|')) {
+          rows.push(lines[i]);
+          i++;
+        }
+        i--;
+        html.push(this._renderTable(rows));
+        continue;
+      }
+
+      if (line.startsWith('>')) {
+        flushParagraph();
+        const quoted = [];
+        while (i < lines.length && lines[i].startsWith('>')) {
+          quoted.push(lines[i].replace(/^>\s?/, ''));
+          i++;
+        }
+        i--;
+        html.push(`<blockquote>\n${this.renderBody(quoted.join('\n'))}\n</blockquote>`);
+        continue;
+      }
+
+      if (/^[-*] /.test(line)) {
+        flushParagraph();
+        const items = [];
+        while (i < lines.length && /^[-*] /.test(lines[i])) {
+          items.push(`<li>${this.renderInline(lines[i].slice(2))}</li>`);
+          i++;
+        }
+        i--;
+        html.push(`<ul>\n${items.join('\n')}\n</ul>`);
+        continue;
+      }
+
+      // The <details> sections of the report, open ones like the placeholder issues too
+      if (/^<(?:details(?: open)?|\/details)>$/.test(line.trim())) {
+        flushParagraph();
+        html.push(line.trim());
+        continue;
+      }
+      const summary = /^<summary>(.*)<\/summary>$/.exec(line.trim());
+      if (summary) {
+        flushParagraph();
+        html.push(`<summary>${this.renderInline(summary[1])}</summary>`);
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+
+    flushParagraph();
+    return html.join('\n');
+  }
+
+  /**
+   * Render inline Markdown: code spans, backslash escapes, emphasis, links and the allowed tags
+   */
+  static renderInline(text) {
+    const parts = [];
+    // Code spans are taken literally, so split them off first
+    const pattern = /(`+)([\s\S]*?[^`])\1(?!`)/g;
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      parts.push(this._renderText(text.slice(last, match.index)));
+      parts.push(`<code>${this.escapeHTML(match[2].trim())}</code>`);
+      last = match.index + match[0].length;
+    }
+    parts.push(this._renderText(text.slice(last)));
+    return parts.join('');
+  }
+
+  static escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render text outside code spans
+   */
+  static _renderText(text) {
+    // Backslash escapes become placeholders, so they don't count as Markdown syntax
+    const escapes = [];
+    let html = text.replace(/\\([\\`*_{}[\]()#+\-.!|<>])/g, (match, char) => {
+      escapes.push(char);
+      return `\u0000${escapes.length - 1}\u0000`;
+    });
+
+    // Keep entities and allowed tags, escape everything else
+    html = html.replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;');
+    html = html.replace(/<(\/?)([a-z]+)(\s[^<>]*)?>|[<>"]/gi, (match, slash, tag, attributes) => {
+      if (tag && this.ALLOWED_TAGS.includes(tag.toLowerCase()) && !attributes) return match;
+      return this.escapeHTML(match);
+    });
+
+    html = html
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+        /^(https?:\/\/|#)/.test(url) ? `<a href="${url}">${label}</a>` : match);
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => this.escapeHTML(escapes[index]));
+  }
+
+  static _renderTable(rows) {
+    const [header, ...body] = rows.map(row => this._splitRow(row));
+    const cells = (tag, values) => values.map(value => `<${tag}>${this.renderInline(value)}</${tag}>`).join('');
+    return [
+      '<table>',
+      `<thead><tr>${cells('th', header)}</tr></thead>`,
+      '<tbody>',
+      ...body.map(values => `<tr>${cells('td', values)}</tr>`),
+      '</tbody>',
+      '</table>'
+    ].join('\n');
+  }
+
+  /**
+   * Split a table row at unescaped pipes
+   */
+  static _splitRow(row) {
+    const cells = [];
+    let cell = '';
+    for (let i = 1; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        cell += '\\|';
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    if (cell.trim()) cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Code fences, with removed and added lines colored in diff blocks
+   */
+  static _renderCode(lines, language) {
+    const code = lines.map(line => {
+      const escaped = this.escapeHTML(line);
+      if (language !== 'diff') return escaped;
+      if (line.startsWith('-')) return `<span class="diff-removed">${escaped}</span>`;
+      if (line.startsWith('+')) return `<span class="diff-added">${escaped}</span>`;
+      return escaped;
+    });
+    return `<pre><code${language ? ` class="language-${language}"` : ''}>${code.join('\n')}</code></pre>`;
+  }
+}
+
+module.exports = { HTMLReport };
@@ -3,82 +3,466 @@ const github = require('@actions/github');
 const { POTComparator } = require('./comparator');
 const { Reporter } = require('./reporter');
 const { LLMMatcher } = require('./llm-matcher');
+const { SimilarityMatcher } = require('./similarity-matcher');
+const { createProvider } = require('./llm-providers');
+const { CandidateIndex } = require('./candidate-index');
+const { POTFiles } = require('./pot-files');
+const { Glob } = require('./glob');
+const { StringExtractor } = require('./extractor');
+const { Config } = require('./config');
+const { Annotations } = require('./annotations');
+const { ReviewSuggestions } = require('./review-suggestions');
+const { StringLinter } = require('./string-linter');
+const { PlaceholderChecker } = require('./placeholder-checker');
+const { CostEstimator } = require('./cost-estimator');
+const { PolicyEngine } = require('./policy-engine');
+const { StringFreeze } = require('./string-freeze');
+const { ChatOps } = require('./chatops');
+const { DecisionStore } = require('./decision-store');
+const { ReportComments } = require('./report-comments');
+const { HTMLReport } = require('./html-report');
+const { StringExporter } = require('./exporter');
+const { TranslationCoverage } = require('./translation-coverage');
+const { TranslationMemory } = require('./translation-memory');
 const fs = require('fs');
 const path = require('path');
 
 async function run() {
   try {
     // Get inputs
-    const basePotFile = core.getInput('base-pot-file', { required: true });
-    const targetPotFile = core.getInput('target-pot-file', { required: true });
+    const basePotFile = core.getInput('base-pot-file');
+    const potFiles = Glob.parseList(core.getInput('pot-files'));
+    const discoverPotFiles = core.getInput('discover-pot-files') === 'true';
+    const multiFile = potFiles.length > 0 || discoverPotFiles;
+    const extractSources = Glob.parseList(core.getInput('extract-sources'));
+    const extractExclude = Glob.parseList(core.getInput('extract-exclude'));
+    const textDomain = core.getInput('text-domain');
+    const extractMode = extractSources.length > 0;
+    let baseRef = core.getInput('base-ref');
+    const generateCommand = core.getInput('generate-command');
+    // With base-ref, base-pot-file is a path inside the repo, so the target usually is the same path
+    let targetPotFile = core.getInput('target-pot-file') || (baseRef ? basePotFile : '');
     const failOnChanges = core.getInput('fail-on-changes') === 'true';
     const githubToken = core.getInput('github-token');
     const commentOnPR = core.getInput('comment-on-pr') === 'true';
-    const openrouterKey = core.getInput('openrouter-key');
-    const openrouterModel = core.getInput('openrouter-model') || 'anthropic/claude-3.5-sonnet';
+    const reportJsonFile = core.getInput('report-json-file');
+    const fullReportDir = core.getInput('full-report-dir');
+    const translationFiles = Glob.parseList(core.getInput('translation-files'));
+    const translationMemoryFiles = Glob.parseList(core.getInput('translation-memory'));
+    const exportFormats = Glob.parseList(core.getInput('export-formats'));
+    const exportDir = core.getInput('export-dir') || 'i18n-export';
+    const publishCheckRun = core.getInput('check-run') === 'true';
+    const sarifFile = core.getInput('sarif-file');
+    const sourceRoot = core.getInput('source-root');
+    const reviewSuggestions = core.getInput('review-suggestions') === 'true';
+    const lintStrings = core.getInput('lint') !== 'false';
+    // openrouter-key / openrouter-model are kept as backward-compatible aliases
+    const llmProviderName = core.getInput('llm-provider') || 'openrouter';
+    const llmProvider = createProvider({
+      provider: llmProviderName,
+      apiKey: core.getInput('llm-api-key') || (llmProviderName === 'openrouter' ? core.getInput('openrouter-key') : ''),
+      model: core.getInput('llm-model') || (llmProviderName === 'openrouter' ? core.getInput('openrouter-model') : ''),
+      baseUrl: core.getInput('llm-base-url')
+    });
 
-    console.log('🌍 i18n String Reviewer');
-    console.log('========================');
-    console.log(`Base POT file: ${basePotFile}`);
-    console.log(`Target POT file: ${targetPotFile}`);
-    if (openrouterKey) {
-      console.log(`LLM Matching: Enabled (${openrouterModel})`);
+    // Settings from the config file, action inputs take precedence
+    const configFile = core.getInput('config-file');
+    let config;
+    try {
+      config = Config.load(configFile || Config.DEFAULT_FILE, { required: Boolean(configFile) });
+    } catch (error) {
+      core.setFailed(error.message);
+      return;
     }
-    console.log('');
+    const { matching } = config;
+    const parseInteger = value => parseInt(value, 10);
+    const localMatching = Config.inputOr(core.getInput('local-matching'), matching.local, value => value !== 'false') ?? true;
+    const localMatchThreshold = Config.inputOr(core.getInput('local-match-threshold'), matching.localThreshold, parseFloat) ?? SimilarityMatcher.DEFAULT_THRESHOLD;
+    const llmBatchSize = Config.inputOr(core.getInput('llm-batch-size'), matching.llmBatchSize, parseInteger) || LLMMatcher.DEFAULT_BATCH_SIZE;
+    const candidateLimit = Config.inputOr(core.getInput('llm-candidate-limit'), matching.llmCandidateLimit, parseInteger) ?? CandidateIndex.DEFAULT_TOP_K;
+    const maxCandidateLength = matching.maxCandidateLength ?? SimilarityMatcher.MAX_CANDIDATE_LENGTH;
+    const countChangesInput = Glob.parseList(core.getInput('count-changes'));
+    const countedKinds = countChangesInput.length > 0 ? countChangesInput : config.countChanges;
+    const compareOptions = {
+      detectReworded: Config.inputOr(core.getInput('detect-reworded'), matching.detectReworded, value => value !== 'false') ?? true,
+      rewordThreshold: Config.inputOr(core.getInput('reword-threshold'), matching.rewordThreshold, parseFloat) ?? POTComparator.DEFAULT_REWORD_THRESHOLD,
+      countedKinds: countedKinds && countedKinds.length > 0 ? countedKinds : POTComparator.DEFAULT_COUNTED_KINDS,
+      ignore: Config.createIgnoreFilter(config.ignore)
+    };
 
-    // Validate files exist
-    if (!fs.existsSync(basePotFile)) {
-      core.setFailed(`Base POT file not found: ${basePotFile}`);
+    const diffStyle = Config.inputOr(core.getInput('diff-style'), config.report.diffStyle) ?? Reporter.DEFAULT_DIFF_STYLE;
+    if (!Reporter.DIFF_STYLES.includes(diffStyle)) {
+      core.setFailed(`Unknown diff-style "${diffStyle}". Valid styles: ${Reporter.DIFF_STYLES.join(', ')}`);
       return;
     }
 
-    if (!fs.existsSync(targetPotFile)) {
-      core.setFailed(`Target POT file not found: ${targetPotFile}`);
+    let costEstimator;
+    try {
+      const locales = Config.inputOr(core.getInput('cost-locales'), config.cost.locales, value => CostEstimator.parseLocales(Glob.parseList(value)));
+      costEstimator = new CostEstimator({ ...config.cost, locales });
+    } catch (error) {
+      core.setFailed(error.message);
       return;
     }
 
-    // Create comparator and run comparison
-    const comparator = new POTComparator(basePotFile, targetPotFile);
-    comparator.loadPOTFiles();
-    comparator.compare();
+    const unknownFormats = exportFormats.filter(format => !(format in StringExporter.FORMATS));
+    if (unknownFormats.length > 0) {
+      core.setFailed(`Unknown export format(s): ${unknownFormats.join(', ')}. Valid formats: ${Object.keys(StringExporter.FORMATS).join(', ')}`);
+      return;
+    }
 
-    // Get results
-    const results = comparator.getResults();
+    const unknownKinds = compareOptions.countedKinds.filter(kind => !(kind in POTComparator.CHANGE_KINDS));
+    if (unknownKinds.length > 0) {
+      core.setFailed(`Unknown change kind(s) in count-changes: ${unknownKinds.join(', ')}. Valid kinds: ${Object.keys(POTComparator.CHANGE_KINDS).join(', ')}`);
+      return;
+    }
 
-    // Initialize GitHub context for PR operations (commenting and caching)
+    console.log('🌍 i18n String Reviewer');
+    console.log('========================');
+    if (extractMode) {
+      console.log(`Source files: ${extractSources.join(', ')}${textDomain ? ` (text domain ${textDomain})` : ''}`);
+      console.log(`Base ref: ${baseRef}`);
+    } else if (multiFile) {
+      console.log(`POT files: ${potFiles.join(', ') || '-'}${discoverPotFiles ? ' (+ changed .pot files)' : ''}`);
+      console.log(`Base ref: ${baseRef}`);
+    } else {
+      console.log(`Base POT file: ${basePotFile}${baseRef ? ` (at ${baseRef})` : ''}`);
+      console.log(`Target POT file: ${targetPotFile}`);
+    }
+    if (generateCommand) {
+      console.log(`Generate command: ${generateCommand}`);
+    }
+    if (localMatching) {
+      console.log(`Local Matching: Enabled (threshold ${localMatchThreshold})`);
+    }
+    if (llmProvider) {
+      console.log(`LLM Matching: Enabled (${llmProvider.name}, ${llmProvider.model})`);
+    }
+    console.log('');
+
+    // PR comments only run the review for /i18n commands
+    const isCommentEvent = github.context.eventName === 'issue_comment';
+    const { comment } = github.context.payload;
+    let commands = [];
+    let commandErrors = [];
+    if (isCommentEvent) {
+      if (!github.context.payload.issue?.pull_request) {
+        console.log('ℹ️  Not a pull request comment, nothing to do');
+        return;
+      }
+      ({ commands, errors: commandErrors } = ChatOps.parse(comment?.body));
+      if (commands.length === 0 && commandErrors.length === 0) {
+        console.log(`ℹ️  No ${ChatOps.PREFIX} commands in the comment, nothing to do`);
+        return;
+      }
+      if (!githubToken) {
+        core.setFailed(`github-token is required to run ${ChatOps.PREFIX} commands`);
+        return;
+      }
+    }
+
+    // Initialize GitHub context for PR operations (commenting, caching and reviewer decisions)
     let octokit = null;
     let prContext = null;
-    
-    if (githubToken && github.context.eventName === 'pull_request') {
+    let pullRequest = github.context.payload.pull_request || null;
+    let decisions = new DecisionStore();
+
+    if (githubToken && (github.context.eventName === 'pull_request' || isCommentEvent)) {
       octokit = github.getOctokit(githubToken);
       const { owner, repo } = github.context.repo;
-      const pullRequestNumber = github.context.payload.pull_request?.number;
-      
+      const pullRequestNumber = pullRequest?.number || github.context.payload.issue?.number;
+
       if (pullRequestNumber) {
         prContext = { owner, repo, pullRequestNumber };
-        
+
+        if (isCommentEvent) {
+          if (!ChatOps.isPermitted(comment.author_association)) {
+            console.log(`⛔ @${comment.user.login} may not run ${ChatOps.PREFIX} commands`);
+            await ChatOps.respond(octokit, {
+              ...prContext,
+              commentId: comment.id,
+              errors: [`Only people with write access to the repository can run \`${ChatOps.PREFIX}\` commands`]
+            });
+            return;
+          }
+          // Comment events don't carry the pull request, and run on the default branch
+          ({ data: pullRequest } = await octokit.rest.pulls.get({ owner, repo, pull_number: pullRequestNumber }));
+          // so compare against the base branch of the pull request, unless base-ref is set
+          if (!baseRef) {
+            baseRef = pullRequest.base.ref;
+            targetPotFile = targetPotFile || basePotFile;
+            console.log(`Base ref: ${baseRef} (base branch of the pull request)`);
+          }
+        }
+
+        decisions = await DecisionStore.load(octokit, prContext);
+        ChatOps.applyIgnores(commands, decisions, comment?.user?.login);
+
         // Initialize LLM cache with PR context if LLM is enabled
-        if (openrouterKey) {
-          await LLMMatcher.initCache('.llm-cache.json', octokit, prContext);
+        if (llmProvider) {
+          const rematch = commands.some(({ name }) => name === 'rematch');
+          await LLMMatcher.initCache('.llm-cache.json', octokit, prContext, { fresh: rematch });
+        }
+      }
+    }
+
+    // Strings ignored by reviewers are left out like those of the ignore rules
+    compareOptions.ignore = decisions.createIgnoreFilter(compareOptions.ignore);
+
+    let domains;
+    if (extractMode) {
+      // Build entries straight from the source code on both refs
+      if (!baseRef) {
+        core.setFailed('extract-sources requires base-ref, to extract the base strings');
+        return;
+      }
+
+      let extracted;
+      try {
+        extracted = StringExtractor.extractRefs({
+          baseRef,
+          include: extractSources,
+          exclude: extractExclude.length > 0 ? extractExclude : StringExtractor.DEFAULT_EXCLUDE,
+          textDomain
+        });
+      } catch (error) {
+        core.setFailed(error.message);
+        return;
+      }
+
+      const comparator = new POTComparator(null, null);
+      comparator.loadEntries(extracted.baseEntries, extracted.targetEntries);
+      comparator.compare(compareOptions);
+
+      domains = [{
+        domain: textDomain || 'default',
+        file: extractSources.join(', '),
+        results: comparator.getResults(),
+        baseEntries: comparator.baseEntries,
+        targetEntries: comparator.targetEntries
+      }];
+    } else {
+      if (!multiFile && !basePotFile) {
+        core.setFailed('base-pot-file is required unless pot-files, discover-pot-files or extract-sources is set');
+        return;
+      }
+
+      if (!multiFile && !targetPotFile) {
+        core.setFailed('target-pot-file is required unless base-ref is set');
+        return;
+      }
+
+      // Resolve the POT file pairs, reading base files from the git checkout and (re)generating them if requested
+      let pairs;
+      try {
+        pairs = POTFiles.resolvePairs({
+          basePotFile,
+          targetPotFile,
+          baseRef,
+          generateCommand,
+          potFiles,
+          discover: discoverPotFiles
+        });
+      } catch (error) {
+        core.setFailed(error.message);
+        return;
+      }
+
+      // Validate files exist
+      if (!multiFile) {
+        const { basePath, targetPath } = pairs[0];
+        if (!fs.existsSync(basePath)) {
+          core.setFailed(`Base POT file not found: ${basePath}`);
+          return;
+        }
+
+        if (!fs.existsSync(targetPath)) {
+          core.setFailed(`Target POT file not found: ${targetPath}`);
+          return;
         }
       }
+
+      // Create a comparator per POT file and run comparison
+      domains = pairs.map(({ file, basePath, targetPath }) => {
+        const comparator = new POTComparator(basePath, targetPath);
+        comparator.loadPOTFiles();
+        comparator.compare(compareOptions);
+
+        return {
+          domain: comparator.getTextDomain(file),
+          file,
+          results: comparator.getResults(),
+          baseEntries: comparator.baseEntries,
+          targetEntries: comparator.targetEntries
+        };
+      });
+    }
+
+    // Lint the new and changed strings of each POT file and check their placeholders
+    const linter = lintStrings && config.lint !== false ? new StringLinter(config.lint) : null;
+    for (const domain of domains) {
+      domain.results.lintFindings = linter ? linter.lintResults(domain.results) : [];
+      domain.results.placeholderIssues = PlaceholderChecker.check(domain.results);
     }
 
+    // Get results, combined across all POT files
+    const results = POTComparator.combineResults(domains.map(({ results }) => results), compareOptions.countedKinds);
+    results.lintFindings = domains.flatMap(domain => domain.results.lintFindings);
+    results.placeholderIssues = domains.flatMap(domain => domain.results.placeholderIssues);
+    const lintErrorCount = results.lintFindings.filter(finding => finding.severity === 'error').length;
+    const lintWarningCount = results.lintFindings.filter(finding => finding.severity === 'warning').length;
+
     // Generate reports
-    const jsonReport = Reporter.generateJSONReport(results);
-    const markdownReport = await Reporter.generateMarkdownReport(
-      results,
-      comparator.baseEntries,
-      openrouterKey,
-      openrouterModel
-    );
+    const reportOptions = {
+      localMatching,
+      localMatchThreshold,
+      llmBatchSize,
+      candidateLimit,
+      maxCandidateLength,
+      ...config.report,
+      diffStyle
+    };
+
+    // Suggestions are shared by the Markdown and JSON reports
+    const suggestions = new Map();
+    for (const domain of domains) {
+      domain.suggestions = await Reporter.collectSuggestions(domain.results, domain.baseEntries, llmProvider, reportOptions);
+      for (const [msgid, suggestion] of domain.suggestions) {
+        if (!suggestions.has(msgid)) suggestions.set(msgid, suggestion);
+      }
+    }
+
+    // Translation cost of the PR, only when target locales are configured
+    const costEstimate = costEstimator.estimate(results, suggestions);
+    if (costEstimate) {
+      reportOptions.costEstimate = costEstimate;
+      console.log(`💰 Estimated cost: ${costEstimate.cost.toFixed(2)} ${costEstimate.currency} (${costEstimate.hours} hours), ${costEstimate.savings.toFixed(2)} ${costEstimate.currency} less when reusing the suggested matches`);
+    }
+
+    // Reviewer decisions: commands that need this run's suggestions, then the accepted suggestions
+    const fingerprint = DecisionStore.fingerprint(results);
+    if (isCommentEvent) {
+      commandErrors.push(...ChatOps.applyReviews(commands, decisions, {
+        user: comment.user.login,
+        author: pullRequest.user?.login,
+        suggestions,
+        fingerprint
+      }));
+      await decisions.save(octokit, prContext);
+      await ChatOps.respond(octokit, { ...prContext, commentId: comment.id, errors: commandErrors });
+    }
+    for (const domain of domains) {
+      decisions.applyAccepted(domain.suggestions);
+    }
+    decisions.applyAccepted(suggestions);
+    reportOptions.decisions = prContext ? decisions.summarize(fingerprint) : null;
+
+    // What the changes do to the existing translations per locale, and how the suggested matches are translated
+    let translationCoverage = null;
+    let translationMemory = null;
+    if (translationFiles.length > 0 || translationMemoryFiles.length > 0) {
+      try {
+        const coverage = translationFiles.length > 0 ? TranslationCoverage.load(translationFiles) : null;
+        translationCoverage = coverage && coverage.analyze(domains, suggestions);
+        translationMemory = TranslationMemory.load(coverage ? coverage.catalogs : [], translationMemoryFiles);
+      } catch (error) {
+        core.setFailed(`Failed to read the translation files: ${error.message}`);
+        return;
+      }
+      reportOptions.translationCoverage = translationCoverage;
+      reportOptions.translationMemory = translationMemory;
+    }
+
+    // Policies and freeze windows come from the config file of the base ref, so a pull request can't loosen them
+    let gatingConfig = config;
+    if (baseRef) {
+      try {
+        gatingConfig = Config.loadAtRef(baseRef, configFile || Config.DEFAULT_FILE);
+      } catch (error) {
+        core.setFailed(error.message);
+        return;
+      }
+    }
+
+    // Policies of the base branch, e.g. stricter rules for release branches
+    const baseBranch = pullRequest?.base?.ref || process.env.GITHUB_BASE_REF || baseRef;
+    const labels = (pullRequest?.labels || []).map(label => label.name);
+    const policyEngine = new PolicyEngine(gatingConfig.policies);
+    results.policyFailures = policyEngine.evaluate({ results, suggestions, baseBranch, labels, approvers: decisions.getApprovers(fingerprint) });
+    reportOptions.policyFailures = results.policyFailures;
+
+    // String freeze of the base branch, milestone or date
+    const stringFreeze = new StringFreeze(gatingConfig.stringFreeze);
+    results.stringFreeze = stringFreeze.check(results, { baseBranch, milestone: pullRequest?.milestone?.title, labels });
+    reportOptions.stringFreeze = results.stringFreeze;
+    const freezeBroken = Boolean(results.stringFreeze) && !results.stringFreeze.exempt && results.stringFreeze.violations.length > 0;
+    if (results.stringFreeze) {
+      console.log(`🧊 String freeze "${results.stringFreeze.window.name}" is active${results.stringFreeze.exempt ? ` (exempt by the "${results.stringFreeze.exceptionLabel}" label)` : ''}`);
+    }
+
+    const renderMarkdown = options => domains.length === 1
+      ? Reporter.generateMarkdownReport(results, domains[0].baseEntries, llmProvider, { ...options, suggestions: domains[0].suggestions })
+      : Reporter.generateMultiDomainMarkdownReport(domains, llmProvider, options);
+    const markdownReport = await renderMarkdown(reportOptions);
+
+    // The full report has every row and untruncated strings, for a workflow to upload as an artifact
+    let fullReportUrl = null;
+    if (fullReportDir && markdownReport) {
+      const fullReport = await renderMarkdown({ ...reportOptions, maxRows: Infinity, stringLength: Infinity, locationLength: Infinity });
+      fs.mkdirSync(fullReportDir, { recursive: true });
+      fs.writeFileSync(path.join(fullReportDir, 'report.md'), fullReport + '\n', 'utf8');
+      fs.writeFileSync(path.join(fullReportDir, 'report.html'), HTMLReport.render(fullReport), 'utf8');
+      console.log(`✓ Wrote the full report to ${path.join(fullReportDir, 'report.md')} and report.html`);
+      if (github.context.runId) {
+        fullReportUrl = `${github.context.serverUrl}/${github.context.repo.owner}/${github.context.repo.repo}/actions/runs/${github.context.runId}`;
+      }
+    }
+    const jsonReport = Reporter.generateJSONReport(results, { suggestions, domains, costEstimate, translationCoverage, translationMemory, decisions: reportOptions.decisions });
+
+    if (reportJsonFile) {
+      fs.mkdirSync(path.dirname(path.resolve(reportJsonFile)), { recursive: true });
+      fs.writeFileSync(reportJsonFile, JSON.stringify(jsonReport, null, 2) + '\n', 'utf8');
+      console.log(`✓ Wrote JSON report to ${reportJsonFile}`);
+    }
+
+    // Files for translation vendors
+    let exportFiles = {};
+    if (exportFormats.length > 0) {
+      const exporter = new StringExporter({
+        sourceLanguage: core.getInput('export-source-language') || StringExporter.DEFAULT_SOURCE_LANGUAGE,
+        targetLanguage: core.getInput('export-target-language')
+      });
+      exportFiles = exporter.write(exportDir, exportFormats, domains, suggestions);
+    }
 
     // Set outputs
     core.setOutput('added-count', results.addedCount);
     core.setOutput('removed-count', results.removedCount);
     core.setOutput('changed-count', results.changedCount);
+    core.setOutput('reworded-count', results.rewordedCount);
+    core.setOutput('context-changed-count', results.contextChangedCount);
+    core.setOutput('pluralized-count', results.pluralizedCount);
+    core.setOutput('comment-changed-count', results.commentChangedCount);
+    core.setOutput('flags-changed-count', results.flagsChangedCount);
+    core.setOutput('moved-count', results.movedCount);
     core.setOutput('total-changes', results.totalChanges);
+    core.setOutput('placeholder-issue-count', results.placeholderIssues.length);
+    core.setOutput('lint-error-count', lintErrorCount);
+    core.setOutput('lint-warning-count', lintWarningCount);
+    if (costEstimate) {
+      core.setOutput('estimated-cost', costEstimate.cost);
+      core.setOutput('estimated-hours', costEstimate.hours);
+      core.setOutput('estimated-words', costEstimate.weightedWords);
+      core.setOutput('potential-savings', costEstimate.savings);
+    }
+    core.setOutput('policy-failure-count', results.policyFailures.length);
+    core.setOutput('string-freeze-active', Boolean(results.stringFreeze));
+    core.setOutput('string-freeze-violation-count', results.stringFreeze ? results.stringFreeze.violations.length : 0);
+    if (exportFiles.csv) core.setOutput('csv-export-file', exportFiles.csv);
+    if (exportFiles['xliff-1.2']) core.setOutput('xliff12-export-file', exportFiles['xliff-1.2']);
+    if (exportFiles['xliff-2.0']) core.setOutput('xliff20-export-file', exportFiles['xliff-2.0']);
     core.setOutput('report', markdownReport || '');
+    core.setOutput('report-json', JSON.stringify(jsonReport));
 
     // Display report in logs (only if there are changes)
     if (markdownReport) {
@@ -92,77 +476,96 @@ async function run() {
         .write();
     }
 
-    // Comment on PR if requested
+    // Annotate the referenced source lines
+    const annotations = Annotations.collect(results, suggestions, { sourceRoot });
+    if (sarifFile) {
+      Annotations.writeSARIF(sarifFile, annotations);
+    }
+
+    if (publishCheckRun && octokit && prContext) {
+      try {
+        await Annotations.publishCheckRun(octokit, {
+          owner: prContext.owner,
+          repo: prContext.repo,
+          headSha: pullRequest?.head?.sha || github.context.sha,
+          annotations,
+          summary: [
+            `${results.totalChanges} change(s): ${results.addedCount} added, ${results.removedCount} removed, ${results.changedCount} changed`,
+            ...(freezeBroken ? [`🧊 ${StringFreeze.formatFailure(results.stringFreeze)}`] : []),
+            ...results.policyFailures.map(failure => `❌ ${PolicyEngine.formatFailure(failure)}`)
+          ].join('\n\n'),
+          text: markdownReport || '',
+          failed: freezeBroken || results.policyFailures.length > 0
+        });
+      } catch (error) {
+        core.warning(`Failed to publish check run (the token needs checks: write): ${error.message}`);
+      }
+    }
+
+    // Suggest swapping new strings for existing ones right in the diff
+    if (reviewSuggestions && octokit && prContext) {
+      try {
+        await ReviewSuggestions.post(octokit, {
+          owner: prContext.owner,
+          repo: prContext.repo,
+          pullRequestNumber: prContext.pullRequestNumber,
+          commitId: pullRequest?.head?.sha || github.context.sha,
+          results,
+          suggestions,
+          candidates: domains.flatMap(domain => Reporter.getCandidatePool(domain.results, domain.baseEntries)),
+          sourceRoot
+        });
+      } catch (error) {
+        core.warning(`Failed to post review suggestions: ${error.message}`);
+      }
+    }
+
+    // Comment on PR if requested, split across comments when the report is too long for one
     if (commentOnPR && octokit && prContext) {
       try {
-        const { owner, repo, pullRequestNumber } = prContext;
-        
-        if (pullRequestNumber) {
-          // Add a unique identifier to find this comment later
-          const commentIdentifier = '<!-- i18n-string-reviewer-report -->';
-
-          // Find existing comment from this action
-          const { data: comments } = await octokit.rest.issues.listComments({
-            owner,
-            repo,
-            issue_number: pullRequestNumber,
-          });
-
-          const existingComment = comments.find(comment => 
-            comment.body?.includes(commentIdentifier)
-          );
-
-          if (results.totalChanges > 0) {
-            // There are changes - post or update comment
-            const commentBody = `${commentIdentifier}\n${markdownReport}`;
-
-            if (existingComment) {
-              // Update existing comment
-              await octokit.rest.issues.updateComment({
-                owner,
-                repo,
-                comment_id: existingComment.id,
-                body: commentBody
-              });
-              console.log('\n✓ Updated existing PR comment');
-            } else {
-              // Create new comment
-              await octokit.rest.issues.createComment({
-                owner,
-                repo,
-                issue_number: pullRequestNumber,
-                body: commentBody
-              });
-              console.log('\n✓ Posted new comment to PR');
-            }
-          } else {
-            // No changes - delete existing comment if it exists
-            if (existingComment) {
-              await octokit.rest.issues.deleteComment({
-                owner,
-                repo,
-                comment_id: existingComment.id
-              });
-              console.log('\n✓ Deleted existing PR comment (no changes detected)');
-            }
-          }
-        }
+        const bodies = results.totalChanges > 0 ? ReportComments.split(markdownReport, { fullReportUrl }) : [];
+        await ReportComments.publish(octokit, prContext, bodies);
       } catch (error) {
         core.warning(`Failed to comment on PR: ${error.message}`);
       }
     }
 
     // Save LLM cache if it was used
-    if (openrouterKey) {
+    if (llmProvider) {
       await LLMMatcher.saveCache();
     }
 
+    // Fail on string changes during a freeze, listing them and how to request an exemption
+    if (freezeBroken) {
+      core.setFailed(StringFreeze.formatFailure(results.stringFreeze));
+      return;
+    }
+
     // Fail if requested and changes detected
     if (failOnChanges && results.totalChanges > 0) {
       core.setFailed(`Changes detected in POT file (${results.totalChanges} total changes). Failing as requested.`);
       return;
     }
 
+    // Fail if a per-category rule from the config file is broken
+    const failures = Config.checkFailRules(config.failOn, results);
+    if (failures.length > 0) {
+      core.setFailed(`Changes not allowed by the fail-on rules: ${failures.join(', ')}`);
+      return;
+    }
+
+    // Fail on error-level lint findings
+    if (lintErrorCount > 0) {
+      core.setFailed(`String lint found ${lintErrorCount} error(s), see the String Lint section of the report`);
+      return;
+    }
+
+    // Fail when a policy of the base branch is broken, naming each failed policy and rule
+    if (results.policyFailures.length > 0) {
+      core.setFailed(results.policyFailures.map(failure => PolicyEngine.formatFailure(failure)).join('\n'));
+      return;
+    }
+
     // Success
     if (results.totalChanges === 0) {
       console.log('\n✅ No changes detected');
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { ReportComments } = require('./report-comments');
 
 class LLMCache {
   constructor(cacheFilePath = '.llm-cache.json', octokit = null, prContext = null) {
@@ -41,83 +42,56 @@ class LLMCache {
         return null;
       }
 
-      // Parse markdown tables to extract String -> Suggested Match mappings
-      // We need to find tables and parse them line by line to avoid regex confusion
-      
-      // Split into lines and process sequentially
+      // Parse the Added and Changed Strings tables line by line, reading String -> Suggested Match
       const lines = commentBody.split('\n');
-      let inAddedTable = false;
-      let inChangedTable = false;
-      let tableColumnCount = 0;
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
+      let inSuggestionTable = false;
+      // Column positions from the header row of the current table, e.g. | String | Changes | Words | Suggested Match |
+      let columns = null;
+
+      for (const rawLine of lines) {
+        const line = rawLine.trim();
+
         // Detect table type
-        if (line.includes('Added Strings')) {
-          inAddedTable = true;
-          inChangedTable = false;
-          continue;
-        } else if (line.includes('Changed Strings')) {
-          inChangedTable = true;
-          inAddedTable = false;
+        if (line.startsWith('<summary>') && (line.includes('Added Strings') || line.includes('Changed Strings'))) {
+          inSuggestionTable = true;
+          columns = null;
           continue;
-        } else if (line.includes('Removed Strings')) {
-          inAddedTable = false;
-          inChangedTable = false;
-          continue;
-        } else if (line === '</details>') {
-          inAddedTable = false;
-          inChangedTable = false;
+        } else if (line.startsWith('<summary>') || line === '</details>') {
+          inSuggestionTable = false;
           continue;
         }
-        
+
         // Skip non-table lines
-        if (!line.startsWith('|') || !line.endsWith('|')) {
+        if (!inSuggestionTable || !line.startsWith('|') || !line.endsWith('|')) {
           continue;
         }
-        
-        // Parse table row
-        const cells = line.split('|').map(c => c.trim()).filter(c => c.length > 0);
-        
-        // Skip headers, separators, and footer rows
-        if (cells.length === 0 || 
-            cells[0].includes('---') || 
-            cells[0].includes('String') ||
+
+        const cells = this._splitRow(line);
+        if (!columns) {
+          columns = { string: cells.indexOf('String'), match: cells.indexOf('Suggested Match') };
+          continue;
+        }
+
+        // Skip separators, footer rows and tables without the columns
+        if (columns.string === -1 || columns.match === -1 ||
+            cells[0].startsWith('---') ||
             cells[0].includes('**Total**') ||
             cells[0] === '...') {
           continue;
         }
-        
-        // Parse added strings table (4 columns: String | Location | Words | Suggested Match)
-        if (inAddedTable && cells.length >= 4) {
-          const newString = this._unescapeMarkdown(cells[0]);
-          const suggestedMatch = this._unescapeMarkdown(cells[3]);
-          
-          if (this._isValidMatch(newString, suggestedMatch)) {
-            cache[newString] = {
-              newString: newString,
-              match: suggestedMatch
-            };
-            extractedCount++;
-          }
-        }
-        
-        // Parse changed strings table (5 columns: String | Existing | Changed | Words | Suggested Match)
-        else if (inChangedTable && cells.length >= 5) {
-          const newString = this._unescapeMarkdown(cells[0]);
-          const suggestedMatch = this._unescapeMarkdown(cells[4]);
-          
-          if (this._isValidMatch(newString, suggestedMatch)) {
-            cache[newString] = {
-              newString: newString,
-              match: suggestedMatch
-            };
-            extractedCount++;
-          }
+
+        const newString = this._unescapeMarkdown(cells[columns.string]);
+        const suggestedMatch = this._stripLabels(cells[columns.match]);
+
+        if (this._isValidMatch(newString, suggestedMatch)) {
+          cache[newString] = {
+            newString: newString,
+            match: this._unescapeCell(suggestedMatch)
+          };
+          extractedCount++;
         }
       }
-      
+
       if (extractedCount > 0) {
         console.log(`📦 Extracted ${extractedCount} cached suggestions from existing report`);
         return cache;
@@ -132,38 +106,72 @@ class LLMCache {
 
   /**
    * Check if a match is valid and should be cached
+   * Runs before unescaping, so an escaped match like "\*required" isn't taken for a label
    */
   static _isValidMatch(newString, suggestedMatch) {
     if (!suggestedMatch || !newString) return false;
     if (suggestedMatch === '-' || suggestedMatch === '...') return false;
     if (suggestedMatch.startsWith('*')) return false; // Skip *No close match*
     if (suggestedMatch.startsWith('LLM Error')) return false;
+    if (/\*\(local, \d+%\)\*$/.test(suggestedMatch)) return false; // Local matches are cheap to recompute
     if (suggestedMatch.includes('and ') && suggestedMatch.includes('more')) return false; // Skip "and X more"
     if (newString.length === 0) return false;
     
     return true;
   }
 
+  /**
+   * Remove what the report adds around a match, see Reporter._formatSuggestion():
+   * the accepted label, e.g. "Save ✅ *(accepted by @octocat)*", and the translations,
+   * folded as "<details><summary>Save 🌐 2/3</summary>...</details>"
+   * Local match labels are kept, so _isValidMatch() skips them
+   */
+  static _stripLabels(cell) {
+    const folded = /^<details><summary>([^<]*) 🌐 \d+\/\d+<\/summary>/.exec(cell);
+    return (folded ? folded[1] : cell).replace(/ ✅ \*\(accepted by @[^)]*\)\*$/, '');
+  }
+
+  /**
+   * Unescape a match written by Reporter._escapeCellText(): Markdown, line breaks and HTML
+   */
+  static _unescapeCell(text) {
+    return this._unescapeMarkdown(text)
+      .replace(/<br>/g, '\n')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Split a table row into its cells at the unescaped pipes
+   * Escapes are kept, so _unescapeMarkdown() can remove them from the cell
+   */
+  static _splitRow(line) {
+    const cells = [];
+    let cell = '';
+    for (let i = 1; i < line.length - 1; i++) {
+      if (line[i] === '\\') {
+        cell += line.substring(i, i + 2);
+        i++;
+      } else if (line[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += line[i];
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
   /**
    * Unescape markdown formatting to get original string
+   * Strings truncated in the report keep their "..." and are matched by prefix, see get()
    */
   static _unescapeMarkdown(text) {
     if (!text) return '';
-    
-    // Remove markdown escaping
-    let unescaped = text;
-    const charsToUnescape = ['\\', '`', '*', '_', '{', '}', '[', ']', '(', ')', '#', '+', '-', '.', '!'];
-    for (const char of charsToUnescape) {
-      unescaped = unescaped.split(`\\${char}`).join(char);
-    }
-    
-    // Handle truncation marker
-    if (unescaped.endsWith('...')) {
-      // This string was truncated in the report, we'll match by prefix
-      return unescaped;
-    }
-    
-    return unescaped;
+    // One pass, so an escaped backslash isn't read as the start of another escape
+    return text.replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
   }
 
   /**
@@ -175,19 +183,17 @@ class LLMCache {
       try {
         const { owner, repo, pullRequestNumber } = this.prContext;
         
-        // Find existing report comment
-        const { data: comments } = await this.octokit.rest.issues.listComments({
+        // Find the existing report, which may be split across several comments
+        const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
           owner,
           repo,
           issue_number: pullRequestNumber,
+          per_page: 100
         });
+        const parts = ReportComments.findParts(comments);
 
-        const reportComment = comments.find(comment => 
-          comment.body?.includes(LLMCache.getReportCommentIdentifier())
-        );
-
-        if (reportComment) {
-          const extractedCache = LLMCache.extractCacheFromComment(reportComment.body);
+        if (parts.size > 0) {
+          const extractedCache = LLMCache.extractCacheFromComment(ReportComments.joinParts(parts));
           if (extractedCache) {
             // Convert extracted cache to internal format
             this.cache = this._convertExtractedCache(extractedCache);
@@ -1,53 +1,40 @@
-const https = require('https');
 const { LLMCache } = require('./llm-cache');
+const { CandidateIndex } = require('./candidate-index');
+const { SimilarityMatcher } = require('./similarity-matcher');
 
 class LLMMatcher {
   static cache = null;
+  static index = null;
+  static indexSource = null;
 
   /**
-   * Initialize cache
+   * Default number of new strings sent per batched request
    */
-  static async initCache(cacheFilePath = '.llm-cache.json', octokit = null, prContext = null) {
-    if (!this.cache) {
-      this.cache = new LLMCache(cacheFilePath, octokit, prContext);
-      await this.cache.load();
-    }
-    return this.cache;
-  }
+  static DEFAULT_BATCH_SIZE = 20;
 
   /**
-   * Save cache
+   * System prompt defines the role and guidelines
    */
-  static async saveCache() {
-    if (this.cache) {
-      await this.cache.save();
-    }
-  }
-  /**
-   * Call OpenRouter API to find best matching string
-   * @param {string} apiKey - OpenRouter API key
-   * @param {string} model - Model identifier
-   * @param {string} newString - The new string to find a match for
-   * @param {Array<string>} baseStrings - Array of existing strings from base POT
-   * @returns {Promise<Object>} - Response with match or error
-   */
-  static async callOpenRouter(apiKey, model, newString, baseStrings) {
-    return new Promise((resolve, reject) => {
-      // baseStrings is already batched, use all provided strings
-      const limitedBaseStrings = baseStrings;
-      
-      // Create a compact list to save tokens
-      const existingList = limitedBaseStrings.map((s, i) => `${i + 1}. ${s}`).join('\n');
-      
-      const prompt = `TASK: Find the best existing string that could replace this new string.
+  static SYSTEM_PROMPT = `You are an expert translation string matcher specialized in i18n (internationalization) workflows. Your role is to analyze new translatable strings and find the best existing string that could be reused, helping reduce translation costs and maintain consistency.
 
-NEW STRING TO MATCH:
-"${newString}"
+CORE PRINCIPLES:
+- Prioritize semantic equivalence over exact wording
+- Consider UI/UX context and user-facing intent
+- Recognize that reusing existing strings preserves translations
+- Be conservative: only match when confident the strings serve the same purpose
 
-EXISTING STRINGS DATABASE:
-${existingList}
+MATCHING PHILOSOPHY:
+Translation strings often evolve through refactoring, but their meaning remains constant. A string like "Edit Settings" might be shortened to "Settings" in a button context, or "Activating %s plugin" might become "Activating %s". These should match because they represent the same translatable concept.
 
-MATCHING RULES (Priority Order):
+OUTPUT REQUIREMENTS:
+- Return ONLY valid JSON
+- Use the exact text from the provided existing strings list
+- If no suitable match exists, return null`;
+
+  /**
+   * Matching rules shared by the single and batched prompts
+   */
+  static MATCHING_RULES = `MATCHING RULES (Priority Order):
 
 HIGH PRIORITY MATCHES:
 1. **Exact match** (case-insensitive) - Perfect duplicates
@@ -92,7 +79,61 @@ NEVER MATCH:
 ❌ Different UI contexts ("Edit post" vs "Edit comment")
 ❌ Opposite meanings ("Enable" vs "Disable")
 ❌ Different data types ("User name" vs "Username field")
-❌ Technical vs user-facing ("Debug mode" vs "Developer tools")
+❌ Technical vs user-facing ("Debug mode" vs "Developer tools")`;
+
+  /**
+   * Initialize cache
+   * @param {Object} options - { fresh } - start empty instead of loading earlier results, e.g. for /i18n rematch
+   */
+  static async initCache(cacheFilePath = '.llm-cache.json', octokit = null, prContext = null, { fresh = false } = {}) {
+    if (!this.cache) {
+      this.cache = new LLMCache(cacheFilePath, octokit, prContext);
+      if (!fresh) {
+        await this.cache.load();
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * Cache key part for the provider and candidate limit, so results are only reused
+   * for the same provider, model and candidate set
+   */
+  static _getCacheModel(provider, candidateLimit = CandidateIndex.DEFAULT_TOP_K) {
+    return `${provider.name}/${provider.model}/top-${candidateLimit}`;
+  }
+
+  /**
+   * Save cache
+   */
+  static async saveCache() {
+    if (this.cache) {
+      await this.cache.save();
+    }
+  }
+  /**
+   * Ask the LLM provider to find best matching string
+   * @param {LLMProvider} provider - Configured LLM provider
+   * @param {string} newString - The new string to find a match for
+   * @param {Array<string>} baseStrings - Array of existing strings from base POT
+   * @returns {Promise<Object>} - Response with match or error
+   */
+  static async callLLM(provider, newString, baseStrings) {
+    // baseStrings is already batched, use all provided strings
+    const limitedBaseStrings = baseStrings;
+
+    // Create a compact list to save tokens
+    const existingList = limitedBaseStrings.map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+    const prompt = `TASK: Find the best existing string that could replace this new string.
+
+NEW STRING TO MATCH:
+"${newString}"
+
+EXISTING STRINGS DATABASE:
+${existingList}
+
+${this.MATCHING_RULES}
 
 RESPONSE FORMAT:
 Return ONLY valid JSON with the EXACT text from the existing list:
@@ -103,186 +144,123 @@ If no suitable match exists:
 
 Remember: Use EXACT text from the existing strings list (line 1-${limitedBaseStrings.length}).`;
 
-      // Debug logging
-      if (process.env.DEBUG_LLM === 'true') {
-        console.log('\n🔍 LLM DEBUG - Request for:', newString.substring(0, 50));
-        console.log('Model:', model);
-        console.log('Base strings in batch:', limitedBaseStrings.length);
-        console.log('Prompt length (chars):', prompt.length);
-        console.log('Estimated tokens:', Math.ceil(prompt.length / 4));
-        console.log('Prompt:\n---\n' + prompt + '\n---\n');
+    // Debug logging
+    if (process.env.DEBUG_LLM === 'true') {
+      console.log('\n🔍 LLM DEBUG - Request for:', newString.substring(0, 50));
+      console.log('Provider:', provider.name);
+      console.log('Model:', provider.model);
+      console.log('Base strings in batch:', limitedBaseStrings.length);
+      console.log('Prompt length (chars):', prompt.length);
+      console.log('Estimated tokens:', Math.ceil(prompt.length / 4));
+      console.log('Prompt:\n---\n' + prompt + '\n---\n');
+    }
+
+    const response = await provider.complete({
+      systemPrompt: this.SYSTEM_PROMPT,
+      prompt,
+      maxTokens: 100,
+      schema: {
+        name: 'string_match',
+        schema: {
+          type: 'object',
+          properties: {
+            match: {
+              type: ['string', 'null'],
+              description: 'The exact matching string from the existing strings list, or null if no match found'
+            }
+          },
+          required: ['match'],
+          additionalProperties: false
+        }
       }
+    });
 
-      // System prompt defines the role and guidelines
-      const systemPrompt = `You are an expert translation string matcher specialized in i18n (internationalization) workflows. Your role is to analyze new translatable strings and find the best existing string that could be reused, helping reduce translation costs and maintain consistency.
+    if (response.error) {
+      return { error: response.error };
+    }
 
-CORE PRINCIPLES:
-- Prioritize semantic equivalence over exact wording
-- Consider UI/UX context and user-facing intent
-- Recognize that reusing existing strings preserves translations
-- Be conservative: only match when confident the strings serve the same purpose
+    const content = response.content;
 
-MATCHING PHILOSOPHY:
-Translation strings often evolve through refactoring, but their meaning remains constant. A string like "Edit Settings" might be shortened to "Settings" in a button context, or "Activating %s plugin" might become "Activating %s". These should match because they represent the same translatable concept.
+    // Debug logging
+    if (process.env.DEBUG_LLM === 'true') {
+      console.log('✅ LLM Response:', content);
+    }
 
-OUTPUT REQUIREMENTS:
-- Return ONLY valid JSON
-- Use the exact text from the provided existing strings list
-- If no suitable match exists, return null`;
+    if (!content) {
+      return { error: 'Empty response' };
+    }
 
-      const data = JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0,
-        max_tokens: 100,
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'string_match',
-            schema: {
-              type: 'object',
-              properties: {
-                match: {
-                  type: ['string', 'null'],
-                  description: 'The exact matching string from the existing strings list, or null if no match found'
-                }
-              },
-              required: ['match'],
-              additionalProperties: false
-            }
-          }
-        }
-      });
-
-      const options = {
-        hostname: 'openrouter.ai',
-        port: 443,
-        path: '/api/v1/chat/completions',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': 'https://github.com/Codeinwp/action-i18n-string-reviewer',
-          'X-Title': 'i18n String Reviewer',
-          'Content-Length': data.length
-        }
-      };
+    // Parse JSON response
+    try {
+      const jsonResponse = JSON.parse(this._extractJSON(content));
 
-      const req = https.request(options, (res) => {
-        let body = '';
+      if (jsonResponse.match === null || !jsonResponse.match) {
+        return { match: null };
+      }
 
-        res.on('data', (chunk) => {
-          body += chunk;
-        });
+      // The answer must be one of the strings sent, a made-up string is never suggested
+      const match = this._resolveMatch(String(jsonResponse.match), limitedBaseStrings);
+      if (!match) {
+        if (process.env.DEBUG_LLM === 'true') {
+          console.log(`⚠️  Dropping match not in the list: "${jsonResponse.match}"`);
+        }
+        return { match: null };
+      }
 
-                res.on('end', () => {
-                  try {
-                    if (res.statusCode !== 200) {
-                      // Parse error message from body
-                      let errorMsg = `HTTP ${res.statusCode}`;
-                      try {
-                        const errorData = JSON.parse(body);
-                        if (errorData.error?.message) {
-                          errorMsg = errorData.error.message;
-                        } else if (errorData.message) {
-                          errorMsg = errorData.message;
-                        }
-                      } catch (e) {
-                        // Body wasn't JSON, use generic message
-                      }
-                      
-                      // Stop execution with error
-                      reject(new Error(`API Error ${res.statusCode}: ${errorMsg}`));
-                      return;
-                    }
-
-            const response = JSON.parse(body);
-            const content = response.choices?.[0]?.message?.content?.trim();
-            
-            // Debug logging
-            if (process.env.DEBUG_LLM === 'true') {
-              console.log('✅ LLM Response:', content);
-            }
-            
-            if (!content) {
-              resolve({ error: 'Empty response' });
-              return;
-            }
+      if (process.env.DEBUG_LLM === 'true') {
+        console.log(`✅ Match found: "${match}"`);
+      }
 
-            // Parse JSON response
-            try {
-              const jsonResponse = JSON.parse(content);
-              
-              if (jsonResponse.match === null || !jsonResponse.match) {
-                resolve({ match: null });
-              } else {
-                const cleanMatch = jsonResponse.match.trim();
-                
-                // Validate: the match should exist in the base strings
-                const matchExists = limitedBaseStrings.some(s => 
-                  s.trim().toLowerCase() === cleanMatch.toLowerCase() || 
-                  s.includes(cleanMatch) ||
-                  cleanMatch.includes(s)
-                );
-                
-                if (process.env.DEBUG_LLM === 'true') {
-                  console.log(`✅ Match found: "${cleanMatch}"`);
-                }
-                
-                if (!matchExists && process.env.DEBUG_LLM === 'true') {
-                  console.log(`⚠️  Warning: LLM returned string not in list: "${cleanMatch}"`);
-                }
-                
-                resolve({ match: cleanMatch });
-              }
-            } catch (parseError) {
-              // Fallback if JSON parsing fails
-              if (process.env.DEBUG_LLM === 'true') {
-                console.log('⚠️  Failed to parse JSON response:', content);
-                console.log('⚠️  Parse error:', parseError.message);
-              }
-              resolve({ error: 'Invalid JSON response' });
-            }
-          } catch (error) {
-            resolve({ error: 'Parse error' });
-          }
-        });
-      });
+      return { match };
+    } catch (parseError) {
+      // Fallback if JSON parsing fails
+      if (process.env.DEBUG_LLM === 'true') {
+        console.log('⚠️  Failed to parse JSON response:', content);
+        console.log('⚠️  Parse error:', parseError.message);
+      }
+      return { error: 'Invalid JSON response' };
+    }
+  }
 
-      req.on('error', (error) => {
-        reject(error);
-      });
+  /**
+   * The sent string an answer refers to, matched exactly or ignoring case
+   * @param {Map<string, string>} candidates - From _getCandidateLookup(), to reuse it across answers
+   * @returns {string|null} - null when the model made the string up
+   */
+  static _resolveMatch(answer, baseStrings, candidates = this._getCandidateLookup(baseStrings)) {
+    const trimmed = answer.trim();
+    return baseStrings.includes(trimmed) ? trimmed : (candidates.get(trimmed.toLowerCase()) || null);
+  }
 
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
+  static _getCandidateLookup(baseStrings) {
+    return new Map(baseStrings.map(s => [s.trim().toLowerCase(), s]));
+  }
 
-      req.setTimeout(30000); // 30 second timeout
-      req.write(data);
-      req.end();
-    });
+  /**
+   * Pull the JSON object out of a response
+   * Providers without structured output may wrap it in prose or a code fence
+   */
+  static _extractJSON(content) {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    return start !== -1 && end > start ? content.slice(start, end + 1) : content;
   }
 
   /**
    * Find best matching string from base POT for a new string
    * @param {string} newString - The new string to find a match for
    * @param {Array<Object>} baseEntries - Array of POTEntry objects from base POT
-   * @param {string} apiKey - OpenRouter API key
-   * @param {string} model - Model identifier
+   * @param {LLMProvider} provider - Configured LLM provider
+   * @param {Object} options - { candidateLimit, maxCandidateLength }
+   *   candidateLimit - top-K candidates sent to the LLM (0 = all)
+   *   maxCandidateLength - longer base strings are never sent
    * @returns {Promise<Object>} - { match: 'string' } or { match: null } or { error: 'message' }
    */
-  static async findBestMatch(newString, baseEntries, apiKey, model) {
-    if (!apiKey || !apiKey.trim()) {
+  static async findBestMatch(newString, baseEntries, provider, {
+    candidateLimit = CandidateIndex.DEFAULT_TOP_K,
+    maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH
+  } = {}) {
+    if (!provider) {
       return { match: null };
     }
     
@@ -292,7 +270,7 @@ OUTPUT REQUIREMENTS:
     }
     
     // Check cache first
-    const cached = this.cache.get(newString, model);
+    const cached = this.cache.get(newString, this._getCacheModel(provider, candidateLimit));
     if (cached) {
       if (process.env.DEBUG_LLM === 'true') {
         console.log(`📦 Cache hit for: "${newString.substring(0, 50)}"`);
@@ -300,10 +278,10 @@ OUTPUT REQUIREMENTS:
       return cached.result;
     }
     
-    // Validate API key format
-    if (!apiKey.startsWith('sk-or-')) {
-      console.warn('OpenRouter API key should start with "sk-or-"');
-      return { error: 'Invalid key format' };
+    // Validate provider configuration (e.g. API key format)
+    const configError = provider.validate();
+    if (configError) {
+      return { error: configError };
     }
     
     if (!newString || !newString.trim()) {
@@ -315,13 +293,15 @@ OUTPUT REQUIREMENTS:
     }
 
     try {
-      // Extract just the msgid strings from base entries
-      const baseStrings = baseEntries
-        .map(entry => entry.msgid)
-        .filter(msgid => msgid && msgid.trim().length > 0 && msgid.length < 200); // Skip very long strings
+      // Retrieve the most plausible candidates, or fall back to all base strings
+      const baseStrings = candidateLimit > 0
+        ? this._getIndex(baseEntries, maxCandidateLength).query(newString, candidateLimit)
+        : this._getBaseStrings(baseEntries, maxCandidateLength);
 
       if (baseStrings.length === 0) {
-        return { match: null };
+        const result = { match: null };
+        this.cache.set(newString, this._getCacheModel(provider, candidateLimit), result);
+        return result;
       }
 
       // Process in batches - large batches for better context
@@ -337,14 +317,14 @@ OUTPUT REQUIREMENTS:
           console.log(`🔍 Checking batch ${i + 1} (strings ${start + 1}-${end} of ${baseStrings.length})`);
         }
         
-        const result = await this.callOpenRouter(apiKey, model, newString, batch);
+        const result = await this.callLLM(provider, newString, batch);
         
         // If we found a match, cache it and return
         if (result.match) {
           if (process.env.DEBUG_LLM === 'true') {
             console.log(`✅ Found match in batch ${i + 1}`);
           }
-          this.cache.set(newString, model, result);
+          this.cache.set(newString, this._getCacheModel(provider, candidateLimit), result);
           return result;
         }
         
@@ -367,14 +347,277 @@ OUTPUT REQUIREMENTS:
       
       // No match found in any batch
       const result = { match: null };
-      this.cache.set(newString, model, result);
+      this.cache.set(newString, this._getCacheModel(provider, candidateLimit), result);
       return result;
     } catch (error) {
       // Re-throw to stop execution
       throw error;
     }
   }
+
+  /**
+   * Find best matching strings for many new strings at once
+   * New strings are grouped and sent together with one shared candidate list,
+   * so the base list is sent once per group instead of once per string
+   * @param {Array<string>} newStrings - The new strings to find matches for
+   * @param {Array<Object>} baseEntries - Array of POTEntry objects from base POT
+   * @param {LLMProvider} provider - Configured LLM provider
+   * @param {Object} options - { batchSize, candidateLimit, maxCandidateLength }
+   *   batchSize - new strings per request (1 = one request per string)
+   *   candidateLimit - top-K candidates retrieved per new string (0 = all)
+   *   maxCandidateLength - longer base strings are never sent
+   * @returns {Promise<Map<string, Object>>} - newString => { match } or { error }
+   */
+  static async findBestMatches(newStrings, baseEntries, provider, {
+    batchSize = this.DEFAULT_BATCH_SIZE,
+    candidateLimit = CandidateIndex.DEFAULT_TOP_K,
+    maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH
+  } = {}) {
+    const results = new Map();
+    const uniqueStrings = [...new Set(newStrings)];
+
+    if (batchSize <= 1 || !provider) {
+      for (const newString of uniqueStrings) {
+        results.set(newString, await this.findBestMatch(newString, baseEntries, provider, { candidateLimit, maxCandidateLength }));
+
+        // Small delay between string checks to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      return results;
+    }
+
+    // Initialize cache if not already done
+    if (!this.cache) {
+      await this.initCache();
+    }
+
+    // Check cache first, only uncached strings are sent
+    const pending = [];
+    for (const newString of uniqueStrings) {
+      if (!newString || !newString.trim()) {
+        results.set(newString, { match: null });
+        continue;
+      }
+
+      const cached = this.cache.get(newString, this._getCacheModel(provider, candidateLimit));
+      if (cached) {
+        if (process.env.DEBUG_LLM === 'true') {
+          console.log(`📦 Cache hit for: "${newString.substring(0, 50)}"`);
+        }
+        results.set(newString, cached.result);
+      } else {
+        pending.push(newString);
+      }
+    }
+
+    if (pending.length === 0) {
+      return results;
+    }
+
+    // Validate provider configuration (e.g. API key format)
+    const configError = provider.validate();
+    const baseStrings = this._getBaseStrings(baseEntries || [], maxCandidateLength);
+    if (configError || baseStrings.length === 0) {
+      for (const newString of pending) {
+        results.set(newString, configError ? { error: configError } : { match: null });
+      }
+      return results;
+    }
+
+    console.log(`🤖 Matching ${pending.length} string(s) in batches of ${batchSize}`);
+
+    const blockSize = 1000;
+
+    for (let g = 0; g < pending.length; g += batchSize) {
+      let group = pending.slice(g, g + batchSize);
+
+      // Shared candidate list: union of each string's top-K candidates, or all base strings
+      const candidates = candidateLimit > 0
+        ? [...new Set(group.flatMap(newString => this._getIndex(baseEntries, maxCandidateLength).query(newString, candidateLimit)))]
+        : baseStrings;
+      const blockCount = Math.min(10, Math.ceil(candidates.length / blockSize));
+
+      for (let i = 0; i < blockCount && group.length > 0; i++) {
+        const block = candidates.slice(i * blockSize, (i + 1) * blockSize);
+
+        if (process.env.DEBUG_LLM === 'true') {
+          console.log(`🔍 Checking ${group.length} string(s) against block ${i + 1} (${block.length} strings)`);
+        }
+
+        const batchResult = await this.callLLMBatch(provider, group, block);
+
+        // If there was an error, return it for the whole group (don't cache errors)
+        if (batchResult.error) {
+          for (const newString of group) {
+            results.set(newString, { error: batchResult.error });
+          }
+          group = [];
+          break;
+        }
+
+        // Cache matches right away, unmatched strings go on to the next block
+        group = group.filter(newString => {
+          const match = batchResult.matches.get(newString);
+          if (!match) return true;
+
+          const result = { match };
+          this.cache.set(newString, this._getCacheModel(provider, candidateLimit), result);
+          results.set(newString, result);
+          return false;
+        });
+
+        // Add delay between requests to avoid Cloudflare rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+
+      // No match found in any block
+      for (const newString of group) {
+        const result = { match: null };
+        this.cache.set(newString, this._getCacheModel(provider, candidateLimit), result);
+        results.set(newString, result);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Ask the LLM provider to find best matches for a group of new strings
+   * @param {LLMProvider} provider - Configured LLM provider
+   * @param {Array<string>} newStrings - The new strings to find matches for
+   * @param {Array<string>} baseStrings - Shared list of existing strings from base POT
+   * @returns {Promise<Object>} - { matches: Map<newString, match> } or { error }
+   */
+  static async callLLMBatch(provider, newStrings, baseStrings) {
+    const newList = newStrings.map((s, i) => `${i + 1}. ${s}`).join('\n');
+    const existingList = baseStrings.map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+    const prompt = `TASK: For EACH new string, find the best existing string that could replace it.
+
+NEW STRINGS TO MATCH:
+${newList}
+
+EXISTING STRINGS DATABASE:
+${existingList}
+
+${this.MATCHING_RULES}
+
+RESPONSE FORMAT:
+Return ONLY valid JSON with one item per new string, using its number (1-${newStrings.length}) and the EXACT text from the existing list:
+{"matches": [{"index": 1, "match": "exact text from list"}, {"index": 2, "match": null}]}
+
+Use null when no suitable match exists for a new string.
+
+Remember: Use EXACT text from the existing strings list (line 1-${baseStrings.length}).`;
+
+    // Debug logging
+    if (process.env.DEBUG_LLM === 'true') {
+      console.log(`\n🔍 LLM DEBUG - Batch request for ${newStrings.length} string(s)`);
+      console.log('Provider:', provider.name);
+      console.log('Model:', provider.model);
+      console.log('Base strings in batch:', baseStrings.length);
+      console.log('Prompt length (chars):', prompt.length);
+      console.log('Estimated tokens:', Math.ceil(prompt.length / 4));
+    }
+
+    const response = await provider.complete({
+      systemPrompt: this.SYSTEM_PROMPT,
+      prompt,
+      maxTokens: 100 * newStrings.length,
+      schema: {
+        name: 'string_matches',
+        schema: {
+          type: 'object',
+          properties: {
+            matches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: {
+                    type: 'integer',
+                    description: 'Number of the new string in the list'
+                  },
+                  match: {
+                    type: ['string', 'null'],
+                    description: 'The exact matching string from the existing strings list, or null if no match found'
+                  }
+                },
+                required: ['index', 'match'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['matches'],
+          additionalProperties: false
+        }
+      }
+    });
+
+    if (response.error) {
+      return { error: response.error };
+    }
+
+    const content = response.content;
+
+    if (process.env.DEBUG_LLM === 'true') {
+      console.log('✅ LLM Response:', content);
+    }
+
+    if (!content) {
+      return { error: 'Empty response' };
+    }
+
+    try {
+      const jsonResponse = JSON.parse(this._extractJSON(content));
+      const matches = new Map();
+
+      // Answers must be one of the strings sent
+      const candidates = this._getCandidateLookup(baseStrings);
+
+      for (const item of jsonResponse.matches || []) {
+        const newString = newStrings[item.index - 1];
+        if (!newString || typeof item.match !== 'string' || !item.match.trim()) continue;
+
+        const match = this._resolveMatch(item.match, baseStrings, candidates);
+        if (!match) {
+          if (process.env.DEBUG_LLM === 'true') {
+            console.log(`⚠️  Dropping match not in the list for "${newString.substring(0, 50)}": "${item.match}"`);
+          }
+          continue;
+        }
+        matches.set(newString, match);
+      }
+
+      return { matches };
+    } catch (parseError) {
+      if (process.env.DEBUG_LLM === 'true') {
+        console.log('⚠️  Failed to parse JSON response:', content);
+        console.log('⚠️  Parse error:', parseError.message);
+      }
+      return { error: 'Invalid JSON response' };
+    }
+  }
+
+  /**
+   * Get the candidate index for base entries, built once per entries array
+   */
+  static _getIndex(baseEntries, maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH) {
+    if (!this.index || this.indexSource !== baseEntries || this.index.maxCandidateLength !== maxCandidateLength) {
+      this.index = new CandidateIndex(baseEntries, { maxCandidateLength });
+      this.indexSource = baseEntries;
+    }
+    return this.index;
+  }
+
+  /**
+   * Extract the candidate msgid strings from base entries
+   */
+  static _getBaseStrings(baseEntries, maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH) {
+    return baseEntries
+      .map(entry => entry.msgid)
+      .filter(msgid => msgid && msgid.trim().length > 0 && msgid.length < maxCandidateLength); // Skip very long strings
+  }
 }
 
 module.exports = { LLMMatcher };
-
@@ -0,0 +1,273 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body and resolve with the parsed JSON response
+ * Rejects on network errors, timeouts and non-2xx status codes
+ * @param {string} url - Full endpoint URL (http or https)
+ * @param {Object} headers - Extra request headers
+ * @param {Object} payload - Request body, serialized as JSON
+ * @returns {Promise<Object>} - { data } or { error: 'Parse error' } when the body isn't JSON
+ */
+function postJSON(url, headers, payload) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(payload);
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+
+    const options = {
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'http:' ? 80 : 443),
+      path: `${target.pathname}${target.search}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+        'Content-Length': Buffer.byteLength(data)
+      }
+    };
+
+    const req = transport.request(options, (res) => {
+      let body = '';
+
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          // Parse error message from body
+          let errorMsg = `HTTP ${res.statusCode}`;
+          try {
+            const errorData = JSON.parse(body);
+            if (errorData.error?.message) {
+              errorMsg = errorData.error.message;
+            } else if (errorData.message) {
+              errorMsg = errorData.message;
+            }
+          } catch (e) {
+            // Body wasn't JSON, use generic message
+          }
+
+          // Stop execution with error
+          reject(new Error(`API Error ${res.statusCode}: ${errorMsg}`));
+          return;
+        }
+
+        try {
+          resolve({ data: JSON.parse(body) });
+        } catch (error) {
+          resolve({ error: 'Parse error' });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+
+    req.setTimeout(30000); // 30 second timeout
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Base class for LLM providers
+ * A provider turns a system prompt + user prompt into the model's text response
+ */
+class LLMProvider {
+  static id = '';
+  static defaultBaseUrl = '';
+  static defaultModel = '';
+
+  constructor({ apiKey = '', model = '', baseUrl = '' } = {}) {
+    this.apiKey = apiKey;
+    this.model = model || this.constructor.defaultModel;
+    this.baseUrl = (baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+  }
+
+  get name() {
+    return this.constructor.id;
+  }
+
+  /**
+   * Check the configuration before making any request
+   * @returns {string|null} - Error message, or null if the configuration looks valid
+   */
+  validate() {
+    if (!this.baseUrl) return `${this.name}: llm-base-url is required`;
+    if (!this.model) return `${this.name}: a model is required`;
+    return null;
+  }
+
+  /**
+   * Run a completion
+   * @param {Object} request - { systemPrompt, prompt, maxTokens, schema: { name, schema } }
+   * @returns {Promise<Object>} - { content } or { error }
+   */
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions API
+ * Covers Azure OpenAI (v1 endpoint), vLLM, Ollama and local mock servers
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  static id = 'openai-compatible';
+
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  async complete({ systemPrompt, prompt, maxTokens, schema }) {
+    const payload = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0,
+      max_tokens: maxTokens
+    };
+
+    if (schema) {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: schema
+      };
+    }
+
+    const response = await postJSON(`${this.baseUrl}/chat/completions`, this.getHeaders(), payload);
+    if (response.error) {
+      return response;
+    }
+
+    return { content: response.data.choices?.[0]?.message?.content?.trim() || '' };
+  }
+}
+
+class OpenAIProvider extends OpenAICompatibleProvider {
+  static id = 'openai';
+  static defaultBaseUrl = 'https://api.openai.com/v1';
+  static defaultModel = 'gpt-4o-mini';
+
+  validate() {
+    if (!this.apiKey) return 'OpenAI API key is required';
+    return super.validate();
+  }
+}
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  static id = 'openrouter';
+  static defaultBaseUrl = 'https://openrouter.ai/api/v1';
+  static defaultModel = 'anthropic/claude-3.5-sonnet';
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': 'https://github.com/Codeinwp/action-i18n-string-reviewer',
+      'X-Title': 'i18n String Reviewer'
+    };
+  }
+
+  validate() {
+    // Validate API key format
+    if (!this.apiKey.startsWith('sk-or-')) {
+      console.warn('OpenRouter API key should start with "sk-or-"');
+      return 'Invalid key format';
+    }
+    return super.validate();
+  }
+}
+
+/**
+ * Native Anthropic Messages API
+ * Has no response_format, so the JSON shape is enforced by the prompt alone
+ */
+class AnthropicProvider extends LLMProvider {
+  static id = 'anthropic';
+  static defaultBaseUrl = 'https://api.anthropic.com/v1';
+  static defaultModel = 'claude-3-5-sonnet-latest';
+
+  validate() {
+    if (!this.apiKey) return 'Anthropic API key is required';
+    return super.validate();
+  }
+
+  async complete({ systemPrompt, prompt, maxTokens }) {
+    const headers = {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+
+    const response = await postJSON(`${this.baseUrl}/messages`, headers, {
+      model: this.model,
+      system: systemPrompt,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0,
+      max_tokens: maxTokens
+    });
+    if (response.error) {
+      return response;
+    }
+
+    const textBlock = (response.data.content || []).find(block => block.type === 'text');
+    return { content: textBlock?.text?.trim() || '' };
+  }
+}
+
+const PROVIDERS = {
+  [OpenRouterProvider.id]: OpenRouterProvider,
+  [OpenAIProvider.id]: OpenAIProvider,
+  [AnthropicProvider.id]: AnthropicProvider,
+  [OpenAICompatibleProvider.id]: OpenAICompatibleProvider
+};
+
+/**
+ * Create the configured LLM provider
+ * @param {Object} config - { provider, apiKey, model, baseUrl }
+ * @returns {LLMProvider|null} - Provider instance, or null when LLM matching is not configured
+ */
+function createProvider({ provider = 'openrouter', apiKey = '', model = '', baseUrl = '' } = {}) {
+  const ProviderClass = PROVIDERS[provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown llm-provider "${provider}". Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Self-hosted OpenAI-compatible servers often run without a key
+  const keyless = ProviderClass === OpenAICompatibleProvider && baseUrl;
+  if (!apiKey.trim() && !keyless) {
+    return null;
+  }
+
+  return new ProviderClass({ apiKey: apiKey.trim(), model, baseUrl });
+}
+
+module.exports = {
+  LLMProvider,
+  OpenAICompatibleProvider,
+  OpenAIProvider,
+  OpenRouterProvider,
+  AnthropicProvider,
+  createProvider,
+  postJSON
+};
@@ -0,0 +1,155 @@
+const { Placeholders } = require('./placeholders');
+
+/**
+ * Finds placeholder changes that break translations: existing translations
+ * pass their arguments to sprintf() the way the old string did, so a placeholder
+ * that is added, dropped or moved makes them print the wrong value or fail
+ */
+class PlaceholderChecker {
+  /**
+   * Issue type => description
+   */
+  static TYPES = {
+    'plural-mismatch': 'The plural form has different placeholders than the singular',
+    'placeholders-changed': 'Placeholders were added or removed, so existing translations no longer fit',
+    'placeholder-order-changed': 'Unnumbered placeholders changed order, so existing translations get their arguments swapped',
+    'format-flag-mismatch': 'The php-format flag disagrees with the placeholders in the string'
+  };
+
+  /**
+   * Check the strings translators will see
+   * @param {Object} results - Results from POTComparator
+   * @returns {Array<Object>} - [{ type, entry, base, message }], base is the old entry for changed and reworded strings
+   */
+  static check(results) {
+    const issues = [];
+    const add = (type, entry, base, message) => {
+      if (message) issues.push({ type, entry, base, message });
+    };
+
+    const entries = [
+      ...results.added.map(entry => ({ entry, base: null })),
+      ...results.changed.map(({ base, target }) => ({ entry: target, base })),
+      ...(results.reworded || []).map(({ base, target }) => ({ entry: target, base })),
+      ...(results.contextChanged || []).map(({ base, target }) => ({ entry: target, base })),
+      ...(results.pluralized || []).map(({ base, target }) => ({ entry: target, base })),
+      ...(results.flagsChanged || []).map(({ base, target }) => ({ entry: target, base }))
+    ];
+
+    for (const { entry, base } of entries) {
+      add('plural-mismatch', entry, base, this._checkPlural(entry));
+      add('format-flag-mismatch', entry, base, this._checkFormatFlag(entry));
+    }
+
+    // The msgid stays the same for changed strings, only the plural form can differ
+    for (const { base, target } of results.changed) {
+      if (target.hasPlural && base.hasPlural) {
+        this._checkChange(base.msgidPlural, target.msgidPlural, 'plural form')
+          .forEach(([type, message]) => add(type, target, base, message));
+      }
+    }
+
+    for (const { base, target } of results.reworded || []) {
+      this._checkChange(base.msgid, target.msgid, 'string')
+        .forEach(([type, message]) => add(type, target, base, message));
+      if (target.hasPlural && base.hasPlural) {
+        this._checkChange(base.msgidPlural, target.msgidPlural, 'plural form')
+          .forEach(([type, message]) => add(type, target, base, message));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Compare the placeholders of a plural form with its singular
+   * The singular may leave out the number ("One item" / "%d items"), that is common and safe
+   */
+  static _checkPlural(entry) {
+    if (!entry.hasPlural) return null;
+
+    const singular = Placeholders.extract(entry.msgid).map(placeholder => placeholder.raw);
+    const plural = Placeholders.extract(entry.msgidPlural).map(placeholder => placeholder.raw);
+    const missing = this._difference(singular, plural);
+    const extra = this._difference(plural, singular);
+
+    // "One item" / "%d items": only the count is left out of the singular, written as %d or %s (WordPress uses number_format_i18n())
+    if (missing.length === 0 && extra.length === 1 && /^%(?:\d+\$)?[ds]$/.test(extra[0])) return null;
+    if (missing.length === 0 && extra.length === 0) return null;
+
+    return this._describeDifference(extra, missing, 'in the plural form but not the singular', 'in the singular but not the plural form');
+  }
+
+  /**
+   * Compare the php-format flag with the printf placeholders of the string
+   * Strings without the flag are only checked when they come from PHP files, since JS strings are never flagged
+   */
+  static _checkFormatFlag(entry) {
+    const flags = entry.getFlags();
+    const hasPrintf = Placeholders.hasPrintf(entry.msgid) || Placeholders.hasPrintf(entry.msgidPlural);
+    // "100%%" only makes sense in a format string, so an escaped percent sign justifies the flag
+    const hasEscapedPercent = /%%/.test(entry.msgid) || /%%/.test(entry.msgidPlural);
+
+    if (flags.includes('php-format') && !hasPrintf && !hasEscapedPercent) {
+      return 'Flagged php-format, but has no printf placeholders';
+    }
+    if (flags.includes('no-php-format') && hasPrintf) {
+      return 'Flagged no-php-format, but has printf placeholders';
+    }
+
+    const files = [...entry.getReferencedFiles()];
+    const isPHP = files.length > 0 && files.every(file => file.endsWith('.php'));
+    if (isPHP && hasPrintf && !flags.includes('php-format') && !flags.includes('no-php-format')) {
+      return 'Has printf placeholders, but isn\'t flagged php-format';
+    }
+    return null;
+  }
+
+  /**
+   * Compare the placeholders of the old and new version of a text
+   * @returns {Array<Array<string>>} - [[type, message]]
+   */
+  static _checkChange(oldText, newText, label) {
+    const before = Placeholders.extract(oldText);
+    const after = Placeholders.extract(newText);
+    const removed = this._difference(before.map(placeholder => placeholder.raw), after.map(placeholder => placeholder.raw));
+    const added = this._difference(after.map(placeholder => placeholder.raw), before.map(placeholder => placeholder.raw));
+
+    if (removed.length > 0 || added.length > 0) {
+      return [['placeholders-changed', this._describeDifference(added, removed, `added to the ${label}`, `removed from the ${label}`)]];
+    }
+
+    // Unnumbered printf placeholders take their arguments in order, so moving them swaps the values
+    const unnumbered = placeholders => placeholders
+      .filter(placeholder => placeholder.type === 'printf' && placeholder.position === null)
+      .map(placeholder => placeholder.raw);
+    const oldOrder = unnumbered(before);
+    const newOrder = unnumbered(after);
+    if (oldOrder.join('') !== newOrder.join('')) {
+      return [['placeholder-order-changed', `Order changed from ${oldOrder.join(' ')} to ${newOrder.join(' ')}`]];
+    }
+    return [];
+  }
+
+  /**
+   * Items of a that aren't in b, counting duplicates
+   */
+  static _difference(a, b) {
+    const remaining = [...b];
+    return a.filter(item => {
+      const index = remaining.indexOf(item);
+      if (index === -1) return true;
+      remaining.splice(index, 1);
+      return false;
+    });
+  }
+
+  static _describeDifference(extra, missing, extraLabel, missingLabel) {
+    const parts = [];
+    if (extra.length > 0) parts.push(`${extra.join(' ')} ${extraLabel}`);
+    if (missing.length > 0) parts.push(`${missing.join(' ')} ${missingLabel}`);
+    return parts.join('; ');
+  }
+}
+
+module.exports = { PlaceholderChecker };
@@ -0,0 +1,58 @@
+/**
+ * Finds printf-style (%s, %1$d) and named ({name}) placeholders in strings
+ */
+class Placeholders {
+  /**
+   * printf placeholders, as PHP's sprintf() and @wordpress/i18n's sprintf() understand them
+   */
+  static PRINTF_PATTERN = /%(?:(\d+)\$)?[-+ 0#']*\d*(?:\.\d+)?([bcdeEfFgGosuxX])/g;
+
+  static NAMED_PATTERN = /\{([a-zA-Z0-9_]+)\}/g;
+
+  /**
+   * List the placeholders of a string, in order
+   * "%%" is a literal percent sign and is skipped
+   * @param {string} text - Source string
+   * @returns {Array<Object>} - [{ raw, type: 'printf' | 'named', position, conversion, name, index }]
+   *   position - argument number of positional placeholders (%2$s => 2), null otherwise
+   *   index - offset of the placeholder in the string
+   */
+  static extract(text) {
+    if (!text) return [];
+
+    const placeholders = [];
+    // Blank out escaped percent signs first so "%%s" isn't read as a placeholder
+    const printfText = text.replace(/%%/g, '  ');
+    for (const match of printfText.matchAll(this.PRINTF_PATTERN)) {
+      placeholders.push({
+        raw: match[0],
+        type: 'printf',
+        position: match[1] ? parseInt(match[1], 10) : null,
+        conversion: match[2],
+        index: match.index
+      });
+    }
+    for (const match of text.matchAll(this.NAMED_PATTERN)) {
+      placeholders.push({ raw: match[0], type: 'named', name: match[1], index: match.index });
+    }
+
+    return placeholders.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Whether a string has printf placeholders, e.g. to flag it as php-format
+   */
+  static hasPrintf(text) {
+    return this.extract(text).some(placeholder => placeholder.type === 'printf');
+  }
+
+  /**
+   * Order-independent summary of the placeholders, e.g. "%1$s|%d|{count}"
+   * Two strings with the same signature can be passed the same sprintf() arguments
+   */
+  static signature(text) {
+    return this.extract(text).map(placeholder => placeholder.raw).sort().join('|');
+  }
+}
+
+module.exports = { Placeholders };
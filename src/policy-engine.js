@@ -0,0 +1,161 @@
+const { Glob } = require('./glob');
+const { StringLinter } = require('./string-linter');
+const { CostEstimator } = require('./cost-estimator');
+
+/**
+ * Pass/fail gating with rules scoped to base branches, e.g. stricter rules for release branches
+ *
+ * policies:
+ *   - name: Release freeze
+ *     branches: ['release/*']             # base branch globs, every branch when left out
+ *     rules:
+ *       max-added-words: 200
+ *       no-removed-strings: true
+ *       changes-require-label: i18n-approved
+ *       fail-on-lint: warning
+ *       no-ignored-matches: 0.9
+ *       require-approvals: 1
+ */
+class PolicyEngine {
+  /**
+   * Rule id => description
+   */
+  static RULES = {
+    'max-added-words': 'Words in added strings may not exceed the maximum',
+    'no-removed-strings': 'Strings may not be removed',
+    'changes-require-label': 'Changes to existing strings need the PR label',
+    'fail-on-lint': 'Lint findings at or above the severity block the check',
+    'no-ignored-matches': 'New strings may not ignore a suggested existing string',
+    'require-approvals': 'String changes need translator sign-off with "/i18n approve"'
+  };
+
+  /**
+   * Validate a rule value, e.g. from the config file
+   * @returns {string|null} - Error message, or null if it's valid
+   */
+  static validateRule(rule, value) {
+    switch (rule) {
+      case 'max-added-words':
+        return Number.isInteger(value) && value >= 0 ? null : 'must be a word count of 0 or more';
+      case 'no-removed-strings':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'changes-require-label':
+        return typeof value === 'string' && value ? null : 'must be a label name';
+      case 'fail-on-lint': {
+        const severities = StringLinter.SEVERITIES.filter(severity => severity !== 'off');
+        return severities.includes(value) ? null : `must be one of ${severities.join(', ')}`;
+      }
+      case 'no-ignored-matches':
+        return typeof value === 'boolean' || (typeof value === 'number' && value >= 0 && value <= 1)
+          ? null
+          : 'must be true, false or a minimum similarity between 0 and 1';
+      case 'require-approvals':
+        return Number.isInteger(value) && value >= 1 ? null : 'must be a number of approvals of 1 or more';
+      default:
+        return `is not a policy rule. Valid rules: ${Object.keys(this.RULES).join(', ')}`;
+    }
+  }
+
+  /**
+   * @param {Array<Object>} policies - [{ name, branches, rules }], validated by Config
+   */
+  constructor(policies = []) {
+    this.policies = policies;
+  }
+
+  /**
+   * Policies that apply to a base branch
+   * Policies without branches apply everywhere; scoped policies are skipped when the branch is unknown
+   */
+  getPolicies(baseBranch) {
+    return this.policies.filter(({ branches }) => {
+      if (!branches || branches.length === 0) return true;
+      return Boolean(baseBranch) && branches.some(pattern => Glob.toRegExp(pattern).test(baseBranch));
+    });
+  }
+
+  /**
+   * Check the results against the policies of the base branch
+   * @param {Object} context - { results, suggestions, baseBranch, labels, approvers }
+   *   suggestions - msgid => suggestion, from Reporter.collectSuggestions(), which covers every added string
+   *   labels - Names of the PR labels
+   *   approvers - Users who approved the current string changes, see DecisionStore
+   * @returns {Array<Object>} - [{ policy, rule, message }], one per broken rule
+   */
+  evaluate({ results, suggestions = new Map(), baseBranch = '', labels = [], approvers = [] }) {
+    const failures = [];
+
+    for (const policy of this.getPolicies(baseBranch)) {
+      for (const [rule, value] of Object.entries(policy.rules)) {
+        const message = this._checkRule(rule, value, { results, suggestions, labels, approvers });
+        if (message) {
+          failures.push({ policy: policy.name, rule, message });
+        }
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Check one rule
+   * @returns {string|null} - What broke the rule, or null when it passes
+   */
+  _checkRule(rule, value, { results, suggestions, labels, approvers }) {
+    switch (rule) {
+      case 'max-added-words': {
+        const words = results.added.reduce((total, entry) =>
+          total + CostEstimator.countWords(entry.msgid) + CostEstimator.countWords(entry.msgidPlural), 0);
+        return words > value ? `${words} words were added, at most ${value} are allowed` : null;
+      }
+
+      case 'no-removed-strings':
+        return value && results.removed.length > 0 ? `${results.removed.length} string(s) were removed` : null;
+
+      case 'changes-require-label': {
+        const changes = results.changed.length + (results.reworded || []).length +
+          (results.contextChanged || []).length + (results.pluralized || []).length;
+        return changes > 0 && !labels.includes(value)
+          ? `${changes} existing string(s) changed without the "${value}" label`
+          : null;
+      }
+
+      case 'fail-on-lint': {
+        const levels = StringLinter.SEVERITIES;
+        const findings = (results.lintFindings || []).filter(({ severity }) => levels.indexOf(severity) <= levels.indexOf(value));
+        return findings.length > 0 ? `${findings.length} lint finding(s) at ${value} level or above` : null;
+      }
+
+      case 'no-ignored-matches': {
+        if (value === false) return null;
+        const minimum = value === true ? 0 : value;
+        const ignored = results.added.filter(entry => {
+          const suggestion = suggestions.get(entry.msgid);
+          if (!suggestion?.match) return false;
+          // LLM matches have no similarity score, so they only count when no minimum is set
+          return typeof suggestion.confidence === 'number' ? suggestion.confidence >= minimum : minimum === 0;
+        });
+        return ignored.length > 0
+          ? `${ignored.length} new string(s) could reuse an existing string: ${ignored.slice(0, 3).map(({ msgid }) => `"${msgid}"`).join(', ')}${ignored.length > 3 ? ', ...' : ''}`
+          : null;
+      }
+
+      case 'require-approvals': {
+        if (results.totalChanges === 0 || approvers.length >= value) return null;
+        return `${value} translator approval(s) needed with "/i18n approve", ${approvers.length} given${approvers.length > 0 ? ` (${approvers.map(user => `@${user}`).join(', ')})` : ''}`;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe a failure for the logs and the report
+   */
+  static formatFailure({ policy, rule, message }) {
+    return `Policy "${policy}" failed ${rule}: ${message}`;
+  }
+}
+
+module.exports = { PolicyEngine };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const { GitSource } = require('./git-source');
+const { Glob } = require('./glob');
+
+/**
+ * Resolves which base/target POT file pairs to compare
+ */
+class POTFiles {
+  /**
+   * Resolve the POT file pairs from the action inputs
+   * @param {Object} inputs - { basePotFile, targetPotFile, baseRef, generateCommand, potFiles, discover }
+   *   potFiles - list of paths or globs, inside the repo
+   *   discover - also compare every .pot file changed between base-ref and HEAD
+   * @returns {Array<Object>} - [{ file, basePath, targetPath }], a null path means the file doesn't exist on that side
+   */
+  static resolvePairs({ basePotFile, targetPotFile, baseRef, generateCommand, potFiles = [], discover = false }) {
+    if (potFiles.length === 0 && !discover) {
+      return [this._resolveSinglePair({ basePotFile, targetPotFile, baseRef, generateCommand })];
+    }
+
+    if (!baseRef) {
+      throw new Error('pot-files and discover-pot-files require base-ref, to read the base version of each POT file');
+    }
+
+    const files = this._collectFiles(potFiles, baseRef, discover);
+    if (files.length === 0) {
+      console.log('ℹ️  No POT files matched');
+      return [];
+    }
+    console.log(`Comparing ${files.length} POT file(s): ${files.join(', ')}`);
+
+    let basePaths;
+    if (generateCommand) {
+      basePaths = GitSource.generateAtRef(baseRef, generateCommand, files);
+      GitSource.runCommand(generateCommand);
+    } else {
+      basePaths = new Map(files.map(file => [
+        file,
+        GitSource.fileExistsAtRef(baseRef, file) ? GitSource.extractFileAtRef(baseRef, file) : null
+      ]));
+    }
+
+    return files
+      .map(file => ({
+        file,
+        basePath: basePaths.get(file),
+        targetPath: fs.existsSync(file) ? file : null
+      }))
+      .filter(pair => {
+        if (!pair.basePath && !pair.targetPath) {
+          console.warn(`⚠️  ${pair.file} exists neither at ${baseRef} nor in the checkout, skipping`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  static _resolveSinglePair({ basePotFile, targetPotFile, baseRef, generateCommand }) {
+    let basePath = basePotFile;
+
+    // Resolve the base POT from the git checkout and (re)generate POT files if requested
+    if (baseRef) {
+      if (generateCommand) {
+        basePath = GitSource.generateAtRef(baseRef, generateCommand, [basePotFile]).get(basePotFile);
+        if (!basePath) {
+          throw new Error(`generate-command did not create "${basePotFile}" on base ref "${baseRef}"`);
+        }
+      } else {
+        basePath = GitSource.extractFileAtRef(baseRef, basePotFile);
+      }
+    }
+
+    if (generateCommand) {
+      GitSource.runCommand(generateCommand);
+    }
+
+    return { file: targetPotFile, basePath, targetPath: targetPotFile };
+  }
+
+  /**
+   * Expand the pot-files list (globs match files at the base ref and in the checkout)
+   * and add the POT files changed since base-ref when discovery is enabled
+   */
+  static _collectFiles(potFiles, baseRef, discover) {
+    const files = new Set();
+
+    const patterns = potFiles.filter(pattern => Glob.isGlob(pattern));
+    for (const file of potFiles.filter(pattern => !Glob.isGlob(pattern))) {
+      files.add(file.replace(/^\.\//, ''));
+    }
+
+    if (patterns.length > 0) {
+      const available = new Set([...GitSource.listFilesAtRef(baseRef), ...GitSource.listWorkingTreeFiles()]);
+      for (const file of available) {
+        if (Glob.matchesAny(file, patterns)) {
+          files.add(file);
+        }
+      }
+    }
+
+    if (discover) {
+      for (const file of GitSource.getChangedFiles(baseRef, ['*.pot'])) {
+        files.add(file);
+      }
+    }
+
+    return [...files].sort();
+  }
+}
+
+module.exports = { POTFiles };
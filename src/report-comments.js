@@ -0,0 +1,186 @@
+/**
+ * Posts the Markdown report as PR comments, split across numbered comments when it is
+ * longer than GitHub allows for one comment, or condensed to the summary when even that fails
+ */
+class ReportComments {
+  /**
+   * Hidden marker of the first comment; later parts add their number
+   */
+  static MARKER = '<!-- i18n-string-reviewer-report -->';
+
+  static PART_MARKER_PATTERN = /<!-- i18n-string-reviewer-report part=(\d+) -->/;
+
+  // Opening tag of a section, <details> or <details open>
+  static DETAILS_PATTERN = /^<details\b[^>]*>$/;
+
+  /**
+   * GitHub rejects comments longer than 65536 characters; keep room for the markers and links
+   */
+  static MAX_LENGTH = 65000;
+
+  /**
+   * More comments than this drown the PR conversation, so the summary is posted instead
+   */
+  static MAX_PARTS = 5;
+
+  static partMarker(part) {
+    return part === 1 ? this.MARKER : `<!-- i18n-string-reviewer-report part=${part} -->`;
+  }
+
+  /**
+   * Split the report into comment bodies
+   * Sections (<details> blocks) are never split; the report is condensed to the summary
+   * when a section is too long on its own or more than MAX_PARTS comments are needed
+   * @param {string} markdown - From Reporter.generateMarkdownReport()
+   * @param {Object} options - { fullReportUrl, maxLength, maxParts }
+   *   fullReportUrl - Where the full report can be downloaded, linked from every comment
+   * @returns {Array<string>} - Comment bodies, including their markers
+   */
+  static split(markdown, { fullReportUrl = null, maxLength = this.MAX_LENGTH, maxParts = this.MAX_PARTS } = {}) {
+    const link = fullReportUrl ? `\n\n📄 The full report is attached to [the workflow run](${fullReportUrl}) as an artifact` : '';
+    // Room for the marker, the part heading and the link
+    const budget = maxLength - link.length - 200;
+
+    if (markdown.length <= budget) {
+      return [`${this.MARKER}\n${markdown}${link}`];
+    }
+
+    const blocks = this._splitBlocks(markdown);
+    const parts = [];
+    let current = '';
+    for (const block of blocks) {
+      if (block.length > budget) {
+        return [this._condense(blocks[0], link, maxLength)];
+      }
+      if (current && current.length + block.length + 1 > budget) {
+        parts.push(current);
+        current = '';
+      }
+      current += current ? `\n${block}` : block;
+    }
+    if (current) parts.push(current);
+
+    if (parts.length > maxParts) {
+      return [this._condense(blocks[0], link, maxLength)];
+    }
+
+    console.log(`📑 Splitting the report across ${parts.length} comments`);
+    return parts.map((part, index) => {
+      const number = index + 1;
+      const heading = number === 1 ? '' : `#### 🌍 i18n String Review, continued (part ${number} of ${parts.length})\n\n`;
+      const next = number < parts.length ? `\n\n> 📑 Part ${number} of ${parts.length}, continued in the next comment` : '';
+      return `${this.partMarker(number)}\n${heading}${part}${next}${link}`;
+    });
+  }
+
+  /**
+   * Create, update or delete the report comments of a pull request so they match the bodies
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} prContext - { owner, repo, pullRequestNumber }
+   * @param {Array<string>} bodies - From split(), empty to delete the report
+   */
+  static async publish(octokit, { owner, repo, pullRequestNumber }, bodies) {
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: pullRequestNumber,
+      per_page: 100
+    });
+
+    const existing = this.findParts(comments);
+
+    for (const [index, body] of bodies.entries()) {
+      const comment = existing.get(index + 1);
+      if (comment) {
+        await octokit.rest.issues.updateComment({ owner, repo, comment_id: comment.id, body });
+      } else {
+        await octokit.rest.issues.createComment({ owner, repo, issue_number: pullRequestNumber, body });
+      }
+    }
+
+    // Parts left over from a longer report
+    for (const [part, comment] of existing) {
+      if (part > bodies.length) {
+        await octokit.rest.issues.deleteComment({ owner, repo, comment_id: comment.id });
+      }
+    }
+
+    if (bodies.length > 0) {
+      console.log(`\n✓ Posted the report to the PR${bodies.length > 1 ? ` in ${bodies.length} comments` : ''}`);
+    } else if (existing.size > 0) {
+      console.log('\n✓ Deleted existing PR comment (no changes detected)');
+    }
+  }
+
+  /**
+   * Find the report comments among the comments of a pull request
+   * @param {Array<Object>} comments - Issue comments
+   * @returns {Map<number, Object>} - Part number => comment
+   */
+  static findParts(comments) {
+    const parts = new Map();
+    for (const comment of comments) {
+      if (comment.body?.includes(this.MARKER)) {
+        parts.set(1, comment);
+      } else {
+        const match = this.PART_MARKER_PATTERN.exec(comment.body || '');
+        if (match) parts.set(parseInt(match[1], 10), comment);
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * The report of the comments found by findParts(), with the parts in order
+   * @param {Map<number, Object>} parts - Part number => comment
+   * @returns {string}
+   */
+  static joinParts(parts) {
+    return [...parts.keys()].sort((a, b) => a - b).map(part => parts.get(part).body).join('\n');
+  }
+
+  /**
+   * Split the report into the summary before the first <details> block and the sections after it
+   */
+  static _splitBlocks(markdown) {
+    const blocks = [];
+    let current = [];
+    let inDetails = false;
+
+    for (const line of markdown.split('\n')) {
+      if (this.DETAILS_PATTERN.test(line) && !inDetails) {
+        // The summary is a block of its own, headings between sections stay with the next section
+        if (blocks.length === 0 && current.length > 0) {
+          blocks.push(current.join('\n'));
+          current = [];
+        }
+        current.push(line);
+        inDetails = true;
+      } else if (line === '</details>' && inDetails) {
+        current.push(line);
+        blocks.push(current.join('\n'));
+        current = [];
+        inDetails = false;
+      } else {
+        current.push(line);
+      }
+    }
+    if (current.length > 0) blocks.push(current.join('\n'));
+    return blocks;
+  }
+
+  /**
+   * The summary of the report, before the first section, with a note that the details didn't fit
+   */
+  static _condense(summary, link, maxLength) {
+    console.log('📑 The report is too long for PR comments, posting the summary only');
+    const note = `\n\n> ✂️ The detailed report is too long for PR comments${link ? ', see the full report below' : ''}; the job summary has it too`;
+    let body = `${this.MARKER}\n${summary.trimEnd()}`;
+    if (body.length + note.length + link.length > maxLength) {
+      body = body.slice(0, maxLength - note.length - link.length - 50) + '\n\n*Summary truncated*';
+    }
+    return `${body}${note}${link}`;
+  }
+}
+
+module.exports = { ReportComments };
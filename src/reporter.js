@@ -1,6 +1,62 @@
 const { LLMMatcher } = require('./llm-matcher');
+const { SimilarityMatcher } = require('./similarity-matcher');
+const { CandidateIndex } = require('./candidate-index');
+const { TextDiff } = require('./diff');
+const { CostEstimator } = require('./cost-estimator');
+const { POTComparator } = require('./comparator');
+const { StringFreeze } = require('./string-freeze');
 
 class Reporter {
+  /**
+   * Summary table rows: change kind (see POTComparator.CHANGE_KINDS) and label
+   */
+  static SUMMARY_ROWS = [
+    ['added', '➕ Added'],
+    ['removed', '➖ Removed'],
+    ['changed', '🔄 Changed'],
+    ['reworded', '✏️ Reworded'],
+    ['context', '🧭 Context Changed'],
+    ['plural', '🔢 Now Plural'],
+    ['comment', '💬 Comment Changed'],
+    ['flags', '🏷️ Flags Changed'],
+    ['moved', '📁 Moved']
+  ];
+
+  /**
+   * Default number of rows rendered per table
+   */
+  static DEFAULT_MAX_ROWS = 100;
+
+  /**
+   * Default length locations (file:line) are truncated to
+   */
+  static DEFAULT_LOCATION_LENGTH = 30;
+
+  /**
+   * How changes are shown: inline <del>/<ins> markup in the tables, or ```diff blocks below them
+   */
+  static DIFF_STYLES = ['html', 'diff'];
+
+  static DEFAULT_DIFF_STYLE = 'html';
+
+  /**
+   * What a context change means for translators, by change type
+   */
+  static CONTEXT_CHANGE_NOTES = {
+    added: 'The string got a context, so it can be translated differently from other uses; existing translations no longer apply to it',
+    removed: 'The string lost its context, so it is translated like every other use of this text; existing translations no longer apply to it',
+    renamed: 'The string moved to another context; existing translations no longer apply to it'
+  };
+
+  static PLURALIZED_NOTE = 'Existing translations will need plural forms';
+
+  /**
+   * Order and labels of lint findings in the report
+   */
+  static LINT_SEVERITY_ORDER = ['error', 'warning', 'notice'];
+
+  static LINT_SEVERITY_ICONS = { error: '❌ Error', warning: '⚠️ Warning', notice: 'ℹ️ Notice' };
+
   static escapeMarkdown(text) {
     if (!text) return '';
     const charsToEscape = ['\\', '`', '*', '_', '{', '}', '[', ']', '(', ')', '#', '+', '-', '.', '!'];
@@ -11,45 +67,146 @@ class Reporter {
     return escaped;
   }
 
-  static generateJSONReport(results) {
+  /**
+   * Version of the JSON report format, see schema/report.schema.json
+   */
+  static JSON_SCHEMA_VERSION = 1;
+
+  /**
+   * Generate the structured report, for later workflow steps
+   * @param {Object} results - Combined results from POTComparator
+   * @param {Object} options - { suggestions, domains, costEstimate, decisions }
+   *   suggestions - Map of msgid => suggestion, from collectSuggestions()
+   *   domains - [{ domain, file, results }] to add per text domain counts
+   *   costEstimate - From CostEstimator.estimate(), null when no locales are configured
+   *   decisions - From DecisionStore.summarize(), null without a pull request
+   * @returns {Object} - Report matching schema/report.schema.json
+   */
+  static generateJSONReport(results, { suggestions = new Map(), domains = [], costEstimate = null, translationCoverage = null, translationMemory = null, decisions = null } = {}) {
     const report = {
+      schema_version: this.JSON_SCHEMA_VERSION,
       added_count: results.addedCount,
       removed_count: results.removedCount,
       changed_count: results.changedCount,
+      reworded_count: results.rewordedCount || 0,
+      context_changed_count: results.contextChangedCount || 0,
+      pluralized_count: results.pluralizedCount || 0,
+      comment_changed_count: results.commentChangedCount || 0,
+      flags_changed_count: results.flagsChangedCount || 0,
+      moved_count: results.movedCount || 0,
       total_changes: results.totalChanges,
+      counted_kinds: results.countedKinds || POTComparator.DEFAULT_COUNTED_KINDS,
+      cost_estimate: costEstimate && {
+        currency: costEstimate.currency,
+        words: costEstimate.words,
+        weighted_words: costEstimate.weightedWords,
+        reusable_words: costEstimate.reusableWords,
+        cost: costEstimate.cost,
+        savings: costEstimate.savings,
+        hours: costEstimate.hours,
+        saved_hours: costEstimate.savedHours,
+        words_per_hour: costEstimate.wordsPerHour,
+        locales: costEstimate.locales
+      },
+      translation_coverage: translationCoverage && {
+        locales: translationCoverage.locales.map(item => ({
+          locale: item.locale,
+          files: item.files,
+          coverage_before: Math.round(item.coverageBefore * 1000) / 1000,
+          coverage_after: Math.round(item.coverageAfter * 1000) / 1000,
+          untranslated: item.untranslated,
+          lost: item.lost,
+          fuzzy: item.fuzzy,
+          suggestions_translated: item.suggestionsTranslated,
+          suggestions_total: item.suggestionsTotal
+        })),
+        suggestions: translationCoverage.suggestions.map(({ msgid, match, translatedIn }) => ({
+          msgid,
+          match,
+          translated_in: translatedIn
+        }))
+      },
+      domains: domains.map(({ domain, file, results: domainResults }) => ({
+        text_domain: domain,
+        file,
+        added_count: domainResults.addedCount,
+        removed_count: domainResults.removedCount,
+        changed_count: domainResults.changedCount,
+        reworded_count: domainResults.rewordedCount || 0,
+        context_changed_count: domainResults.contextChangedCount || 0,
+        pluralized_count: domainResults.pluralizedCount || 0,
+        comment_changed_count: domainResults.commentChangedCount || 0,
+        flags_changed_count: domainResults.flagsChangedCount || 0,
+        moved_count: domainResults.movedCount || 0,
+        total_changes: domainResults.totalChanges
+      })),
       added: [],
       removed: [],
-      changed: []
+      changed: [],
+      reworded: [],
+      context_changed: [],
+      pluralized: [],
+      comment_changed: [],
+      flags_changed: [],
+      moved: [],
+      string_freeze: results.stringFreeze ? {
+        window: results.stringFreeze.window.name,
+        exempt: results.stringFreeze.exempt,
+        exception_label: results.stringFreeze.exceptionLabel,
+        violations: results.stringFreeze.violations.map(({ kind, entry, base }) => ({
+          kind,
+          label: StringFreeze.FROZEN_KINDS[kind],
+          msgid: entry.msgid,
+          msgctxt: entry.msgctxt,
+          old_msgid: base && base.msgid !== entry.msgid ? base.msgid : null
+        }))
+      } : null,
+      policy_failures: results.policyFailures || [],
+      decisions: decisions && {
+        ignored: decisions.ignored,
+        accepted: decisions.accepted,
+        approvers: decisions.approvers
+      },
+      placeholder_issues: (results.placeholderIssues || []).map(({ type, message, entry, base }) => ({
+        type,
+        message,
+        msgid: entry.msgid,
+        msgid_plural: entry.msgidPlural,
+        msgctxt: entry.msgctxt,
+        old_msgid: base ? base.msgid : null,
+        old_msgid_plural: base ? base.msgidPlural : null,
+        references: this._parseReferences(entry.comments.reference)
+      })),
+      lint: (results.lintFindings || []).map(({ rule, severity, message, entry }) => ({
+        rule,
+        severity,
+        message,
+        msgid: entry.msgid,
+        msgid_plural: entry.msgidPlural,
+        msgctxt: entry.msgctxt,
+        references: this._parseReferences(entry.comments.reference)
+      }))
     };
 
     // Add added strings
     for (const entry of results.added) {
-      const references = this._parseReferences(entry.comments.reference);
       report.added.push({
-        msgid: entry.msgid,
-        msgid_plural: entry.msgidPlural,
-        msgctxt: entry.msgctxt,
-        occurrences: references.slice(0, 3)
+        ...this._describeEntry(entry),
+        suggestion: this._describeSuggestion(suggestions.get(entry.msgid), translationMemory)
       });
     }
 
     // Add removed strings
     for (const entry of results.removed) {
-      const references = this._parseReferences(entry.comments.reference);
-      report.removed.push({
-        msgid: entry.msgid,
-        msgid_plural: entry.msgidPlural,
-        msgctxt: entry.msgctxt,
-        occurrences: references.slice(0, 3)
-      });
+      report.removed.push(this._describeEntry(entry));
     }
 
     // Add changed strings
     for (const { base, target } of results.changed) {
       const changeInfo = {
-        msgid: base.msgid,
-        msgctxt: base.msgctxt,
-        changes: []
+        ...this._describeEntry(target),
+        changes: [],
+        suggestion: this._describeSuggestion(suggestions.get(target.msgid), translationMemory)
       };
 
       if (base.msgidPlural !== target.msgidPlural) {
@@ -60,29 +217,110 @@ class Reporter {
         });
       }
 
-      if (base.comments.translator !== target.comments.translator) {
+      for (const { field, old, new: value } of this._getCommentChanges(base, target)) {
         changeInfo.changes.push({
-          field: 'translator_comment',
-          old: base.comments.translator,
-          new: target.comments.translator
-        });
-      }
-
-      if (base.comments.extracted !== target.comments.extracted) {
-        changeInfo.changes.push({
-          field: 'extracted_comment',
-          old: base.comments.extracted,
-          new: target.comments.extracted
+          field: field === 'Translator' ? 'translator_comment' : 'extracted_comment',
+          old,
+          new: value
         });
       }
 
       report.changed.push(changeInfo);
     }
 
+    // Add reworded strings
+    for (const { base, target, similarity } of results.reworded || []) {
+      report.reworded.push({
+        ...this._describeEntry(target),
+        old_msgid: base.msgid,
+        new_msgid: target.msgid,
+        similarity
+      });
+    }
+
+    // Add context changes and strings that became plural
+    for (const { base, target, change } of results.contextChanged || []) {
+      report.context_changed.push({
+        ...this._describeEntry(target),
+        change,
+        old_msgctxt: base.msgctxt,
+        new_msgctxt: target.msgctxt,
+        note: this.CONTEXT_CHANGE_NOTES[change]
+      });
+    }
+
+    for (const { target } of results.pluralized || []) {
+      report.pluralized.push({
+        ...this._describeEntry(target),
+        note: this.PLURALIZED_NOTE
+      });
+    }
+
+    // Add metadata-only changes
+    for (const { base, target } of results.commentChanged || []) {
+      report.comment_changed.push({
+        ...this._describeEntry(target),
+        changes: this._getCommentChanges(base, target).map(({ field, old, new: value }) => ({
+          field: field === 'Translator' ? 'translator_comment' : 'extracted_comment',
+          old,
+          new: value
+        }))
+      });
+    }
+
+    for (const { base, target } of results.flagsChanged || []) {
+      report.flags_changed.push({
+        ...this._describeEntry(target),
+        old: base.getFlags(),
+        new: target.getFlags()
+      });
+    }
+
+    for (const { base, target } of results.moved || []) {
+      report.moved.push({
+        ...this._describeEntry(target),
+        old_files: [...base.getReferencedFiles()],
+        new_files: [...target.getReferencedFiles()]
+      });
+    }
+
     return report;
   }
 
-  static async generateMarkdownReport(results, baseEntries, openrouterKey, openrouterModel) {
+  /**
+   * Common fields of an entry in the JSON report
+   * occurrences is kept for compatibility: the first 3 references
+   */
+  static _describeEntry(entry) {
+    const references = this._parseReferences(entry.comments.reference);
+    return {
+      msgid: entry.msgid,
+      msgid_plural: entry.msgidPlural,
+      msgctxt: entry.msgctxt,
+      word_count: this._countWords(entry.msgid) + this._countWords(entry.msgidPlural),
+      references,
+      occurrences: references.slice(0, 3)
+    };
+  }
+
+  /**
+   * Suggestion in the JSON report, null when no matcher looked at the string
+   */
+  static _describeSuggestion(suggestion, translationMemory = null) {
+    if (!suggestion || !suggestion.source) return null;
+    const lookup = translationMemory && suggestion.match ? translationMemory.lookup(suggestion.match) : null;
+    return {
+      match: suggestion.match,
+      source: suggestion.source,
+      confidence: suggestion.confidence ?? null,
+      error: suggestion.error || null,
+      accepted_by: suggestion.acceptedBy || null,
+      translations: lookup && lookup.translations,
+      untranslated_locales: lookup && lookup.missing
+    };
+  }
+
+  static async generateMarkdownReport(results, baseEntries, llmProvider = null, options = {}) {
     // Return null if there are no changes - no report needed
     if (results.totalChanges === 0) {
       return null;
@@ -91,65 +329,148 @@ class Reporter {
     const lines = [];
     lines.push('### 🌍 i18n String Review Report\n');
 
-    // Convert baseEntries Map to Array for LLM matcher
-    // Include both existing base entries AND removed strings (which are already translated)
-    const baseEntriesArray = baseEntries ? Array.from(baseEntries.values()) : [];
-    
-    // Add removed strings to the pool of available strings for matching
-    // These are valuable because they're already translated even though they're no longer in the code
-    if (results.removed && results.removed.length > 0) {
-      console.log(`ℹ️  Including ${results.removed.length} removed strings as potential matches (already translated)`);
-      baseEntriesArray.push(...results.removed);
-    }
-
     // Summary table
     lines.push('#### 📊 Summary\n');
     lines.push('| Category | Count |');
     lines.push('|----------|-------|');
-    lines.push(`| ➕ Added | ${results.addedCount} |`);
-    lines.push(`| ➖ Removed | ${results.removedCount} |`);
-    lines.push(`| 🔄 Changed | ${results.changedCount} |`);
+    for (const [kind, label] of this.SUMMARY_ROWS) {
+      lines.push(`| ${this._formatKindLabel(kind, label, results.countedKinds)} | ${this._getKindCount(results, kind)} |`);
+    }
     lines.push(`| **Total** | **${results.totalChanges}** |\n`);
+    lines.push(...this._formatStringFreeze(options.stringFreeze));
+    lines.push(...this._renderPolicyFailures(options.policyFailures));
+    lines.push(...this._formatDecisions(options.decisions));
+    lines.push(...this._formatPlaceholderWarning((results.placeholderIssues || []).length));
+    lines.push(...this._renderCostEstimate(options.costEstimate));
+    lines.push(...this._renderTranslationCoverage(options.translationCoverage, options));
+
+    lines.push(...await this._renderDetails(results, baseEntries, llmProvider, options));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate one report covering several POT files, with a section per text domain
+   * @param {Array<Object>} domains - [{ domain, file, results, baseEntries, suggestions }], suggestions is optional
+   * @param {LLMProvider|null} llmProvider - Configured LLM provider (optional)
+   * @param {Object} options - Matching options, see _getSuggestions
+   * @returns {Promise<string|null>} - Markdown report, or null if there are no changes
+   */
+  static async generateMultiDomainMarkdownReport(domains, llmProvider = null, options = {}) {
+    const totals = { totalChanges: 0 };
+    for (const [kind] of this.SUMMARY_ROWS) {
+      totals[kind] = 0;
+    }
+    for (const { results } of domains) {
+      totals.totalChanges += results.totalChanges;
+      for (const [kind] of this.SUMMARY_ROWS) {
+        totals[kind] += this._getKindCount(results, kind);
+      }
+    }
+    const countedKinds = domains.length > 0 ? domains[0].results.countedKinds : undefined;
+
+    // Return null if there are no changes - no report needed
+    if (totals.totalChanges === 0) {
+      return null;
+    }
+
+    const lines = [];
+    lines.push('### 🌍 i18n String Review Report\n');
+
+    // Summary table, one row per text domain
+    lines.push('#### 📊 Summary\n');
+    const labels = this.SUMMARY_ROWS.map(([kind, label]) => this._formatKindLabel(kind, label, countedKinds));
+    lines.push(`| Text Domain | ${labels.join(' | ')} | Total |`);
+    lines.push(`|-------------|${labels.map(() => '------').join('|')}|-------|`);
+    for (const { domain, results } of domains) {
+      const counts = this.SUMMARY_ROWS.map(([kind]) => this._getKindCount(results, kind));
+      lines.push(`| ${this.escapeMarkdown(domain)} | ${counts.join(' | ')} | ${results.totalChanges} |`);
+    }
+    const totalCounts = this.SUMMARY_ROWS.map(([kind]) => `**${totals[kind]}**`);
+    lines.push(`| **Total** | ${totalCounts.join(' | ')} | **${totals.totalChanges}** |\n`);
+    lines.push(...this._formatStringFreeze(options.stringFreeze));
+    lines.push(...this._renderPolicyFailures(options.policyFailures));
+    lines.push(...this._formatDecisions(options.decisions));
+    lines.push(...this._formatPlaceholderWarning(domains.reduce((sum, { results }) => sum + (results.placeholderIssues || []).length, 0)));
+    lines.push(...this._renderCostEstimate(options.costEstimate));
+    lines.push(...this._renderTranslationCoverage(options.translationCoverage, options));
+
+    for (const { domain, file, results, baseEntries, suggestions } of domains) {
+      if (results.totalChanges === 0) continue;
+
+      lines.push(`#### 📦 ${this.escapeMarkdown(domain)}\n`);
+      lines.push(`\`${file}\`\n`);
+      lines.push(...await this._renderDetails(results, baseEntries, llmProvider, { ...options, suggestions }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the detail tables (added, removed, changed, reworded and metadata changes) of one comparison
+   * Suggestions are drawn from this comparison's base entries only
+   * @param {Object} options - Matching options (see _getSuggestions) plus { maxRows, stringLength, locationLength, diffStyle, translationMemory }
+   *   stringLength - truncate strings to this length (each table has its own default)
+   *   diffStyle - 'html' or 'diff', see DIFF_STYLES
+   *   translationMemory - TranslationMemory to list the translations of suggested matches
+   * @returns {Promise<Array<string>>} - Markdown lines
+   */
+  static async _renderDetails(results, baseEntries, llmProvider, options = {}) {
+    const {
+      maxRows = this.DEFAULT_MAX_ROWS,
+      stringLength = null,
+      locationLength = this.DEFAULT_LOCATION_LENGTH,
+      diffStyle = this.DEFAULT_DIFF_STYLE
+    } = options;
+    const lines = [];
+
+    const baseEntriesArray = this.getCandidatePool(results, baseEntries);
+    const suggestions = options.suggestions || await this.collectSuggestions(results, baseEntries, llmProvider, options);
+
+    // Note how many candidates the suggestions were drawn from
+    const { localMatching = true } = options;
+    const hasStringsToMatch = results.added.length > 0 || results.changed.length > 0;
+    if (hasStringsToMatch && baseEntriesArray.length > 0 && (localMatching || llmProvider)) {
+      lines.push(this._formatCandidateNote(baseEntriesArray, llmProvider, options) + '\n');
+    }
+
+    // Placeholder issues break existing translations, so they come first and are expanded
+    lines.push(...this._renderTable(
+      '⚠️ Placeholder Issues',
+      ['String', 'Issue', 'Details', 'Location'],
+      (results.placeholderIssues || []).map(({ type, entry, base, message }) => {
+        const references = this._parseReferences(entry.comments.reference);
+        const string = base && base.msgid !== entry.msgid
+          ? `${this._truncate(base.msgid, stringLength || 40)} → ${this._truncate(entry.msgid, stringLength || 40)}`
+          : this._truncate(entry.msgid, stringLength || 40);
+        return [
+          string,
+          `\`${type}\``,
+          this.escapeMarkdown(message),
+          references.length > 0 ? this._truncate(references[0], locationLength) : '-'
+        ];
+      }),
+      (results.placeholderIssues || []).length,
+      maxRows,
+      { open: true }
+    ));
 
     // Added strings table
     if (results.added.length > 0) {
       // First, collect all entries with their LLM suggestions
       const entriesWithData = [];
       let totalWords = 0;
-      const limit = Math.min(results.added.length, 100);
+      const limit = Math.min(results.added.length, maxRows);
       
       for (let i = 0; i < limit; i++) {
         const entry = results.added[i];
         const wordCount = this._countWords(entry.msgid) + this._countWords(entry.msgidPlural);
         totalWords += wordCount;
         
-        // Get LLM suggestion if enabled
-        let suggestedMatch = '-';
-        let hasSuggestion = false;
-        if (openrouterKey && baseEntriesArray.length > 0) {
-          try {
-            const matchResult = await LLMMatcher.findBestMatch(
-              entry.msgid,
-              baseEntriesArray,
-              openrouterKey,
-              openrouterModel
-            );
-            
-            if (matchResult.error) {
-              suggestedMatch = `LLM Error: ${matchResult.error}`;
-            } else if (matchResult.match) {
-              suggestedMatch = matchResult.match; // Full string, not truncated
-              hasSuggestion = true;
-            } else {
-              suggestedMatch = '*No close match*'; // Italics to distinguish from actual suggestions
-            }
-            
-            // Small delay between string checks to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 500));
-          } catch (error) {
-            throw error; // Re-throw to stop the action
-          }
-        }
+        // Look up local and/or LLM suggestion
+        const suggestion = suggestions.get(entry.msgid);
+        const suggestedMatch = this._formatSuggestion(suggestion, options);
+        const hasSuggestion = Boolean(suggestion?.match);
         
         entriesWithData.push({
           entry,
@@ -174,9 +495,9 @@ class Reporter {
       
       for (const data of entriesWithData) {
         const entry = data.entry;
-        const msgid = this._truncate(entry.msgid, 50);
+        const msgid = this._truncate(entry.msgid, stringLength || 50);
         const references = this._parseReferences(entry.comments.reference);
-        const location = references.length > 0 ? this._truncate(references[0], 30) : '-';
+        const location = references.length > 0 ? this._truncate(references[0], locationLength) : '-';
         
         lines.push(`| ${msgid} | ${location} | ${data.wordCount} | ${data.suggestedMatch} |`);
       }
@@ -187,8 +508,8 @@ class Reporter {
         totalWords += this._countWords(entry.msgid) + this._countWords(entry.msgidPlural);
       }
 
-      if (results.added.length > 100) {
-        lines.push(`| ... | ... | *and ${results.added.length - 100} more* | ... |`);
+      if (results.added.length > maxRows) {
+        lines.push(`| ... | ... | *and ${results.added.length - maxRows} more* | ... |`);
       }
 
       // Footer with total
@@ -204,18 +525,18 @@ class Reporter {
       lines.push('| String | Location |');
       lines.push('|--------|----------|');
 
-      const limit = Math.min(results.removed.length, 100);
+      const limit = Math.min(results.removed.length, maxRows);
       for (let i = 0; i < limit; i++) {
         const entry = results.removed[i];
-        const msgid = this._truncate(entry.msgid, 50);
+        const msgid = this._truncate(entry.msgid, stringLength || 50);
         const references = this._parseReferences(entry.comments.reference);
-        const location = references.length > 0 ? this._truncate(references[0], 30) : '-';
+        const location = references.length > 0 ? this._truncate(references[0], locationLength) : '-';
         
         lines.push(`| ${msgid} | ${location} |`);
       }
 
-      if (results.removed.length > 100) {
-        lines.push(`| ... | *and ${results.removed.length - 100} more* |`);
+      if (results.removed.length > maxRows) {
+        lines.push(`| ... | *and ${results.removed.length - maxRows} more* |`);
       }
 
       lines.push('\n</details>\n');
@@ -226,7 +547,7 @@ class Reporter {
       // First, collect all entries with their LLM suggestions
       const entriesWithData = [];
       let totalWords = 0;
-      const limit = Math.min(results.changed.length, 100);
+      const limit = Math.min(results.changed.length, maxRows);
       
       for (let i = 0; i < limit; i++) {
         const { base, target } = results.changed[i];
@@ -235,67 +556,25 @@ class Reporter {
         const wordCount = this._countWords(target.msgid) + this._countWords(target.msgidPlural);
         totalWords += wordCount;
         
-        // Determine what changed
-        const changes = [];
-        if (base.msgidPlural !== target.msgidPlural) {
-          changes.push(`Plural: ${this._truncate(base.msgidPlural || '(none)', 30)}`);
-        }
-        if (base.comments.translator !== target.comments.translator) {
-          changes.push(`Comment: ${this._truncate(base.comments.translator || '(none)', 30)}`);
-        }
-        if (base.comments.extracted !== target.comments.extracted) {
-          changes.push(`Extracted: ${this._truncate(base.comments.extracted || '(none)', 30)}`);
-        }
-        
-        const existing = changes.length > 0 ? changes[0] : '-';
+        // Every changed field, as an inline diff or as the field names with diff blocks below the table
+        const fields = this._getChangedFields(base, target);
+        const changes = fields.length === 0
+          ? '-'
+          : fields.map(({ field, old, new: value }) => diffStyle === 'html'
+            ? `**${field}:** ${this._renderInlineDiff(old, value)}`
+            : field).join(diffStyle === 'html' ? '<br>' : ', ');
         
-        const newChanges = [];
-        if (base.msgidPlural !== target.msgidPlural) {
-          newChanges.push(`Plural: ${this._truncate(target.msgidPlural || '(none)', 30)}`);
-        }
-        if (base.comments.translator !== target.comments.translator) {
-          newChanges.push(`Comment: ${this._truncate(target.comments.translator || '(none)', 30)}`);
-        }
-        if (base.comments.extracted !== target.comments.extracted) {
-          newChanges.push(`Extracted: ${this._truncate(target.comments.extracted || '(none)', 30)}`);
-        }
-        
-        const changed = newChanges.length > 0 ? newChanges[0] : '-';
-        
-        // Get LLM suggestion if enabled
-        let suggestedMatch = '-';
-        let hasSuggestion = false;
-        if (openrouterKey && baseEntriesArray.length > 0) {
-          try {
-            const matchResult = await LLMMatcher.findBestMatch(
-              target.msgid,
-              baseEntriesArray,
-              openrouterKey,
-              openrouterModel
-            );
-            
-            if (matchResult.error) {
-              suggestedMatch = `LLM Error: ${matchResult.error}`;
-            } else if (matchResult.match) {
-              suggestedMatch = matchResult.match; // Full string, not truncated
-              hasSuggestion = true;
-            } else {
-              suggestedMatch = '*No close match*'; // Italics to distinguish from actual suggestions
-            }
-            
-            // Small delay between string checks to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 500));
-          } catch (error) {
-            throw error; // Re-throw to stop the action
-          }
-        }
+        // Look up local and/or LLM suggestion
+        const suggestion = suggestions.get(target.msgid);
+        const suggestedMatch = this._formatSuggestion(suggestion, options);
+        const hasSuggestion = Boolean(suggestion?.match);
         
         entriesWithData.push({
           base,
           target,
           wordCount,
-          existing,
-          changed,
+          changes,
+          fields,
           suggestedMatch,
           hasSuggestion
         });
@@ -311,13 +590,13 @@ class Reporter {
       // Now render the table
       lines.push('<details>');
       lines.push(`<summary><strong>🔄 Changed Strings (${results.changed.length})</strong> - Click to expand</summary>\n`);
-      lines.push('| String | Existing | Changed | Words | Suggested Match |');
-      lines.push('|--------|----------|---------|-------|-----------------|');
+      lines.push('| String | Changes | Words | Suggested Match |');
+      lines.push('|--------|---------|-------|-----------------|');
       
       for (const data of entriesWithData) {
-        const msgid = this._truncate(data.base.msgid, 40);
+        const msgid = this._truncate(data.base.msgid, stringLength || 40);
         
-        lines.push(`| ${msgid} | ${data.existing} | ${data.changed} | ${data.wordCount} | ${data.suggestedMatch} |`);
+        lines.push(`| ${msgid} | ${data.changes} | ${data.wordCount} | ${data.suggestedMatch} |`);
       }
 
       // Add remaining words from items beyond limit
@@ -326,17 +605,543 @@ class Reporter {
         totalWords += this._countWords(target.msgid) + this._countWords(target.msgidPlural);
       }
 
-      if (results.changed.length > 100) {
-        lines.push(`| ... | ... | ... | *and ${results.changed.length - 100} more* | ... |`);
+      if (results.changed.length > maxRows) {
+        lines.push(`| ... | ... | *and ${results.changed.length - maxRows} more* | ... |`);
       }
 
       // Footer with total
-      lines.push(`| **Total** | | | **${totalWords}** | |`);
+      lines.push(`| **Total** | | **${totalWords}** | |`);
+
+      if (diffStyle === 'diff') {
+        lines.push('', ...this._renderDiffBlocks(entriesWithData.flatMap(({ base, fields }) =>
+          fields.map(({ field, old, new: value }) => ({ label: `${base.msgid} - ${field}`, old, new: value })))));
+      }
 
       lines.push('\n</details>\n');
     }
 
-    return lines.join('\n');
+    // Reworded strings table
+    if (results.reworded && results.reworded.length > 0) {
+      lines.push('<details>');
+      lines.push(`<summary><strong>✏️ Reworded Strings (${results.reworded.length})</strong> - Click to expand</summary>\n`);
+      const showDiff = diffStyle === 'html';
+      lines.push(`| Before | After |${showDiff ? ' Diff |' : ''} Similarity | Location |`);
+      lines.push(`|--------|-------|${showDiff ? '------|' : ''}------------|----------|`);
+
+      const limit = Math.min(results.reworded.length, maxRows);
+      for (let i = 0; i < limit; i++) {
+        const { base, target, similarity } = results.reworded[i];
+        const diff = showDiff ? ` ${this._renderInlineDiff(base.msgid, target.msgid)} |` : '';
+        const references = this._parseReferences(target.comments.reference);
+        const location = references.length > 0 ? this._truncate(references[0], locationLength) : '-';
+
+        lines.push(`| ${this._truncate(base.msgid, stringLength || 40)} | ${this._truncate(target.msgid, stringLength || 40)} |${diff} ${Math.round(similarity * 100)}% | ${location} |`);
+      }
+
+      if (results.reworded.length > maxRows) {
+        lines.push(`| ... | *and ${results.reworded.length - maxRows} more* |${showDiff ? ' ... |' : ''} ... | ... |`);
+      }
+
+      if (!showDiff) {
+        lines.push('', ...this._renderDiffBlocks(results.reworded.slice(0, limit).map(({ base, target }) =>
+          ({ label: target.msgid, old: base.msgid, new: target.msgid }))));
+      }
+
+      lines.push('\n</details>\n');
+    }
+
+    // Same text, but translators need to know how its use changed
+    lines.push(...this._renderTable(
+      '🧭 Context Changes',
+      ['String', 'Before', 'After', 'What it means'],
+      (results.contextChanged || []).map(({ base, target, change }) => [
+        this._truncate(target.msgid, stringLength || 40),
+        base.msgctxt ? this._truncate(base.msgctxt, stringLength || 30) : '*(no context)*',
+        target.msgctxt ? this._truncate(target.msgctxt, stringLength || 30) : '*(no context)*',
+        this.CONTEXT_CHANGE_NOTES[change]
+      ]),
+      (results.contextChanged || []).length,
+      maxRows
+    ));
+
+    lines.push(...this._renderTable(
+      '🔢 Now Plural',
+      ['String', 'Plural', 'What it means'],
+      (results.pluralized || []).map(({ target }) => [
+        this._truncate(target.msgid, stringLength || 40),
+        this._truncate(target.msgidPlural, stringLength || 40) || '*(empty)*',
+        this.PLURALIZED_NOTE
+      ]),
+      (results.pluralized || []).length,
+      maxRows
+    ));
+
+    // Metadata-only changes: the string is the same, but translators may need to know
+    const commentChanges = (results.commentChanged || []).flatMap(({ base, target }) =>
+      this._getCommentChanges(base, target).map(change => ({ ...change, msgid: target.msgid })));
+    lines.push(...this._renderTable(
+      '💬 Comment Changes',
+      diffStyle === 'html' ? ['String', 'Comment', 'Diff'] : ['String', 'Comment', 'Before', 'After'],
+      commentChanges.map(({ msgid, field, old, new: value }) => [
+        this._truncate(msgid, stringLength || 40),
+        field,
+        ...(diffStyle === 'html'
+          ? [this._renderInlineDiff(old, value)]
+          : [this._truncate(old, stringLength || 50) || '*(none)*', this._truncate(value, stringLength || 50) || '*(none)*'])
+      ]),
+      (results.commentChanged || []).length,
+      maxRows,
+      {
+        footer: diffStyle === 'diff'
+          ? this._renderDiffBlocks(commentChanges.slice(0, maxRows).map(({ msgid, field, old, new: value }) =>
+            ({ label: `${msgid} - ${field} comment`, old, new: value })))
+          : []
+      }
+    ));
+
+    lines.push(...this._renderTable(
+      '🏷️ Flag Changes',
+      ['String', 'Before', 'After'],
+      (results.flagsChanged || []).map(({ base, target }) => [
+        this._truncate(target.msgid, stringLength || 40),
+        this.escapeMarkdown(base.getFlags().join(', ')) || '*(none)*',
+        this.escapeMarkdown(target.getFlags().join(', ')) || '*(none)*'
+      ]),
+      (results.flagsChanged || []).length,
+      maxRows
+    ));
+
+    lines.push(...this._renderTable(
+      '📁 Moved Strings',
+      ['String', 'From', 'To'],
+      (results.moved || []).map(({ base, target }) => [
+        this._truncate(target.msgid, stringLength || 40),
+        this._truncate([...base.getReferencedFiles()].join(', '), stringLength || 50) || '-',
+        this._truncate([...target.getReferencedFiles()].join(', '), stringLength || 50) || '-'
+      ]),
+      (results.moved || []).length,
+      maxRows
+    ));
+
+    // String lint findings, errors first
+    const lintFindings = [...(results.lintFindings || [])]
+      .sort((a, b) => this.LINT_SEVERITY_ORDER.indexOf(a.severity) - this.LINT_SEVERITY_ORDER.indexOf(b.severity));
+    lines.push(...this._renderTable(
+      '🧹 String Lint',
+      ['Severity', 'String', 'Rule', 'Problem', 'Location'],
+      lintFindings.map(({ rule, severity, message, entry }) => {
+        const references = this._parseReferences(entry.comments.reference);
+        return [
+          this.LINT_SEVERITY_ICONS[severity],
+          this._truncate(entry.msgid, stringLength || 40),
+          `\`${rule}\``,
+          this.escapeMarkdown(message),
+          references.length > 0 ? this._truncate(references[0], locationLength) : '-'
+        ];
+      }),
+      lintFindings.length,
+      maxRows
+    ));
+
+    return lines;
+  }
+
+  /**
+   * Render a collapsible table, limited to the first maxRows rows
+   * @param {string} title - Section title with its emoji
+   * @param {Array<string>} headers - Column headers
+   * @param {Array<Array<string>>} rows - Already escaped cells
+   * @param {number} count - Number of strings, shown in the title
+   * @param {number} maxRows - Rows to render before summarizing the rest
+   * @param {Object} options - { open, footer } - render the table expanded, Markdown lines to add below it
+   * @returns {Array<string>} - Markdown lines, empty when there are no rows
+   */
+  static _renderTable(title, headers, rows, count, maxRows = this.DEFAULT_MAX_ROWS, { open = false, footer = [] } = {}) {
+    if (rows.length === 0) return [];
+
+    const lines = [];
+    lines.push(open ? '<details open>' : '<details>');
+    lines.push(`<summary><strong>${title} (${count})</strong>${open ? '' : ' - Click to expand'}</summary>\n`);
+    lines.push(`| ${headers.join(' | ')} |`);
+    lines.push(`|${headers.map(header => '-'.repeat(header.length + 2)).join('|')}|`);
+    for (const row of rows.slice(0, maxRows)) {
+      lines.push(`| ${row.join(' | ')} |`);
+    }
+    if (rows.length > maxRows) {
+      lines.push(`| *and ${rows.length - maxRows} more* |${' |'.repeat(headers.length - 1)}`);
+    }
+    if (footer.length > 0) {
+      lines.push('', ...footer);
+    }
+    lines.push('\n</details>\n');
+    return lines;
+  }
+
+  /**
+   * Render an inline <del>/<ins> diff for a table cell
+   * An empty side shows as *(none)*, so adding or removing a comment is visible
+   */
+  static _renderInlineDiff(before, after) {
+    if (!before) return `*(none)* → <ins>${this._escapeCellText(after)}</ins>`;
+    if (!after) return `<del>${this._escapeCellText(before)}</del> → *(none)*`;
+    return TextDiff.renderHTML(TextDiff.diff(before, after), text => this._escapeCellText(text));
+  }
+
+  /**
+   * Escape text for a table cell: HTML, Markdown, the cell separator and line breaks
+   * LLMCache reads suggested matches back from the cells, see LLMCache._unescapeCell()
+   */
+  static _escapeCellText(text) {
+    return this.escapeMarkdown(TextDiff.escapeHTML(text)).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Render ```diff blocks, each below a bold label
+   * @param {Array<Object>} items - [{ label, old, new }]
+   */
+  static _renderDiffBlocks(items) {
+    return items.flatMap(({ label, old, new: value }, index) => [
+      ...(index > 0 ? [''] : []),
+      `**${this.escapeMarkdown(label)}**\n`,
+      TextDiff.renderDiffBlock(old, value)
+    ]);
+  }
+
+  /**
+   * List the changed fields of a changed string: the plural form and the comments
+   * @returns {Array<Object>} - [{ field, old, new }]
+   */
+  static _getChangedFields(base, target) {
+    const fields = [];
+    if (base.msgidPlural !== target.msgidPlural) {
+      fields.push({ field: 'Plural', old: base.msgidPlural, new: target.msgidPlural });
+    }
+    for (const { field, old, new: value } of this._getCommentChanges(base, target)) {
+      fields.push({ field: `${field} comment`, old, new: value });
+    }
+    return fields;
+  }
+
+  /**
+   * List the failed policies right below the summary, since they fail the check
+   * @param {Array<Object>} failures - From PolicyEngine.evaluate()
+   */
+  static _renderPolicyFailures(failures = []) {
+    if (failures.length === 0) return [];
+
+    const lines = [];
+    lines.push('#### 🚦 Failed Policies\n');
+    lines.push('| Policy | Rule | Problem |');
+    lines.push('|--------|------|---------|');
+    const cell = text => this.escapeMarkdown(text).replace(/\|/g, '\\|');
+    for (const { policy, rule, message } of failures) {
+      lines.push(`| ${cell(policy)} | \`${rule}\` | ${cell(message)} |`);
+    }
+    lines.push('');
+    return lines;
+  }
+
+  /**
+   * Render the translation cost estimate, from CostEstimator.estimate()
+   * @returns {Array<string>} - Markdown lines, empty without an estimate
+   */
+  static _renderCostEstimate(estimate) {
+    if (!estimate) return [];
+
+    const money = amount => `${amount.toFixed(2)} ${estimate.currency}`;
+    const lines = [];
+    lines.push('#### 💰 Translation Estimate\n');
+    lines.push('| Locale | Rate per Word | Cost | Savings if Suggestions Are Reused |');
+    lines.push('|--------|---------------|------|-----------------------------------|');
+    for (const { locale, rate, cost, savings } of estimate.locales) {
+      lines.push(`| ${this.escapeMarkdown(locale)} | ${rate} | ${money(cost)} | ${money(savings)} |`);
+    }
+    lines.push(`| **Total** | | **${money(estimate.cost)}** | **${money(estimate.savings)}** |\n`);
+
+    const discounted = estimate.weightedWords !== estimate.words ? ` (${estimate.weightedWords} after fuzzy match discounts)` : '';
+    lines.push(`> ⏱️ ${estimate.words} words per locale${discounted}, about **${estimate.hours} hours** of translation at ${estimate.wordsPerHour} words per hour` +
+      (estimate.savedHours > 0 ? `; reusing the suggested matches saves ${estimate.savedHours} hours` : '') + '\n');
+    return lines;
+  }
+
+  /**
+   * Render the per-locale impact on existing translations, from TranslationCoverage.analyze()
+   * @param {Object} options - { maxRows, stringLength }
+   * @returns {Array<string>} - Markdown lines, empty without translation files
+   */
+  static _renderTranslationCoverage(coverage, { maxRows = this.DEFAULT_MAX_ROWS, stringLength = null } = {}) {
+    if (!coverage || coverage.locales.length === 0) return [];
+
+    const percent = value => `${Math.round(value * 100)}%`;
+    const lines = [];
+    lines.push('#### 🌐 Translation Coverage\n');
+    lines.push('| Locale | Translated | New Strings to Translate | Translations Lost | Translations Made Fuzzy | Suggested Matches Translated |');
+    lines.push('|--------|------------|--------------------------|-------------------|-------------------------|------------------------------|');
+    for (const { locale, coverageBefore, coverageAfter, untranslated, lost, fuzzy, suggestionsTranslated, suggestionsTotal } of coverage.locales) {
+      const change = coverageAfter < coverageBefore ? ` → **${percent(coverageAfter)}**` : ` → ${percent(coverageAfter)}`;
+      lines.push(`| ${this.escapeMarkdown(locale)} | ${percent(coverageBefore)}${change} | ${untranslated} | ${lost} | ${fuzzy} | ${suggestionsTotal > 0 ? `${suggestionsTranslated} of ${suggestionsTotal}` : '-'} |`);
+    }
+    lines.push('');
+
+    // Which locales can reuse each suggested match as is
+    if (coverage.suggestions.length > 0) {
+      const locales = coverage.locales.map(({ locale }) => locale);
+      const rows = coverage.suggestions.map(({ msgid, match, translatedIn }) => [
+        this._truncate(msgid, stringLength || 40),
+        this._truncate(match, stringLength || 40),
+        ...locales.map(locale => translatedIn.includes(locale) ? '✅' : '❌')
+      ]);
+      lines.push(...this._renderTable(
+        '🔁 Translations of Suggested Matches',
+        ['String', 'Suggested Match', ...locales.map(locale => this.escapeMarkdown(locale))],
+        rows,
+        rows.length,
+        maxRows
+      ));
+    }
+    return lines;
+  }
+
+  /**
+   * Callout for changes made during an active string freeze
+   * @param {Object|null} freeze - From StringFreeze.check()
+   */
+  static _formatStringFreeze(freeze) {
+    if (!freeze || freeze.violations.length === 0) return [];
+    const { window, exempt, exceptionLabel, violations } = freeze;
+    if (exempt) {
+      return [`> 🧊 String freeze **"${this.escapeMarkdown(window.name)}"** is active; ${violations.length} string change(s) are allowed by the \`${exceptionLabel}\` label\n`];
+    }
+    return [`> 🧊 **String freeze "${this.escapeMarkdown(window.name)}" is active**, but ${violations.length} string(s) changed. To request an exemption, ask a maintainer to add the \`${exceptionLabel}\` label\n`];
+  }
+
+  /**
+   * Callout for the reviewer decisions made with /i18n commands
+   * @param {Object|null} decisions - From DecisionStore.summarize()
+   */
+  static _formatDecisions(decisions) {
+    if (!decisions) return [];
+    const parts = [];
+    if (decisions.approvers.length > 0) {
+      parts.push(`approved by ${decisions.approvers.map(user => `@${user}`).join(', ')}`);
+    }
+    if (decisions.ignored.length > 0) {
+      parts.push(`${decisions.ignored.length} string(s) ignored`);
+    }
+    if (decisions.accepted.length > 0) {
+      parts.push(`${decisions.accepted.length} suggestion(s) accepted`);
+    }
+    if (parts.length === 0) return [];
+    return [`> 🗳️ Reviewer decisions: ${parts.join(', ')}\n`];
+  }
+
+  /**
+   * Callout below the summary table, so placeholder issues aren't missed among routine changes
+   */
+  static _formatPlaceholderWarning(count) {
+    if (count === 0) return [];
+    return [`> ⚠️ **${count} placeholder issue(s)** may break existing translations, see below\n`];
+  }
+
+  /**
+   * List the translator and extracted comment differences between two versions of a string
+   * @returns {Array<Object>} - [{ field: 'Translator' | 'Extracted', old, new }]
+   */
+  static _getCommentChanges(base, target) {
+    const changes = [];
+    if (base.comments.translator !== target.comments.translator) {
+      changes.push({ field: 'Translator', old: base.comments.translator, new: target.comments.translator });
+    }
+    if (base.comments.extracted !== target.comments.extracted) {
+      changes.push({ field: 'Extracted', old: base.comments.extracted, new: target.comments.extracted });
+    }
+    return changes;
+  }
+
+  static _getKindCount(results, kind) {
+    return results[`${POTComparator.CHANGE_KINDS[kind]}Count`] || 0;
+  }
+
+  /**
+   * Mark change kinds that don't count towards the total
+   */
+  static _formatKindLabel(kind, label, countedKinds = POTComparator.DEFAULT_COUNTED_KINDS) {
+    return countedKinds.includes(kind) ? label : `${label} *(not counted)*`;
+  }
+
+  /**
+   * Find suggested matches for every string translators will see, not only the rows shown in the report,
+   * since the cost estimate and the policies look at all of them
+   * Run it once and pass the result to both reports, so the LLM is only asked once
+   * @param {Object} results - Results from POTComparator
+   * @param {Map} baseEntries - Base entries of the same comparison
+   * @param {LLMProvider|null} llmProvider - Configured LLM provider (optional)
+   * @param {Object} options - Matching options (see _getSuggestions)
+   * @returns {Promise<Map<string, Object>>} - msgid => suggestion
+   */
+  static async collectSuggestions(results, baseEntries, llmProvider, options = {}) {
+    const candidates = this.getCandidatePool(results, baseEntries);
+    if (results.removed.length > 0) {
+      console.log(`ℹ️  Including ${results.removed.length} removed strings as potential matches (already translated)`);
+    }
+
+    // Collect suggestions for all strings up front,
+    // so the LLM can match them in batches against one shared candidate list
+    const stringsToMatch = new Set([
+      ...results.added.map(entry => entry.msgid),
+      ...results.changed.map(({ target }) => target.msgid),
+      ...(results.reworded || []).map(({ target }) => target.msgid),
+      ...(results.contextChanged || []).map(({ target }) => target.msgid),
+      ...(results.pluralized || []).map(({ target }) => target.msgid)
+    ]);
+    return this._getSuggestions([...stringsToMatch], candidates, llmProvider, options);
+  }
+
+  /**
+   * Strings a suggestion can point to: the base entries, plus removed strings and the old
+   * wording of reworded strings, which are already translated even though they're no longer in the code
+   */
+  static getCandidatePool(results, baseEntries) {
+    const candidates = baseEntries ? Array.from(baseEntries.values()) : [];
+    candidates.push(...results.removed);
+    candidates.push(...(results.reworded || []).map(({ base }) => base));
+    return candidates;
+  }
+
+  /**
+   * Get the suggested matches for new strings
+   * The local similarity matcher runs first; only uncertain cases are sent to the LLM, in batches
+   * @param {Array<string>} newStrings - The new strings to find matches for
+   * @param {Array<Object>} baseEntriesArray - Candidate POTEntry objects
+   * @param {LLMProvider|null} llmProvider - Configured LLM provider (optional)
+   * @param {Object} options - { localMatching, localMatchThreshold, llmBatchSize, candidateLimit, maxCandidateLength }
+   * @returns {Promise<Map<string, Object>>} - newString => { match, source, confidence, error }
+   *   source is 'local' or 'llm' when a matcher looked at the string, null when none ran
+   */
+  static async _getSuggestions(newStrings, baseEntriesArray, llmProvider, options = {}) {
+    const {
+      localMatching = true,
+      localMatchThreshold = SimilarityMatcher.DEFAULT_THRESHOLD,
+      llmBatchSize = LLMMatcher.DEFAULT_BATCH_SIZE,
+      candidateLimit = CandidateIndex.DEFAULT_TOP_K,
+      maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH
+    } = options;
+    const suggestions = new Map();
+
+    if (baseEntriesArray.length === 0 || (!localMatching && !llmProvider)) {
+      for (const newString of newStrings) {
+        suggestions.set(newString, { match: null, source: null });
+      }
+      return suggestions;
+    }
+
+    const uncertain = [];
+    for (const newString of newStrings) {
+      if (suggestions.has(newString)) continue;
+
+      if (localMatching) {
+        const localResult = SimilarityMatcher.findBestMatch(newString, baseEntriesArray, {
+          threshold: localMatchThreshold,
+          maxCandidateLength
+        });
+
+        // Confident local matches never need the LLM; without an LLM, any local match above threshold is used
+        if (localResult.match && (!llmProvider || localResult.confidence >= SimilarityMatcher.CONFIDENT_SCORE)) {
+          suggestions.set(newString, { match: localResult.match, source: 'local', confidence: localResult.confidence });
+          continue;
+        }
+
+        if (!llmProvider) {
+          suggestions.set(newString, { match: null, source: 'local' });
+          continue;
+        }
+      }
+
+      uncertain.push(newString);
+    }
+
+    if (uncertain.length === 0) {
+      return suggestions;
+    }
+
+    const matchResults = await LLMMatcher.findBestMatches(
+      uncertain,
+      baseEntriesArray,
+      llmProvider,
+      { batchSize: llmBatchSize, candidateLimit, maxCandidateLength }
+    );
+
+    for (const newString of uncertain) {
+      const matchResult = matchResults.get(newString) || { match: null };
+      if (matchResult.error) {
+        suggestions.set(newString, { match: null, source: 'llm', error: matchResult.error });
+      } else {
+        suggestions.set(newString, { match: matchResult.match || null, source: 'llm' });
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Describe how many candidate strings were considered for suggestions
+   */
+  static _formatCandidateNote(baseEntriesArray, llmProvider, options = {}) {
+    const {
+      candidateLimit = CandidateIndex.DEFAULT_TOP_K,
+      maxCandidateLength = SimilarityMatcher.MAX_CANDIDATE_LENGTH
+    } = options;
+    const poolSize = new Set(
+      baseEntriesArray
+        .map(entry => entry.msgid)
+        .filter(msgid => msgid && msgid.trim() && msgid.length < maxCandidateLength)
+    ).size;
+
+    let note = `> 🔎 Suggestions considered **${poolSize}** candidate strings (existing and removed)`;
+    if (llmProvider && candidateLimit > 0) {
+      note += `; the LLM was sent the top **${Math.min(candidateLimit, poolSize)}** per string`;
+    }
+    return note;
+  }
+
+  /**
+   * Render the Suggested Match cell; with a translation memory, the match expands to its translations per locale
+   * @param {Object} options - { translationMemory, stringLength }
+   */
+  static _formatSuggestion(suggestion, { translationMemory = null, stringLength = null } = {}) {
+    if (!suggestion || !suggestion.source) return '-';
+    if (suggestion.error) return `LLM Error: ${suggestion.error}`;
+    if (!suggestion.match) return '*No close match*'; // Italics to distinguish from actual suggestions
+
+    let label = this._escapeCellText(suggestion.match); // Full string, not truncated
+    if (suggestion.acceptedBy) {
+      label = `${label} ✅ *(accepted by @${suggestion.acceptedBy})*`;
+    } else if (suggestion.source === 'local') {
+      label = this._formatLocalMatch(suggestion);
+    }
+    return translationMemory ? this._formatTranslations(label, translationMemory.lookup(suggestion.match), stringLength) : label;
+  }
+
+  /**
+   * A collapsible list of the translations of a suggested match, on one line so it fits a table cell
+   * @param {Object} lookup - From TranslationMemory.lookup()
+   */
+  static _formatTranslations(label, { translations, missing }, stringLength = null) {
+    const total = translations.length + missing.length;
+    // Translations are shown as text: no HTML, table pipes or line breaks
+    const cell = text => this._truncate(text.replace(/\s*\n\s*/g, ' '), stringLength || 80).replace(/</g, '&lt;').replace(/\|/g, '\\|');
+    const items = translations.map(({ locale, translation }) => `**${this.escapeMarkdown(locale)}:** ${cell(translation)}`);
+    if (missing.length > 0) {
+      items.push(`❌ No translation: ${missing.map(locale => this.escapeMarkdown(locale)).join(', ')}`);
+    }
+    return `<details><summary>${label} 🌐 ${translations.length}/${total}</summary>${items.join('<br>')}</details>`;
+  }
+
+  /**
+   * Render a local match with its confidence label, e.g. "Settings *(local, 87%)*"
+   */
+  static _formatLocalMatch(localResult) {
+    return `${this._escapeCellText(localResult.match)} *(local, ${Math.round(localResult.confidence * 100)}%)*`;
   }
 
   static _truncate(text, maxLength) {
@@ -347,17 +1152,14 @@ class Reporter {
   }
 
   static _countWords(text) {
-    if (!text) return 0;
-    // Remove extra whitespace and split by spaces
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    return CostEstimator.countWords(text);
   }
 
   static _parseReferences(referenceString) {
     if (!referenceString) return [];
     
-    // Reference string can be like "src/file.php:23\nsrc/other.php:45"
-    const lines = referenceString.split('\n').filter(line => line.trim());
-    return lines.map(line => line.trim());
+    // Reference string can be like "src/file.php:23\nsrc/other.php:45" or "src/file.php:23 src/other.php:45"
+    return referenceString.split(/\s+/).filter(Boolean);
   }
 }
 
@@ -0,0 +1,241 @@
+const { Annotations } = require('./annotations');
+const { StringExtractor } = require('./extractor');
+const { Placeholders } = require('./placeholders');
+
+/**
+ * Posts PR review comments with ```suggestion blocks that swap a new string
+ * for the suggested existing one, so reusing a translation is a single click
+ */
+class ReviewSuggestions {
+  /**
+   * Hidden marker to recognize comments posted by this action
+   */
+  static MARKER = '<!-- i18n-string-reviewer-suggestion -->';
+
+  /**
+   * How many lines around a POT reference to search for the literal,
+   * in case the line numbers in the POT file are slightly off
+   */
+  static SEARCH_DISTANCE = 3;
+
+  /**
+   * Maximum number of suggestion comments per run, to keep the PR readable
+   */
+  static MAX_COMMENTS = 30;
+
+  /**
+   * Post a review with one suggestion per call site of a new string that has a suggested match
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} params - { owner, repo, pullRequestNumber, commitId, results, suggestions, candidates, sourceRoot }
+   *   candidates - Entries the suggestions were drawn from, see Reporter.getCandidatePool()
+   * @returns {Promise<number>} - Number of suggestions posted
+   */
+  static async post(octokit, { owner, repo, pullRequestNumber, commitId, results, suggestions, candidates = [], sourceRoot = '' }) {
+    const diffLines = await this.getDiffLines(octokit, { owner, repo, pullRequestNumber });
+    let comments = this.build(results, suggestions, diffLines, { candidates, sourceRoot });
+    if (comments.length === 0) {
+      console.log('ℹ️  No review suggestions to post');
+      return 0;
+    }
+
+    // Skip suggestions that were already posted on an earlier run
+    const existing = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+      owner,
+      repo,
+      pull_number: pullRequestNumber,
+      per_page: 100
+    });
+    const posted = new Set(existing
+      .filter(comment => comment.body?.includes(this.MARKER))
+      .map(comment => `${comment.path}\n${comment.body}`));
+    comments = comments.filter(comment => !posted.has(`${comment.path}\n${comment.body}`));
+
+    if (comments.length === 0) {
+      console.log('ℹ️  All review suggestions were already posted');
+      return 0;
+    }
+    if (comments.length > this.MAX_COMMENTS) {
+      console.log(`ℹ️  Posting the first ${this.MAX_COMMENTS} of ${comments.length} review suggestions`);
+      comments = comments.slice(0, this.MAX_COMMENTS);
+    }
+
+    await octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: pullRequestNumber,
+      commit_id: commitId,
+      event: 'COMMENT',
+      comments: comments.map(({ path, line, body }) => ({ path, line, side: 'RIGHT', body }))
+    });
+
+    console.log(`✓ Posted ${comments.length} review suggestion(s)`);
+    return comments.length;
+  }
+
+  /**
+   * Get the lines on the new side of the PR diff, the only lines review comments can be placed on
+   * @returns {Promise<Map<string, Map<number, string>>>} - path => (line number => text)
+   */
+  static async getDiffLines(octokit, { owner, repo, pullRequestNumber }) {
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+      owner,
+      repo,
+      pull_number: pullRequestNumber,
+      per_page: 100
+    });
+
+    const diffLines = new Map();
+    for (const file of files) {
+      // Large and binary files have no patch
+      if (file.patch) {
+        diffLines.set(file.filename, this.parsePatch(file.patch));
+      }
+    }
+    return diffLines;
+  }
+
+  /**
+   * Parse a unified diff patch into the lines of the new file it shows
+   * @param {string} patch - Patch of one file, as returned by the GitHub API
+   * @returns {Map<number, string>} - line number => text, for added and context lines
+   */
+  static parsePatch(patch) {
+    const lines = new Map();
+    let line = 0;
+
+    for (const row of patch.split('\n')) {
+      const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(row);
+      if (hunk) {
+        line = parseInt(hunk[1], 10);
+      } else if (row.startsWith('+') || row.startsWith(' ')) {
+        lines.set(line, row.substring(1));
+        line++;
+      }
+      // Removed lines ("-") and "\ No newline at end of file" don't exist in the new file
+    }
+    return lines;
+  }
+
+  /**
+   * Build the review comments for added strings with a suggested match
+   * @param {Object} results - Results from POTComparator
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   * @param {Map<string, Map<number, string>>} diffLines - From getDiffLines()
+   * @param {Object} options - { candidates, sourceRoot }
+   *   candidates - Entries the suggestions were drawn from, to check the context and plural form of a match
+   * @returns {Array<Object>} - [{ path, line, body }]
+   */
+  static build(results, suggestions, diffLines, { candidates = [], sourceRoot = '' } = {}) {
+    const comments = [];
+
+    for (const entry of results.added) {
+      const suggestion = suggestions.get(entry.msgid);
+      if (!suggestion?.match) continue;
+
+      // Swapping strings with different placeholders would break the sprintf() call around them
+      if (Placeholders.signature(entry.msgid) !== Placeholders.signature(suggestion.match)) continue;
+
+      // Only the msgid literal is replaced, so the existing string needs the same context and plural form
+      // to share its translation; _x() and _n() calls would otherwise get a string that isn't translated
+      if (!candidates.some(candidate => this._isSameUse(candidate, entry, suggestion.match))) continue;
+
+      for (const reference of Annotations.parseReferences(entry.comments.reference, sourceRoot)) {
+        const lines = diffLines.get(reference.path);
+        if (!lines) continue;
+
+        const found = this._findLiteral(lines, reference.line, entry.msgid, suggestion.match, StringExtractor.getLanguage(reference.path));
+        if (!found) continue;
+
+        const confidence = suggestion.confidence ? `, ${Math.round(suggestion.confidence * 100)}% similar` : '';
+        comments.push({
+          path: reference.path,
+          line: found.line,
+          body: [
+            this.MARKER,
+            `💡 **Reuse an existing string?** "${suggestion.match}" is already translated${confidence}.`,
+            '',
+            '```suggestion',
+            found.text,
+            '```'
+          ].join('\n')
+        });
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Whether a candidate is the suggested string with the context and plural form of the new entry
+   */
+  static _isSameUse(candidate, entry, match) {
+    return candidate.msgid === match &&
+      candidate.msgctxt === entry.msgctxt &&
+      candidate.hasPlural === entry.hasPlural &&
+      candidate.msgidPlural === entry.msgidPlural;
+  }
+
+  /**
+   * Look for the string literal at the referenced line, then at the lines around it
+   * @returns {Object|null} - { line, text } with the literal replaced, or null if it wasn't found
+   */
+  static _findLiteral(lines, referenceLine, msgid, replacement, language) {
+    for (let distance = 0; distance <= this.SEARCH_DISTANCE; distance++) {
+      for (const line of new Set([referenceLine - distance, referenceLine + distance])) {
+        if (!lines.has(line)) continue;
+        const text = this.replaceLiteral(lines.get(line), msgid, replacement, language);
+        if (text !== null) {
+          return { line, text };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace a string literal in a line of code, keeping its quote style
+   * and everything around it (the gettext call, the text domain)
+   * @param {string} code - Line of code
+   * @param {string} from - Unescaped string to look for
+   * @param {string} to - Unescaped replacement string
+   * @param {string|null} language - 'php', 'js' or null
+   * @returns {string|null} - The new line, or null if the literal isn't on it
+   */
+  static replaceLiteral(code, from, to, language) {
+    for (const quote of ['\'', '"', '`']) {
+      if (quote === '`' && language === 'php') continue;
+
+      const literal = quote + this.encodeLiteral(from, quote, language) + quote;
+      const index = code.indexOf(literal);
+      if (index !== -1) {
+        const replacement = quote + this.encodeLiteral(to, quote, language) + quote;
+        return code.substring(0, index) + replacement + code.substring(index + literal.length);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Escape a string for a literal with the given quote
+   */
+  static encodeLiteral(text, quote, language) {
+    // PHP single quotes only support \' and \\
+    if (language === 'php' && quote === '\'') {
+      return text.replace(/[\\']/g, '\\$&');
+    }
+
+    let encoded = text
+      .replace(/\\/g, '\\\\')
+      .split(quote).join(`\\${quote}`)
+      .replace(/\n/g, '\\n')
+      .replace(/\t/g, '\\t');
+    if (language === 'php') {
+      encoded = encoded.replace(/\$/g, '\\$');
+    } else if (quote === '`') {
+      encoded = encoded.replace(/\$\{/g, '\\${');
+    }
+    return encoded;
+  }
+}
+
+module.exports = { ReviewSuggestions };
@@ -0,0 +1,183 @@
+class SimilarityMatcher {
+  /**
+   * Minimum score for a local match to be trusted without asking the LLM
+   */
+  static CONFIDENT_SCORE = 0.9;
+
+  /**
+   * Default minimum score for a local match to be suggested at all
+   */
+  static DEFAULT_THRESHOLD = 0.6;
+
+  /**
+   * Default length from which strings are no longer suggested, locally or by the LLM
+   */
+  static MAX_CANDIDATE_LENGTH = 200;
+
+  /**
+   * Normalize a string for comparison
+   * Strips placeholders (%s, %1$s, {name}), case, punctuation and extra whitespace
+   * @param {string} text - Raw msgid
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    if (!text) return '';
+    return text
+      .replace(/%(?:\d+\$)?[-+ 0#']*\d*(?:\.\d+)?[bcdeEfFgGosuxX]/g, ' ')
+      .replace(/%%/g, ' ')
+      .replace(/\{[a-zA-Z0-9_]+\}/g, ' ')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split normalized text into tokens
+   */
+  static tokenize(normalized) {
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   */
+  static levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = new Array(b.length + 1);
+    let current = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) {
+      previous[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      current[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+      }
+      [previous, current] = [current, previous];
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Edit similarity in the range 0-1 (1 = identical)
+   */
+  static editSimilarity(a, b) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) return 1;
+    return 1 - this.levenshtein(a, b) / maxLength;
+  }
+
+  /**
+   * Token overlap (Dice coefficient) in the range 0-1
+   */
+  static tokenOverlap(tokensA, tokensB) {
+    if (tokensA.length === 0 && tokensB.length === 0) return 1;
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const setA = new Set(tokensA);
+    const setB = new Set(tokensB);
+    let shared = 0;
+    for (const token of setA) {
+      if (setB.has(token)) shared++;
+    }
+    return (2 * shared) / (setA.size + setB.size);
+  }
+
+  /**
+   * Score how similar two strings are
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Score between 0 and 1
+   */
+  static score(a, b) {
+    const normalizedA = this.normalize(a);
+    const normalizedB = this.normalize(b);
+    if (!normalizedA || !normalizedB) return 0;
+    if (normalizedA === normalizedB) return 1;
+
+    return this.scoreNormalized(
+      normalizedA,
+      this.tokenize(normalizedA),
+      normalizedB,
+      this.tokenize(normalizedB)
+    );
+  }
+
+  /**
+   * Score two strings that were already normalized and tokenized
+   * Lets callers comparing many pairs normalize each string only once
+   */
+  static scoreNormalized(normalizedA, tokensA, normalizedB, tokensB) {
+    if (normalizedA === normalizedB) return 1;
+    return 0.5 * this.editSimilarity(normalizedA, normalizedB) +
+           0.5 * this.tokenOverlap(tokensA, tokensB);
+  }
+
+  /**
+   * Find best matching string from base POT for a new string, without any network calls
+   * @param {string} newString - The new string to find a match for
+   * @param {Array<Object>} baseEntries - Array of POTEntry objects from base POT
+   * @param {Object} options - { threshold, maxCandidateLength }
+   * @returns {Object} - { match: 'string', confidence: 0.87 } or { match: null, confidence: 0.42 }
+   */
+  static findBestMatch(newString, baseEntries, { threshold = this.DEFAULT_THRESHOLD, maxCandidateLength = this.MAX_CANDIDATE_LENGTH } = {}) {
+    const normalizedNew = this.normalize(newString);
+    if (!normalizedNew || !baseEntries || baseEntries.length === 0) {
+      return { match: null, confidence: 0 };
+    }
+    const tokensNew = this.tokenize(normalizedNew);
+
+    let bestMatch = null;
+    let bestScore = 0;
+    const seen = new Set();
+
+    for (const entry of baseEntries) {
+      const candidate = entry.msgid;
+      // Skip empty, duplicate and very long strings (same limit as the LLM candidates)
+      if (!candidate || candidate === newString || candidate.length >= maxCandidateLength || seen.has(candidate)) {
+        continue;
+      }
+      seen.add(candidate);
+
+      const normalizedCandidate = this.normalize(candidate);
+      if (!normalizedCandidate) continue;
+
+      // Edit similarity can never exceed the length ratio, so skip hopeless candidates early
+      const lengthRatio = Math.min(normalizedNew.length, normalizedCandidate.length) /
+                          Math.max(normalizedNew.length, normalizedCandidate.length);
+      if (0.5 * lengthRatio + 0.5 <= bestScore) continue;
+
+      const score = this.scoreNormalized(
+        normalizedNew,
+        tokensNew,
+        normalizedCandidate,
+        this.tokenize(normalizedCandidate)
+      );
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = candidate;
+        if (score === 1) break;
+      }
+    }
+
+    const confidence = Math.round(bestScore * 100) / 100;
+    if (bestMatch && bestScore >= threshold) {
+      return { match: bestMatch, confidence };
+    }
+    return { match: null, confidence };
+  }
+}
+
+module.exports = { SimilarityMatcher };
@@ -0,0 +1,122 @@
+const { Glob } = require('./glob');
+const { POTComparator } = require('./comparator');
+
+/**
+ * Enforces string freezes: while a freeze window is active, no translatable string may change
+ *
+ * string-freeze:
+ *   exception-label: string-freeze-exception
+ *   windows:
+ *     - name: 2.0 release
+ *       branches: ['release/*']           # base branch globs
+ *       milestones: ['2.0*']              # PR milestone globs
+ *       from: 2026-11-01                  # first and last day of the freeze (UTC)
+ *       until: 2026-11-15
+ *
+ * A window is active when all its conditions match, and needs at least one condition
+ */
+class StringFreeze {
+  static DEFAULT_EXCEPTION_LABEL = 'string-freeze-exception';
+
+  /**
+   * Change kinds that touch the text translators see; comment, flag and reference changes are allowed
+   * Change kind (see POTComparator.CHANGE_KINDS) => label used in the failure message
+   */
+  static FROZEN_KINDS = {
+    added: 'added',
+    removed: 'removed',
+    changed: 'changed',
+    reworded: 'reworded',
+    context: 'context changed',
+    plural: 'now plural'
+  };
+
+  // Offending strings listed in the failure message, the report has the full list
+  static MAX_LISTED = 10;
+
+  /**
+   * @param {Object} options - { windows, exceptionLabel }
+   *   windows - [{ name, branches, milestones, from, until }], validated by Config
+   */
+  constructor({ windows = [], exceptionLabel = StringFreeze.DEFAULT_EXCEPTION_LABEL } = {}) {
+    this.windows = windows;
+    this.exceptionLabel = exceptionLabel;
+  }
+
+  /**
+   * Check whether a date is a freeze date, e.g. from the config file
+   */
+  static isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  }
+
+  /**
+   * The first freeze window that applies to the pull request
+   * Branch and milestone conditions never match when the PR has no base branch or milestone
+   * @param {Object} context - { baseBranch, milestone, date }
+   * @returns {Object|null} - The window, or null when there is no freeze
+   */
+  getActiveWindow({ baseBranch = '', milestone = '', date = new Date() } = {}) {
+    const today = date.toISOString().slice(0, 10);
+    const matches = (patterns, value) => Boolean(value) && patterns.some(pattern => Glob.toRegExp(pattern).test(value));
+
+    return this.windows.find(({ branches = [], milestones = [], from, until }) => {
+      if (branches.length > 0 && !matches(branches, baseBranch)) return false;
+      if (milestones.length > 0 && !matches(milestones, milestone)) return false;
+      // ISO dates compare as strings
+      if (from && today < from) return false;
+      if (until && today > until) return false;
+      return true;
+    }) || null;
+  }
+
+  /**
+   * Check the results against the active freeze window
+   * @param {Object} results - Results from POTComparator
+   * @param {Object} context - { baseBranch, milestone, labels, date }
+   * @returns {Object|null} - { window, exempt, exceptionLabel, violations: [{ kind, entry, base }] },
+   *   null when no freeze is active
+   */
+  check(results, { baseBranch, milestone, labels = [], date } = {}) {
+    const window = this.getActiveWindow({ baseBranch, milestone, date });
+    if (!window) return null;
+
+    const violations = [];
+    for (const kind of Object.keys(StringFreeze.FROZEN_KINDS)) {
+      for (const item of results[POTComparator.CHANGE_KINDS[kind]] || []) {
+        // Pairs of old and new entries, like changed and reworded strings
+        if (item.target) {
+          violations.push({ kind, entry: item.target, base: item.base });
+        } else {
+          violations.push({ kind, entry: item, base: null });
+        }
+      }
+    }
+
+    return {
+      window,
+      exempt: labels.includes(this.exceptionLabel),
+      exceptionLabel: this.exceptionLabel,
+      violations
+    };
+  }
+
+  /**
+   * Describe a broken freeze for the logs: the offending strings and how to request an exemption
+   * @param {Object} freeze - From check()
+   */
+  static formatFailure({ window, exceptionLabel, violations }) {
+    const lines = [`String freeze "${window.name}" is active, but ${violations.length} string(s) changed:`];
+    for (const { kind, entry, base } of violations.slice(0, this.MAX_LISTED)) {
+      const text = base && base.msgid !== entry.msgid ? `"${base.msgid}" → "${entry.msgid}"` : `"${entry.msgid}"`;
+      lines.push(`  - ${this.FROZEN_KINDS[kind]}: ${text}${entry.msgctxt ? ` (context: ${entry.msgctxt})` : ''}`);
+    }
+    if (violations.length > this.MAX_LISTED) {
+      lines.push(`  ... and ${violations.length - this.MAX_LISTED} more, see the report`);
+    }
+    lines.push(`To request an exemption, ask a maintainer to add the "${exceptionLabel}" label to the pull request.`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = { StringFreeze };
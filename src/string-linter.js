@@ -0,0 +1,188 @@
+const { Placeholders } = require('./placeholders');
+
+/**
+ * Checks new and changed strings for common i18n mistakes
+ * Each rule has a severity: error findings fail the action, warnings and notices are only reported
+ */
+class StringLinter {
+  static SEVERITIES = ['error', 'warning', 'notice', 'off'];
+
+  /**
+   * Rule id => default severity and description
+   */
+  static RULES = {
+    'unordered-placeholders': {
+      severity: 'warning',
+      description: 'Strings with several placeholders should number them (%1$s, %2$s), so translators can reorder them'
+    },
+    'missing-translator-comment': {
+      severity: 'warning',
+      description: 'Strings with placeholders should have a "translators:" comment explaining them'
+    },
+    'surrounding-whitespace': {
+      severity: 'warning',
+      description: 'Leading or trailing whitespace is easily lost in translation; add it outside the string'
+    },
+    'double-space': {
+      severity: 'notice',
+      description: 'Double spaces are usually a typo'
+    },
+    'concatenation': {
+      severity: 'warning',
+      description: 'Sentence fragments suggest concatenation; word order differs between languages, so use one string with placeholders'
+    },
+    'all-caps': {
+      severity: 'notice',
+      description: 'ALL-CAPS text should be styled with CSS, since not every script has upper case'
+    },
+    'empty-plural': {
+      severity: 'error',
+      description: 'Plural strings need a non-empty plural form'
+    },
+    'identical-plural': {
+      severity: 'warning',
+      description: 'The plural form repeats the singular; that is fine for words like "%d sheep", otherwise it is usually a copy-paste mistake'
+    }
+  };
+
+  // Words a sentence rarely starts or ends with, unless it was split up
+  // ("in" and "on" are left out, since "Log in" and "Turned on" are complete)
+  static CONNECTORS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'by', 'for', 'with', 'from', 'than', 'your', 'my'
+  ]);
+
+  /**
+   * @param {Object} severities - Rule id => 'error' | 'warning' | 'notice' | 'off', overrides the defaults
+   */
+  constructor(severities = {}) {
+    this.severities = {};
+    for (const [rule, { severity }] of Object.entries(StringLinter.RULES)) {
+      this.severities[rule] = severities[rule] || severity;
+    }
+  }
+
+  /**
+   * Validate rule severities, e.g. from the config file
+   * @returns {string|null} - Error message, or null if they're valid
+   */
+  static validateSeverities(severities) {
+    for (const [rule, severity] of Object.entries(severities)) {
+      if (!(rule in this.RULES)) {
+        return `Unknown lint rule "${rule}". Valid rules: ${Object.keys(this.RULES).join(', ')}`;
+      }
+      if (!this.SEVERITIES.includes(severity)) {
+        return `Invalid severity "${severity}" for lint rule "${rule}". Valid severities: ${this.SEVERITIES.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lint the strings that translators will see: added, changed, reworded, moved to another context and now plural
+   * @param {Object} results - Results from POTComparator
+   * @returns {Array<Object>} - [{ rule, severity, entry, message }]
+   */
+  lintResults(results) {
+    return this.lint([
+      ...results.added,
+      ...results.changed.map(({ target }) => target),
+      ...(results.reworded || []).map(({ target }) => target),
+      ...(results.contextChanged || []).map(({ target }) => target),
+      ...(results.pluralized || []).map(({ target }) => target)
+    ]);
+  }
+
+  /**
+   * Run every enabled rule over the entries
+   * @param {Array<POTEntry>} entries - Entries to check
+   * @returns {Array<Object>} - [{ rule, severity, entry, message }]
+   */
+  lint(entries) {
+    const findings = [];
+    for (const entry of entries) {
+      for (const [rule, check] of Object.entries(this._checks())) {
+        const severity = this.severities[rule];
+        if (severity === 'off') continue;
+
+        const message = check(entry);
+        if (message) {
+          findings.push({ rule, severity, entry, message });
+        }
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Rule id => function(entry) returning a message when the rule is broken
+   */
+  _checks() {
+    return {
+      'unordered-placeholders': entry => {
+        for (const text of [entry.msgid, entry.msgidPlural]) {
+          const printf = Placeholders.extract(text).filter(placeholder => placeholder.type === 'printf');
+          if (printf.length > 1 && printf.some(placeholder => placeholder.position === null)) {
+            return `Use numbered placeholders instead of ${printf.map(placeholder => placeholder.raw).join(', ')}`;
+          }
+        }
+        return null;
+      },
+
+      'missing-translator-comment': entry => {
+        const hasPlaceholders = Placeholders.extract(entry.msgid).length > 0 || Placeholders.extract(entry.msgidPlural).length > 0;
+        const comments = `${entry.comments.extracted}\n${entry.comments.translator}`;
+        return hasPlaceholders && !/translators:/i.test(comments)
+          ? 'Add a "translators:" comment explaining the placeholders'
+          : null;
+      },
+
+      'surrounding-whitespace': entry => {
+        const text = [entry.msgid, entry.msgidPlural].find(value => value && /^\s|\s$/.test(value));
+        return text ? 'Leading or trailing whitespace' : null;
+      },
+
+      'double-space': entry => {
+        return [entry.msgid, entry.msgidPlural].some(value => /\S {2,}\S/.test(value || ''))
+          ? 'Double space inside the string'
+          : null;
+      },
+
+      'concatenation': entry => {
+        const words = entry.msgid.trim().split(/\s+/);
+        if (words.length < 2) return null;
+
+        const first = words[0];
+        const last = words[words.length - 1].toLowerCase();
+        if (StringLinter.CONNECTORS.has(last)) {
+          return `Ends with "${words[words.length - 1]}", which suggests the sentence continues in code`;
+        }
+        if (StringLinter.CONNECTORS.has(first) && /^[a-z]/.test(first)) {
+          return `Starts with lowercase "${first}", which suggests the sentence starts in code`;
+        }
+        return null;
+      },
+
+      'all-caps': entry => {
+        // Placeholders like %S or {NAME} don't count as text
+        const text = entry.msgid.replace(Placeholders.PRINTF_PATTERN, ' ').replace(Placeholders.NAMED_PATTERN, ' ');
+        const letters = text.replace(/[^\p{L}]/gu, '');
+        const isAllCaps = letters.length > 0 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+        // Short single words are usually acronyms (URL, HTML)
+        const isAcronym = !/\p{L}\s+\p{L}/u.test(text) && letters.length < 6;
+        return isAllCaps && !isAcronym ? 'Written in ALL CAPS' : null;
+      },
+
+      'empty-plural': entry => {
+        if (!entry.hasPlural) return null;
+        return !entry.msgidPlural.trim() ? 'The plural form is empty' : null;
+      },
+
+      'identical-plural': entry => {
+        if (!entry.hasPlural || !entry.msgidPlural.trim()) return null;
+        return entry.msgidPlural === entry.msgid ? 'The plural form is the same as the singular' : null;
+      }
+    };
+  }
+}
+
+module.exports = { StringLinter };
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const gettextParser = require('gettext-parser');
+const { POTComparator } = require('./comparator');
+const { Glob } = require('./glob');
+const { GitSource } = require('./git-source');
+
+/**
+ * What a change does to the existing translations of each locale, from the project's PO/MO files:
+ * added strings that still need a translation, translations lost with removed strings,
+ * translations msgmerge marks fuzzy for changed strings, and suggested matches that are already translated
+ */
+class TranslationCoverage {
+  static FILE_EXTENSIONS = ['.po', '.mo'];
+
+  /**
+   * Change kinds whose existing translations msgmerge keeps as fuzzy, see POTComparator.CHANGE_KINDS
+   */
+  static FUZZY_KINDS = ['changed', 'reworded', 'context', 'plural'];
+
+  /**
+   * @param {Array<Object>} catalogs - From loadCatalog()
+   */
+  constructor(catalogs) {
+    this.catalogs = catalogs;
+  }
+
+  /**
+   * Load the translation files matching the patterns
+   * @param {Array<string>} patterns - Paths or globs, e.g. "languages/*.po"
+   * @returns {TranslationCoverage|null} - null when no translation files match
+   */
+  static load(patterns) {
+    const files = this.findFiles(patterns);
+    if (files.length === 0) {
+      console.log(`⚠️  No translation files match ${patterns.join(', ')}`);
+      return null;
+    }
+
+    const catalogs = files.map(file => this.loadCatalog(file));
+    const locales = new Set(catalogs.map(({ locale }) => locale));
+    console.log(`✓ Loaded ${catalogs.length} translation file(s) for ${locales.size} locale(s): ${[...locales].join(', ')}`);
+    return new TranslationCoverage(catalogs);
+  }
+
+  /**
+   * Expand the patterns to files with the given extensions (.po and .mo by default); globs match files in the checkout
+   */
+  static findFiles(patterns, extensions = this.FILE_EXTENSIONS) {
+    const files = new Set(patterns.filter(pattern => !Glob.isGlob(pattern)).map(file => file.replace(/^\.\//, '')));
+
+    const globs = patterns.filter(pattern => Glob.isGlob(pattern));
+    if (globs.length > 0) {
+      for (const file of GitSource.listWorkingTreeFiles()) {
+        if (Glob.matchesAny(file, globs)) files.add(file);
+      }
+    }
+
+    return [...files].filter(file => extensions.includes(path.extname(file).toLowerCase())).sort();
+  }
+
+  /**
+   * Read the translated strings of a PO or MO file
+   * @returns {Object} - { file, locale, domain, translated, msgidTranslations }
+   *   domain - text domain from the X-Domain header or the file name, null when unknown
+   *   translated - Keys (see POTEntry.getKey) of the translated entries
+   *   msgidTranslations - msgid => translation (its first form) in any context, to look up suggested matches
+   */
+  static loadCatalog(file) {
+    const content = fs.readFileSync(file);
+    const parsed = path.extname(file).toLowerCase() === '.mo'
+      ? gettextParser.mo.parse(content)
+      : gettextParser.po.parse(content);
+
+    const translated = new Set();
+    const msgidTranslations = new Map();
+    for (const [context, entries] of Object.entries(parsed.translations || {})) {
+      for (const [msgid, data] of Object.entries(entries)) {
+        if (!msgid || !this.isTranslated(data)) continue;
+        translated.add(context ? `${context}||${msgid}` : msgid);
+        if (!msgidTranslations.has(msgid)) msgidTranslations.set(msgid, data.msgstr[0]);
+      }
+    }
+
+    const locale = this._getLocale(file, parsed.headers || {});
+    return { file, locale, domain: this._getDomain(file, parsed.headers || {}, locale), translated, msgidTranslations };
+  }
+
+  /**
+   * An entry counts as translated when every form has a translation and it isn't fuzzy
+   */
+  static isTranslated(data) {
+    const msgstr = data.msgstr || [];
+    const fuzzy = /(^|[\s,])fuzzy([\s,]|$)/.test(data.comments?.flag || '');
+    return !fuzzy && msgstr.length > 0 && msgstr.every(Boolean);
+  }
+
+  /**
+   * Compare the string changes with the translations of each locale
+   * @param {Array<Object>} domains - [{ domain, results, baseEntries, targetEntries }]
+   * @param {Map<string, Object>} suggestions - msgid => suggestion, from Reporter.collectSuggestions()
+   * @returns {Object} - { locales, suggestions }
+   *   locales - [{ locale, files, coverageBefore, coverageAfter, untranslated, lost, fuzzy, suggestionsTranslated, suggestionsTotal }]
+   *     coverageBefore, coverageAfter - Share (0-1) of the base and target entries with a translation
+   *   suggestions - [{ msgid, match, translatedIn }], translatedIn lists the locales that have the match translated
+   */
+  analyze(domains, suggestions = new Map()) {
+    const locales = [...new Set(this.catalogs.map(({ locale }) => locale))].sort();
+    const matches = [...suggestions].filter(([, suggestion]) => suggestion?.match);
+
+    const translatedMatches = matches.map(([msgid, { match }]) => ({
+      msgid,
+      match,
+      translatedIn: locales.filter(locale => this.catalogs.some(catalog => catalog.locale === locale && catalog.msgidTranslations.has(match)))
+    }));
+
+    const coverage = locales.map(locale => {
+      const totals = { baseTotal: 0, baseTranslated: 0, targetTotal: 0, targetTranslated: 0, untranslated: 0, lost: 0, fuzzy: 0 };
+      const files = new Set();
+
+      for (const { domain, results, baseEntries, targetEntries } of domains) {
+        const catalogs = this._getCatalogs(locale, domain, domains.length > 1);
+        catalogs.forEach(({ file }) => files.add(file));
+        const isTranslated = key => catalogs.some(({ translated }) => translated.has(key));
+
+        // msgmerge keeps the translations of changed strings as fuzzy, so they don't count after the change
+        const fuzzyKeys = new Set();
+        for (const kind of TranslationCoverage.FUZZY_KINDS) {
+          for (const { base, target } of results[POTComparator.CHANGE_KINDS[kind]] || []) {
+            if (isTranslated(base.getKey())) {
+              totals.fuzzy++;
+              fuzzyKeys.add(target.getKey());
+            }
+          }
+        }
+
+        totals.untranslated += results.added.filter(entry => !isTranslated(entry.getKey())).length;
+        totals.lost += results.removed.filter(entry => isTranslated(entry.getKey())).length;
+
+        const baseKeys = [...(baseEntries?.keys() || [])];
+        const targetKeys = [...(targetEntries?.keys() || [])];
+        totals.baseTotal += baseKeys.length;
+        totals.baseTranslated += baseKeys.filter(isTranslated).length;
+        totals.targetTotal += targetKeys.length;
+        totals.targetTranslated += targetKeys.filter(key => !fuzzyKeys.has(key) && isTranslated(key)).length;
+      }
+
+      return {
+        locale,
+        files: [...files].sort(),
+        coverageBefore: totals.baseTotal > 0 ? totals.baseTranslated / totals.baseTotal : 0,
+        coverageAfter: totals.targetTotal > 0 ? totals.targetTranslated / totals.targetTotal : 0,
+        untranslated: totals.untranslated,
+        lost: totals.lost,
+        fuzzy: totals.fuzzy,
+        suggestionsTranslated: translatedMatches.filter(({ translatedIn }) => translatedIn.includes(locale)).length,
+        suggestionsTotal: translatedMatches.length
+      };
+    });
+
+    for (const { locale, coverageBefore, coverageAfter, untranslated, lost, fuzzy } of coverage) {
+      console.log(`🌐 ${locale}: ${Math.round(coverageBefore * 100)}% → ${Math.round(coverageAfter * 100)}% translated, ${untranslated} new string(s) to translate, ${lost} translation(s) lost, ${fuzzy} fuzzy`);
+    }
+
+    return { locales: coverage, suggestions: translatedMatches };
+  }
+
+  /**
+   * Catalogs of a locale that apply to a text domain
+   * With several POT files, catalogs of another text domain are left out; catalogs with an unknown domain apply to all
+   */
+  _getCatalogs(locale, domain, multiDomain) {
+    return this.catalogs.filter(catalog =>
+      catalog.locale === locale && (!multiDomain || catalog.domain === null || catalog.domain === domain));
+  }
+
+  /**
+   * Locale from the Language header, or from the file name, e.g. "de_DE.po", "myapp-pt_BR.po" or "fr/LC_MESSAGES/myapp.po"
+   */
+  static _getLocale(file, headers) {
+    if (headers.Language) return headers.Language;
+
+    const parts = file.replace(/\\/g, '/').split('/');
+    const messages = parts.lastIndexOf('LC_MESSAGES');
+    if (messages > 0) return parts[messages - 1];
+
+    const name = path.basename(file, path.extname(file));
+    const match = /(?:^|[-.])([a-z]{2,3}(?:[_-][A-Za-z0-9]{2,8})*(?:@\w+)?)$/.exec(name);
+    return match ? match[1] : name;
+  }
+
+  /**
+   * Text domain from the X-Domain header, or the file name without its locale, e.g. "myapp" for "myapp-de_DE.po"
+   */
+  static _getDomain(file, headers, locale) {
+    if (headers['X-Domain']) return headers['X-Domain'];
+
+    const name = path.basename(file, path.extname(file));
+    if (name.endsWith(`-${locale}`)) return name.slice(0, -locale.length - 1);
+    if (file.replace(/\\/g, '/').includes(`/${locale}/LC_MESSAGES/`)) return name;
+    return null;
+  }
+}
+
+module.exports = { TranslationCoverage };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { TranslationCoverage } = require('./translation-coverage');
+
+/**
+ * Existing translations of source strings per locale, from the project's PO/MO files and TMX translation memories
+ * Used to show how a suggested match is translated, so reviewers can check the reuse fits every locale
+ */
+class TranslationMemory {
+  static FILE_EXTENSIONS = ['.tmx'];
+
+  constructor() {
+    // msgid => Map(locale => translation)
+    this.translations = new Map();
+    this.locales = new Set();
+  }
+
+  /**
+   * Build the memory from loaded translation files and TMX files
+   * @param {Array<Object>} catalogs - From TranslationCoverage.loadCatalog()
+   * @param {Array<string>} tmxPatterns - Paths or globs of TMX files
+   * @returns {TranslationMemory|null} - null when there are no translations to look up
+   */
+  static load(catalogs = [], tmxPatterns = []) {
+    const memory = new TranslationMemory();
+    for (const catalog of catalogs) {
+      memory.addCatalog(catalog);
+    }
+
+    if (tmxPatterns.length > 0) {
+      const files = TranslationCoverage.findFiles(tmxPatterns, this.FILE_EXTENSIONS);
+      if (files.length === 0) {
+        console.log(`⚠️  No translation memory files match ${tmxPatterns.join(', ')}`);
+      }
+      for (const file of files) {
+        const count = memory.addTMX(fs.readFileSync(file, 'utf8'));
+        console.log(`✓ Loaded ${count} translation unit(s) from ${file}`);
+      }
+    }
+
+    return memory.locales.size > 0 ? memory : null;
+  }
+
+  /**
+   * Add the translations of a PO/MO file
+   * The project's own translation wins over a translation memory, so catalogs are added first
+   */
+  addCatalog({ locale, msgidTranslations }) {
+    const normalized = TranslationMemory.normalizeLocale(locale);
+    this.locales.add(normalized);
+    for (const [msgid, translation] of msgidTranslations) {
+      this._add(msgid, normalized, translation);
+    }
+  }
+
+  /**
+   * Add the translation units of a TMX document
+   * Languages are stored the gettext way (de-DE becomes de_DE), so they line up with the PO locales
+   * @returns {number} - Number of translation units with a source segment
+   */
+  addTMX(content) {
+    const { units } = TranslationMemory.parseTMX(content);
+    for (const { source, translations } of units) {
+      for (const [language, translation] of translations) {
+        const locale = TranslationMemory.normalizeLocale(language);
+        this.locales.add(locale);
+        this._add(source, locale, translation);
+      }
+    }
+    return units.length;
+  }
+
+  /**
+   * Translations of a source string in every known locale
+   * @returns {Object} - { translations: [{ locale, translation }], missing: [locale] }
+   */
+  lookup(msgid) {
+    const found = this.translations.get(msgid) || new Map();
+    const locales = [...this.locales].sort();
+    return {
+      translations: locales.filter(locale => found.has(locale)).map(locale => ({ locale, translation: found.get(locale) })),
+      missing: locales.filter(locale => !found.has(locale))
+    };
+  }
+
+  /**
+   * Read the translation units of a TMX 1.4 document
+   * The source segment is the variant in the srclang of the unit or header, or the first one when srclang is *all*
+   * Inline markup (bpt, ept, ph, ...) is dropped, keeping the native code it wraps
+   * @returns {Object} - { srcLang, units: [{ source, translations: Map(language => text) }] }
+   */
+  static parseTMX(content) {
+    const header = /<header\b[^>]*\bsrclang="([^"]*)"/i.exec(content);
+    const srcLang = header ? header[1] : '*all*';
+    const units = [];
+
+    for (const [, attributes, body] of content.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi)) {
+      const unitLang = /\bsrclang="([^"]*)"/i.exec(attributes)?.[1] || srcLang;
+      const variants = [];
+      for (const [, tuvAttributes, segment] of body.matchAll(/<tuv\b([^>]*)>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/gi)) {
+        const language = /\b(?:xml:)?lang="([^"]*)"/i.exec(tuvAttributes)?.[1];
+        if (language) variants.push([language, this._decodeXML(segment.replace(/<[^>]*>/g, ''))]);
+      }
+
+      const sourceIndex = unitLang === '*all*' ? 0 : variants.findIndex(([language]) => language.toLowerCase() === unitLang.toLowerCase());
+      if (sourceIndex === -1 || variants.length === 0) continue;
+
+      const [, source] = variants[sourceIndex];
+      const translations = new Map(variants.filter((variant, index) => index !== sourceIndex && variant[1]));
+      units.push({ source, translations });
+    }
+
+    return { srcLang, units };
+  }
+
+  /**
+   * Write a language code the gettext way, e.g. "de-de" becomes "de_DE"
+   */
+  static normalizeLocale(language) {
+    const [base, ...rest] = language.split(/[-_]/);
+    return [base.toLowerCase(), ...rest.map(part => part.length === 2 ? part.toUpperCase() : part)].join('_');
+  }
+
+  _add(msgid, locale, translation) {
+    if (!this.translations.has(msgid)) {
+      this.translations.set(msgid, new Map());
+    }
+    const translations = this.translations.get(msgid);
+    if (!translations.has(locale)) {
+      translations.set(locale, translation);
+    }
+  }
+
+  static XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+  static _decodeXML(text) {
+    return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (match, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+      return this.XML_ENTITIES[name.toLowerCase()];
+    });
+  }
+}
+
+module.exports = { TranslationMemory };
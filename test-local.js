@@ -40,6 +40,10 @@ const env = {
   'INPUT_COMMENT-ON-PR': 'false',
   'INPUT_OPENROUTER-KEY': openrouterKey,
   'INPUT_OPENROUTER-MODEL': openrouterModel,
+  'INPUT_LLM-PROVIDER': process.env.LLM_PROVIDER || '',
+  'INPUT_LLM-BASE-URL': process.env.LLM_BASE_URL || '',
+  'INPUT_LLM-API-KEY': process.env.LLM_API_KEY || '',
+  'INPUT_LLM-MODEL': process.env.LLM_MODEL || '',
   'DEBUG_LLM': debugMode ? 'true' : 'false'
 };
 
@@ -0,0 +1,912 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { StringExtractor } = require('../src/extractor');
+const { TranslationMemory } = require('../src/translation-memory');
+const { HTMLReport } = require('../src/html-report');
+const { Placeholders } = require('../src/placeholders');
+const { PlaceholderChecker } = require('../src/placeholder-checker');
+const { StringLinter } = require('../src/string-linter');
+const { POTComparator, POTEntry } = require('../src/comparator');
+const { Reporter } = require('../src/reporter');
+const { CostEstimator } = require('../src/cost-estimator');
+const { PolicyEngine } = require('../src/policy-engine');
+const { StringFreeze } = require('../src/string-freeze');
+const { Config } = require('../src/config');
+const { Annotations } = require('../src/annotations');
+const { ReviewSuggestions } = require('../src/review-suggestions');
+const { LLMMatcher } = require('../src/llm-matcher');
+const { LLMCache } = require('../src/llm-cache');
+const { ChatOps } = require('../src/chatops');
+const { DecisionStore } = require('../src/decision-store');
+const { ReportComments } = require('../src/report-comments');
+const { StringExporter } = require('../src/exporter');
+const { TranslationCoverage } = require('../src/translation-coverage');
+
+const msgids = strings => strings.map(({ msgid }) => msgid);
+
+describe('StringExtractor', () => {
+  it('reads strings containing both quote types', () => {
+    const php = StringExtractor.extractFromSource(`<?php echo __( 'It\\'s "quoted"', 'app' ); echo __( "Say \\"hi\\" it's", 'app' );`, 'php');
+    assert.deepEqual(msgids(php), ['It\'s "quoted"', 'Say "hi" it\'s']);
+
+    const js = StringExtractor.extractFromSource(`__( "dq 'one'" ); __( 'sq "two"' );`, 'js');
+    assert.deepEqual(msgids(js), ['dq \'one\'', 'sq "two"']);
+  });
+
+  it('skips calls inside comments', () => {
+    const code = `<?php // __( 'line', 'app' );\n/* _e( 'block' ) */ # __( 'hash' )\necho __( 'real', 'app' );`;
+    assert.deepEqual(msgids(StringExtractor.extractFromSource(code, 'php')), ['real']);
+  });
+
+  it('attaches a translators comment to the first call after it only', () => {
+    const sameLine = StringExtractor.extractFromSource(`<?php /* translators: %s: name */ printf( __( 'Hi %s', 'app' ) ); echo __( 'Bye', 'app' );`, 'php');
+    assert.deepEqual(sameLine.map(({ msgid, comment }) => [msgid, comment]), [['Hi %s', 'translators: %s: name'], ['Bye', '']]);
+
+    const lineBefore = StringExtractor.extractFromSource(`<?php\n// translators: first\necho __( 'A', 'app' ) . __( 'B', 'app' );`, 'php');
+    assert.deepEqual(lineBefore.map(({ msgid, comment }) => [msgid, comment]), [['A', 'translators: first'], ['B', '']]);
+  });
+
+  it('skips quotes inside JS regex literals, and still reads division', () => {
+    const code = `s.replace(/'/g, ''); __('Hello', 'app'); const r = /[/"]/.test(s); const y = a / 2 / __('Half'); x = (a) / 3; __('After')`;
+    assert.deepEqual(msgids(StringExtractor.extractFromSource(code, 'js')), ['Hello', 'Half', 'After']);
+  });
+
+  it('skips JSX text, but reads calls in attributes and expressions', () => {
+    const code = `const a = <p>Don't do it</p>; __("After");
+      const b = <Button label={ __('Label') } title="It's">Don't { open && <b>It's</b> } {__('Child')}</Button>;
+      const c = <><Icon /></>; const d = x < 3 ? __('Less') : 0;`;
+    assert.deepEqual(msgids(StringExtractor.extractFromSource(code, 'js')), ['After', 'Label', 'Child', 'Less']);
+  });
+
+  it('skips PHP heredoc and nowdoc bodies', () => {
+    const code = `<?php $a = <<<EOT\nIt's {$name}\nEOT;\n__( 'After heredoc', 'app' );\n$b = <<<'NOW'\n  Don't\n  NOW;\n_e( "After nowdoc" );`;
+    const strings = StringExtractor.extractFromSource(code, 'php');
+    assert.deepEqual(strings.map(({ msgid, line }) => [msgid, line]), [['After heredoc', 4], ['After nowdoc', 8]]);
+  });
+
+  it('keeps only calls of the text domain', () => {
+    const code = `<?php __( 'mine', 'app' ); __( 'other', 'other' ); __( 'none' ); __( $var, 'app' );`;
+    assert.deepEqual(msgids(StringExtractor.extractFromSource(code, 'php', { textDomain: 'app' })), ['mine']);
+    assert.deepEqual(msgids(StringExtractor.extractFromSource(code, 'php')), ['mine', 'other', 'none']);
+  });
+
+  it('reads contexts and plural forms', () => {
+    const [context, plural] = StringExtractor.extractFromSource(`_x('Post', 'noun', 'app'); _n('%d item', '%d items', n, 'app');`, 'js');
+    assert.equal(context.msgid, 'Post');
+    assert.equal(context.msgctxt, 'noun');
+    assert.equal(plural.msgidPlural, '%d items');
+    assert.equal(plural.hasPlural, true);
+  });
+
+  it('tells the language from the file name', () => {
+    assert.equal(StringExtractor.getLanguage('src/app.php'), 'php');
+    assert.equal(StringExtractor.getLanguage('src/app.tsx'), 'js');
+    assert.equal(StringExtractor.getLanguage('README.md'), null);
+  });
+});
+
+describe('TranslationMemory', () => {
+  const tmx = `<?xml version="1.0"?>
+<tmx version="1.4"><header srclang="en-US" datatype="plaintext"/><body>
+  <tu><tuv xml:lang="en-US"><seg>Save &amp; close</seg></tuv><tuv xml:lang="de-DE"><seg>Speichern &amp; schlie&#223;en</seg></tuv></tu>
+  <tu srclang="fr"><tuv xml:lang="fr"><seg>Bonjour</seg></tuv><tuv xml:lang="en"><seg>Hello</seg></tuv></tu>
+  <tu><tuv xml:lang="en-us"><seg>Hi <bpt i="1">&lt;b&gt;</bpt>%s<ept i="1">&lt;/b&gt;</ept></seg></tuv><tuv xml:lang="nl"><seg>Hoi <bpt i="1">&lt;b&gt;</bpt>%s<ept i="1">&lt;/b&gt;</ept></seg></tuv></tu>
+  <tu><tuv xml:lang="en-US"><seg>&amp;lt;</seg></tuv><tuv xml:lang="de-DE"><seg>&amp;amp;</seg></tuv></tu>
+</body></tmx>`;
+
+  it('parses TMX units with the source language of the header or the unit', () => {
+    const { srcLang, units } = TranslationMemory.parseTMX(tmx);
+    assert.equal(srcLang, 'en-US');
+    assert.deepEqual(units.map(({ source, translations }) => [source, [...translations]]), [
+      ['Save & close', [['de-DE', 'Speichern & schließen']]],
+      ['Bonjour', [['en', 'Hello']]],
+      ['Hi <b>%s</b>', [['nl', 'Hoi <b>%s</b>']]],
+      ['&lt;', [['de-DE', '&amp;']]]
+    ]);
+  });
+
+  it('looks up translations with gettext locales, PO files first', () => {
+    const memory = new TranslationMemory();
+    memory.addCatalog({ locale: 'de-de', msgidTranslations: new Map([['Save & close', 'Sichern & schließen']]) });
+    memory.addTMX(tmx);
+    assert.deepEqual(memory.lookup('Save & close'), {
+      translations: [{ locale: 'de_DE', translation: 'Sichern & schließen' }],
+      missing: ['en', 'nl']
+    });
+  });
+
+  it('normalizes locales', () => {
+    assert.equal(TranslationMemory.normalizeLocale('pt-br'), 'pt_BR');
+    assert.equal(TranslationMemory.normalizeLocale('zh-Hans-CN'), 'zh_Hans_CN');
+  });
+});
+
+describe('HTMLReport', () => {
+  it('escapes HTML that the Reporter does not write itself', () => {
+    const html = HTMLReport.renderBody('Hello <script>alert("x")</script> <strong>bold</strong> & `<code>`');
+    assert.equal(html, '<p>Hello &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; <strong>bold</strong> &amp; <code>&lt;code&gt;</code></p>');
+  });
+
+  it('renders tables with escaped pipes', () => {
+    const html = HTMLReport.renderBody('| String | Match |\n|---|---|\n| a \\| b | **c** |');
+    assert.match(html, /<thead><tr><th>String<\/th><th>Match<\/th><\/tr><\/thead>/);
+    assert.match(html, /<tr><td>a \| b<\/td><td><strong>c<\/strong><\/td><\/tr>/);
+  });
+
+  it('keeps open <details> sections, without other attributes', () => {
+    assert.equal(HTMLReport.renderBody('<details open>\n<summary>Issues</summary>\n\nText\n</details>'), '<details open>\n<summary>Issues</summary>\n<p>Text</p>\n</details>');
+    assert.match(HTMLReport.renderBody('<details onclick="x">'), /^<p>&lt;details/);
+  });
+
+  it('only links http(s) and anchor URLs', () => {
+    assert.equal(HTMLReport.renderInline('[docs](https://example.com)'), '<a href="https://example.com">docs</a>');
+    assert.equal(HTMLReport.renderInline('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+  });
+});
+
+describe('Placeholders', () => {
+  it('lists printf and named placeholders in order, skipping escaped percent signs', () => {
+    const placeholders = Placeholders.extract('%1$s of {total} at 100%% and %d');
+    assert.deepEqual(placeholders.map(({ raw, position }) => [raw, position ?? null]), [['%1$s', 1], ['{total}', null], ['%d', null]]);
+  });
+
+  it('builds an order-independent signature', () => {
+    assert.equal(Placeholders.signature('%2$s %1$s'), Placeholders.signature('%1$s %2$s'));
+    assert.equal(Placeholders.hasPrintf('100%%'), false);
+  });
+});
+
+describe('PlaceholderChecker', () => {
+  const plural = (msgid, msgidPlural) => ({ hasPlural: true, msgid, msgidPlural });
+
+  it('allows the singular to leave out the count', () => {
+    assert.equal(PlaceholderChecker._checkPlural(plural('One item', '%d items')), null);
+    assert.equal(PlaceholderChecker._checkPlural(plural('One item', '%s items')), null);
+    assert.equal(PlaceholderChecker._checkPlural(plural('One comment on %2$s', '%1$s comments on %2$s')), null);
+    assert.equal(PlaceholderChecker._checkPlural(plural('One item', '%s items in %s')), '%s %s in the plural form but not the singular');
+  });
+
+  it('reports placeholders missing from the plural form', () => {
+    assert.equal(PlaceholderChecker._checkPlural(plural('%s item', 'items')), '%s in the singular but not the plural form');
+  });
+
+  it('reports reordered unnumbered placeholders', () => {
+    assert.deepEqual(PlaceholderChecker._checkChange('%s by %d', '%d by %s', 'string'), [
+      ['placeholder-order-changed', 'Order changed from %s %d to %d %s']
+    ]);
+  });
+});
+
+describe('StringLinter', () => {
+  const rules = (msgid, msgidPlural) => new StringLinter().lint([new POTEntry({ msgid, msgidPlural, hasPlural: true })])
+    .filter(({ rule }) => rule.endsWith('-plural'))
+    .map(({ rule, severity }) => [rule, severity]);
+
+  it('fails empty plural forms', () => {
+    assert.deepEqual(rules('File', ''), [['empty-plural', 'error']]);
+  });
+
+  it('only warns about a plural form that repeats the singular', () => {
+    assert.deepEqual(rules('Sheep', 'Sheep'), [['identical-plural', 'warning']]);
+    assert.deepEqual(rules('File', 'Files'), []);
+  });
+});
+
+describe('Reporter.collectSuggestions', () => {
+  const entry = msgid => new POTEntry({ msgid });
+  const baseEntries = new Map([['Save changes', entry('Save changes')], ['Delete this item', entry('Delete this item')]]);
+  const results = {
+    added: [entry('Add a new item'), entry('Save the changes')],
+    changed: [],
+    removed: [],
+    reworded: [{ base: entry('Delete the item'), target: entry('Delete this item now') }],
+    contextChanged: [],
+    pluralized: []
+  };
+
+  it('matches every string, not only the rows shown in the report', async () => {
+    const suggestions = await Reporter.collectSuggestions(results, baseEntries, null, { maxRows: 1, localMatchThreshold: 0.6 });
+    assert.equal(suggestions.get('Save the changes').match, 'Save changes');
+    assert.ok(suggestions.has('Delete this item now'));
+  });
+
+  it('gives the cost estimate a suggestion for every estimated string', async () => {
+    const suggestions = await Reporter.collectSuggestions(results, baseEntries, null, { maxRows: 1, localMatchThreshold: 0.6 });
+    const estimator = new CostEstimator({ locales: { de_DE: 0.1 }, fuzzyTiers: [{ min: 0.6, rate: 0.5 }] });
+    const { words, weightedWords } = estimator.estimate(results, suggestions);
+    assert.equal(words, 11);
+    assert.ok(weightedWords < words - 1.5, `only ${words - weightedWords} word(s) discounted`);
+  });
+});
+
+describe('PolicyEngine', () => {
+  it('checks no-ignored-matches against every added string, also those beyond max-rows', async () => {
+    const added = Array.from({ length: Reporter.DEFAULT_MAX_ROWS }, (value, index) => new POTEntry({ msgid: `Unique label number ${index}` }));
+    added.push(new POTEntry({ msgid: 'Save the changes' }));
+    const results = { added, changed: [], removed: [] };
+    const suggestions = await Reporter.collectSuggestions(results, new Map([['Save changes', new POTEntry({ msgid: 'Save changes' })]]), null, { localMatchThreshold: 0.6 });
+
+    const engine = new PolicyEngine([{ name: 'Reuse', rules: { 'no-ignored-matches': true } }]);
+    const [failure] = engine.evaluate({ results, suggestions });
+    assert.equal(failure?.message, '1 new string(s) could reuse an existing string: "Save the changes"');
+  });
+});
+
+/**
+ * Compare two lists of entry options, e.g. [{ msgid: 'Save' }], and return the results
+ */
+const compareEntries = (base, target, options = {}) => {
+  const toMap = entries => new Map(entries.map(data => new POTEntry(data)).map(entry => [entry.getKey(), entry]));
+  const comparator = new POTComparator(null, null);
+  comparator.loadEntries(toMap(base), toMap(target));
+  comparator.compare(options);
+  return comparator.getResults();
+};
+
+describe('POTComparator reworded strings', () => {
+  it('pairs a removed and an added string that are small edits of each other', () => {
+    const results = compareEntries([{ msgid: 'Save your chnages' }, { msgid: 'Delete' }], [{ msgid: 'Save your changes' }, { msgid: 'Export all settings' }]);
+    assert.deepEqual(results.reworded.map(({ base, target }) => [base.msgid, target.msgid]), [['Save your chnages', 'Save your changes']]);
+    assert.deepEqual(msgids(results.added), ['Export all settings']);
+    assert.deepEqual(msgids(results.removed), ['Delete']);
+    assert.equal(results.totalChanges, 3);
+  });
+
+  it('only pairs strings with the same context, each at most once and best first', () => {
+    const results = compareEntries(
+      [{ msgid: 'Save your chnages', msgctxt: 'button' }, { msgid: 'Save your changes now' }],
+      [{ msgid: 'Save your changes' }, { msgid: 'Save your changes!' }]
+    );
+    assert.deepEqual(results.reworded.map(({ base, target }) => [base.msgid, target.msgid]), [['Save your changes now', 'Save your changes']]);
+    assert.deepEqual(msgids(results.added), ['Save your changes!']);
+  });
+
+  it('leaves unrelated strings and disabled detection alone', () => {
+    assert.equal(compareEntries([{ msgid: 'Delete' }], [{ msgid: 'Export' }]).reworded.length, 0);
+    assert.equal(compareEntries([{ msgid: 'Save your chnages' }], [{ msgid: 'Save your changes' }], { detectReworded: false }).reworded.length, 0);
+  });
+});
+
+describe('POTComparator metadata changes', () => {
+  const base = [
+    { msgid: 'Hello %s', comments: { translator: 'translators: %s: name', flag: 'php-format', reference: 'src/a.php:1' } },
+    { msgid: 'Bye', comments: { reference: 'src/a.php:2' } }
+  ];
+
+  it('reports comment, flag and file changes, a string under several kinds at once', () => {
+    const results = compareEntries(base, [
+      { msgid: 'Hello %s', comments: { translator: 'translators: %s: user name', flag: '', reference: 'src/b.php:1' } },
+      { msgid: 'Bye', comments: { reference: 'src/a.php:20' } }
+    ]);
+    assert.deepEqual(msgids(results.commentChanged.map(({ target }) => target)), ['Hello %s']);
+    assert.deepEqual(msgids(results.flagsChanged.map(({ target }) => target)), ['Hello %s']);
+    assert.deepEqual(msgids(results.moved.map(({ target }) => target)), ['Hello %s']);
+  });
+
+  it('only counts them when count-changes lists them', () => {
+    const target = [{ msgid: 'Hello %s', comments: { translator: 'translators: %s: user name', flag: 'php-format', reference: 'src/a.php:1' } }, base[1]];
+    assert.equal(compareEntries(base, target).totalChanges, 0);
+    assert.equal(compareEntries(base, target, { countedKinds: ['added', 'comment'] }).totalChanges, 1);
+  });
+});
+
+describe('Config', () => {
+  it('reads the settings of the config file', () => {
+    const config = Config.parse({
+      ignore: { msgids: ['^Lorem'], references: ['vendor/'] },
+      report: { 'max-rows': 20, 'diff-style': 'diff' },
+      'fail-on': { added: true, removed: 10 },
+      'count-changes': 'added, removed',
+      lint: { 'all-caps': 'off' }
+    });
+    assert.equal(config.report.maxRows, 20);
+    assert.equal(config.report.diffStyle, 'diff');
+    assert.deepEqual(config.failOn, { added: 0, removed: 10 });
+    assert.deepEqual(config.countChanges, ['added', 'removed']);
+    assert.equal(config.lint['all-caps'], 'off');
+    assert.equal(config.matching.local, undefined);
+  });
+
+  it('rejects invalid values with the file and setting in the message', () => {
+    assert.throws(() => Config.parse({ report: { 'max-rows': 0 } }, 'i18n.yml'), /^Error: i18n\.yml: report\.max-rows must be an integer between 1 and Infinity$/);
+    assert.throws(() => Config.parse({ 'fail-on': { typo: true } }), /unknown change kind "typo" in fail-on/);
+    assert.throws(() => Config.parse({ ignore: { msgids: ['('] } }), /invalid regular expression in ignore\.msgids/);
+    assert.throws(() => Config.parse({ lint: { 'no-such-rule': 'error' } }), /Unknown lint rule "no-such-rule"/);
+  });
+
+  it('reads the config file as committed at a ref', () => {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-config-'));
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'ignore' });
+    const cwd = process.cwd();
+    try {
+      git('init', '-q');
+      fs.writeFileSync(path.join(repo, '.i18n-reviewer.yml'), 'policies:\n  - name: Release freeze\n    rules: { no-removed-strings: true }\nstring-freeze:\n  windows:\n    - { name: Stable, branches: [stable] }\n');
+      git('add', '.');
+      git('commit', '-q', '-m', 'Add policies');
+      // The pull request drops the policy and the freeze
+      fs.writeFileSync(path.join(repo, '.i18n-reviewer.yml'), 'policies: []\nstring-freeze: { windows: [] }\n');
+
+      process.chdir(repo);
+      assert.deepEqual(Config.load().policies, []);
+      assert.deepEqual(Config.loadAtRef('HEAD').policies.map(policy => policy.name), ['Release freeze']);
+      assert.deepEqual(Config.loadAtRef('HEAD').stringFreeze.windows.map(window => window.name), ['Stable']);
+      assert.deepEqual(Config.load().stringFreeze.windows, []);
+      assert.deepEqual(Config.loadAtRef('HEAD', 'missing.yml').policies, []);
+    } finally {
+      process.chdir(cwd);
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  });
+
+  it('ignores entries by msgid or when every reference matches', () => {
+    const ignore = Config.createIgnoreFilter(Config.parse({ ignore: { msgids: ['^Lorem'], references: ['vendor/'] } }).ignore);
+    assert.equal(ignore(new POTEntry({ msgid: 'Lorem ipsum' })), true);
+    assert.equal(ignore(new POTEntry({ msgid: 'Save', comments: { reference: 'vendor/lib.php:1' } })), true);
+    assert.equal(ignore(new POTEntry({ msgid: 'Save', comments: { reference: 'vendor/lib.php:1 src/app.php:2' } })), false);
+  });
+
+  it('lets action inputs override the config file', () => {
+    assert.equal(Config.inputOr('', 5, Number), 5);
+    assert.equal(Config.inputOr('7', 5, Number), 7);
+    assert.equal(Config.inputOr('abc', 5, Number), 5);
+  });
+
+  it('checks the fail-on rules', () => {
+    assert.deepEqual(Config.checkFailRules({ added: 0, removed: 2 }, { addedCount: 1, removedCount: 2 }), ['1 added']);
+  });
+});
+
+describe('Reporter.generateJSONReport', () => {
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', 'report.schema.json'), 'utf8'));
+
+  it('writes every field the schema requires', () => {
+    const results = compareEntries([{ msgid: 'Delete' }], [{ msgid: 'Save changes', comments: { reference: 'src/a.php:3 src/b.php:4' } }]);
+    const suggestions = new Map([['Save changes', { match: 'Save', source: 'local', confidence: 0.8 }]]);
+    const report = Reporter.generateJSONReport(results, { suggestions });
+
+    assert.deepEqual(schema.required.filter(key => !(key in report)), []);
+    assert.deepEqual(schema.properties.added.items.required.filter(key => !(key in report.added[0])), []);
+    assert.equal(report.schema_version, Reporter.JSON_SCHEMA_VERSION);
+    assert.equal(report.total_changes, 2);
+  });
+
+  it('describes entries and their suggestions', () => {
+    const results = compareEntries([], [{ msgid: 'Save changes', comments: { reference: 'src/a.php:3 src/b.php:4' } }, { msgid: 'Export' }]);
+    const report = Reporter.generateJSONReport(results, { suggestions: new Map([['Save changes', { match: 'Save', source: 'local', confidence: 0.8 }]]) });
+    const [saved, exported] = report.added;
+
+    assert.deepEqual(saved.references, ['src/a.php:3', 'src/b.php:4']);
+    assert.equal(saved.word_count, 2);
+    assert.deepEqual(saved.suggestion, { match: 'Save', source: 'local', confidence: 0.8, error: null, accepted_by: null, translations: null, untranslated_locales: null });
+    assert.equal(exported.suggestion, null);
+  });
+});
+
+describe('Annotations', () => {
+  const results = compareEntries([], [
+    { msgid: 'Save the changes', comments: { reference: 'src/a.php:3 src/b.php' } },
+    { msgid: 'Export' }
+  ]);
+  results.lintFindings = [{ rule: 'all-caps', severity: 'error', entry: results.added[0], message: 'Written in ALL CAPS' }];
+  const suggestions = new Map([['Save the changes', { match: 'Save changes', source: 'local', confidence: 0.87 }]]);
+
+  it('annotates every referenced line, under the source root', () => {
+    const annotations = Annotations.collect(results, suggestions, { sourceRoot: 'plugins/app' });
+    assert.deepEqual(annotations.map(({ path: file, line, level, ruleId }) => [file, line, level, ruleId]), [
+      ['plugins/app/src/a.php', 3, 'warning', 'reuse-candidate'],
+      ['plugins/app/src/b.php', 1, 'warning', 'reuse-candidate'],
+      ['plugins/app/src/a.php', 3, 'failure', 'lint/all-caps'],
+      ['plugins/app/src/b.php', 1, 'failure', 'lint/all-caps']
+    ]);
+    assert.match(annotations[0].message, /Consider reusing the existing string "Save changes" \(87% similar\)/);
+  });
+
+  it('converts annotations to SARIF with every rule listed', () => {
+    const sarif = Annotations.toSARIF(Annotations.collect(results, suggestions));
+    const [run] = sarif.runs;
+    assert.equal(sarif.version, '2.1.0');
+    assert.ok(run.tool.driver.rules.some(({ id, name }) => id === 'lint/empty-plural' && name === 'EmptyPlural'));
+    assert.deepEqual(run.results.map(({ ruleId, level }) => [ruleId, level]), [
+      ['reuse-candidate', 'warning'], ['reuse-candidate', 'warning'], ['lint/all-caps', 'error'], ['lint/all-caps', 'error']
+    ]);
+    assert.deepEqual(run.results[0].locations[0].physicalLocation, { artifactLocation: { uri: 'src/a.php' }, region: { startLine: 3 } });
+  });
+});
+
+describe('ReviewSuggestions', () => {
+  const added = (msgid, options = {}) => new POTEntry({ msgid, comments: { reference: `src/app.php:${options.msgidPlural ? 3 : 2}` }, ...options });
+  const diffLines = new Map([['src/app.php', ReviewSuggestions.parsePatch([
+    '@@ -1,1 +1,4 @@',
+    ' <?php',
+    "+echo __( 'Save chnages', 'app' );",
+    '-removed line',
+    "+echo _n( '%d file', '%d files', $n, 'app' );"
+  ].join('\n'))]]);
+  const build = (entries, suggestions, candidates) =>
+    ReviewSuggestions.build({ added: entries }, new Map(suggestions), diffLines, { candidates: candidates.map(options => new POTEntry(options)) });
+
+  it('reads the lines of the new file from a patch', () => {
+    assert.deepEqual([...diffLines.get('src/app.php').keys()], [1, 2, 3]);
+  });
+
+  it('replaces the literal with the existing string of the same context', () => {
+    const comments = build([added('Save chnages')], [['Save chnages', { match: 'Save changes', source: 'local', confidence: 0.9 }]], [{ msgid: 'Save changes' }]);
+    assert.equal(comments.length, 1);
+    assert.deepEqual([comments[0].line, comments[0].body.split('\n').slice(-3)], [2, ['```suggestion', "echo __( 'Save changes', 'app' );", '```']]);
+  });
+
+  it('skips an existing string with another context or plural form', () => {
+    const context = [['Save chnages', { match: 'Save changes', source: 'llm' }]];
+    assert.deepEqual(build([added('Save chnages', { msgctxt: 'button' })], context, [{ msgid: 'Save changes' }]), []);
+    assert.equal(build([added('Save chnages', { msgctxt: 'button' })], context, [{ msgid: 'Save changes', msgctxt: 'button' }]).length, 1);
+
+    const plural = [['%d file', { match: '%d item', source: 'llm' }]];
+    assert.deepEqual(build([added('%d file', { msgidPlural: '%d files' })], plural, [{ msgid: '%d item' }]), []);
+    assert.deepEqual(build([added('%d file', { msgidPlural: '%d files' })], plural, [{ msgid: '%d item', msgidPlural: '%d items' }]), []);
+  });
+
+  it('keeps the quote style and escapes the replacement', () => {
+    assert.equal(ReviewSuggestions.replaceLiteral(`__( 'Don\\'t', 'app' )`, 'Don\'t', 'It\'s "ok"', 'php'), `__( 'It\\'s "ok"', 'app' )`);
+    assert.equal(ReviewSuggestions.replaceLiteral('__( "Pay \\$5" )', 'Pay $5', 'Pay $10', 'php'), '__( "Pay \\$10" )');
+    assert.equal(ReviewSuggestions.replaceLiteral('__( `Total ${n}` )', 'Total', 'Sum', 'js'), null);
+    assert.equal(ReviewSuggestions.replaceLiteral('__( `Hi` )', 'Hi', 'Say "${x}"', 'js'), '__( `Say "\\${x}"` )');
+  });
+});
+
+describe('LLMMatcher.callLLM', () => {
+  const provider = answer => ({ name: 'stub', model: 'test', complete: async () => ({ content: JSON.stringify({ match: answer }) }) });
+
+  it('returns the sent string a match refers to, ignoring case', async () => {
+    assert.deepEqual(await LLMMatcher.callLLM(provider('save changes'), 'Save the changes', ['Save changes', 'Cancel']), { match: 'Save changes' });
+  });
+
+  it('drops matches that are not in the candidate list', async () => {
+    assert.deepEqual(await LLMMatcher.callLLM(provider('Save all changes'), 'Save the changes', ['Save changes', 'Cancel']), { match: null });
+  });
+});
+
+describe('POTComparator context and plural changes', () => {
+  it('pairs the same msgid in another context instead of a removed and an added string', () => {
+    const results = compareEntries(
+      [{ msgid: 'Post' }, { msgid: 'Draft', msgctxt: 'noun' }, { msgid: 'Open', msgctxt: 'verb' }],
+      [{ msgid: 'Post', msgctxt: 'noun' }, { msgid: 'Draft' }, { msgid: 'Open', msgctxt: 'adjective' }]
+    );
+    assert.deepEqual(results.contextChanged.map(({ base, target, change }) => [base.msgid, base.msgctxt, target.msgctxt, change]), [
+      ['Post', '', 'noun', 'added'],
+      ['Draft', 'noun', '', 'removed'],
+      ['Open', 'verb', 'adjective', 'renamed']
+    ]);
+    assert.equal(results.added.length + results.removed.length, 0);
+  });
+
+  it('prefers the old context that shares a source file', () => {
+    const results = compareEntries(
+      [{ msgid: 'Open', msgctxt: 'verb', comments: { reference: 'src/a.php:1' } }, { msgid: 'Open', msgctxt: 'state', comments: { reference: 'src/b.php:1' } }],
+      [{ msgid: 'Open', msgctxt: 'adjective', comments: { reference: 'src/b.php:5' } }]
+    );
+    assert.deepEqual(results.contextChanged.map(({ base }) => base.msgctxt), ['state']);
+    assert.deepEqual(results.removed.map(({ msgctxt }) => msgctxt), ['verb']);
+  });
+
+  it('reports a singular that gained a plural form as plural, not changed', () => {
+    const results = compareEntries(
+      [{ msgid: '%d file' }, { msgid: '%d item', msgidPlural: '%d items' }],
+      [{ msgid: '%d file', msgidPlural: '%d files' }, { msgid: '%d item', msgidPlural: '%d things' }]
+    );
+    assert.deepEqual(results.pluralized.map(({ target }) => target.msgidPlural), ['%d files']);
+    assert.deepEqual(results.changed.map(({ target }) => target.msgidPlural), ['%d things']);
+  });
+});
+
+describe('LLMCache.extractCacheFromComment', () => {
+  it('reads back LLM matches of the added and changed strings tables', async () => {
+    const results = compareEntries(
+      [{ msgid: '%d file', msgidPlural: '%d files' }, { msgid: '%d page', msgidPlural: '%d pages' }, { msgid: 'Delete' }],
+      [
+        { msgid: '%d file', msgidPlural: '%d files | folders' },
+        { msgid: '%d page', msgidPlural: '%d sheets' },
+        { msgid: 'Remove *all* items' },
+        { msgid: 'Delete' },
+        { msgid: 'Export' }
+      ]
+    );
+    const suggestions = new Map([
+      ['%d file', { match: '%d item', source: 'llm' }],
+      ['%d page', { match: '%d sheet', source: 'llm' }],
+      ['Remove *all* items', { match: 'Delete', source: 'llm' }],
+      ['Export', { match: null, source: 'llm' }]
+    ]);
+    const markdown = await Reporter.generateMarkdownReport(results, new Map(), null, { suggestions, diffStyle: 'html' });
+    assert.match(markdown, /\| String \| Changes \| Words \| Suggested Match \|/);
+    assert.match(markdown, /folders/);
+
+    const cache = LLMCache.extractCacheFromComment(markdown);
+    assert.deepEqual(Object.values(cache).map(({ newString, match }) => [newString, match]), [
+      ['Remove *all* items', 'Delete'],
+      ['%d file', '%d item'],
+      ['%d page', '%d sheet']
+    ]);
+  });
+
+  it('caches accepted matches without their label', async () => {
+    const results = compareEntries([], [{ msgid: 'Save changes' }]);
+    const suggestions = new Map([['Save changes', { match: 'Save', source: 'llm', acceptedBy: 'octocat' }]]);
+    const markdown = await Reporter.generateMarkdownReport(results, new Map(), null, { suggestions });
+    assert.match(markdown, /Save ✅ \*\(accepted by @octocat\)\*/);
+    assert.equal(LLMCache.extractCacheFromComment(markdown)['Save changes'].match, 'Save');
+  });
+
+  it('reads back matches with translations, Markdown, HTML and pipes', async () => {
+    const results = compareEntries([], [{ msgid: 'Remove items' }, { msgid: 'Save changes' }, { msgid: 'Close window' }, { msgid: 'Open file' }]);
+    const tricky = '*Delete* | <b>all</b> & co_\\.';
+    const suggestions = new Map([
+      ['Remove items', { match: tricky, source: 'llm' }],
+      ['Save changes', { match: 'Save', source: 'llm', acceptedBy: 'octocat' }],
+      ['Close window', { match: 'Close', source: 'local', confidence: 0.8 }],
+      ['Open file', { match: 'Open', source: 'llm' }]
+    ]);
+    const translationMemory = new TranslationMemory();
+    translationMemory.addCatalog({ locale: 'de_DE', msgidTranslations: new Map([[tricky, 'Löschen | <b>alle</b>'], ['Save', 'Speichern'], ['Close', 'Schließen']]) });
+    translationMemory.addCatalog({ locale: 'fr_FR', msgidTranslations: new Map() });
+    const markdown = await Reporter.generateMarkdownReport(results, new Map(), null, { suggestions, translationMemory });
+    assert.match(markdown, /<details><summary>\\\*Delete\\\* \\\| &lt;b&gt;all&lt;\/b&gt; &amp; co\\_\\\\\\\. 🌐 1\/2<\/summary>/);
+
+    const cache = LLMCache.extractCacheFromComment(markdown);
+    assert.deepEqual(Object.values(cache).map(({ newString, match }) => [newString, match]).sort(), [
+      ['Open file', 'Open'],
+      ['Remove items', tricky],
+      ['Save changes', 'Save']
+    ]);
+  });
+
+  it('splits rows at unescaped pipes only', () => {
+    assert.deepEqual(LLMCache._splitRow('| a \\| b | c\\\\ | d |'), ['a \\| b', 'c\\\\', 'd']);
+    assert.equal(LLMCache._unescapeMarkdown('a \\| b \\*c\\* \\\\\\.'), 'a | b *c* \\.');
+  });
+});
+
+describe('CostEstimator', () => {
+  const results = compareEntries([], [{ msgid: 'Save all of your changes' }, { msgid: 'Remove the item' }, { msgid: 'Export the site' }]);
+  const suggestions = new Map([
+    ['Save all of your changes', { match: 'Save your changes', source: 'local', confidence: 0.96 }],
+    ['Remove the item', { match: 'Delete the item', source: 'local', confidence: 0.8 }],
+    ['Export the site', { match: 'Export', source: 'llm' }]
+  ]);
+  const estimator = new CostEstimator({
+    locales: { de_DE: 0.1, fr_FR: 0.2 },
+    wordsPerHour: 10,
+    fuzzyTiers: [{ min: 0.75, rate: 0.6 }, { min: 0.95, rate: 0.25 }]
+  });
+
+  it('charges strings by the fuzzy tier of their suggested match', () => {
+    const estimate = estimator.estimate(results, suggestions);
+    // 5 words at 25%, 3 words at 60%, 3 LLM-matched words in full
+    assert.equal(estimate.words, 11);
+    assert.equal(estimate.weightedWords, 6.05);
+    assert.equal(estimate.reusableWords, 6.05);
+    assert.deepEqual(estimate.locales, [
+      { locale: 'de_DE', rate: 0.1, cost: 0.61, savings: 0.61 },
+      { locale: 'fr_FR', rate: 0.2, cost: 1.21, savings: 1.21 }
+    ]);
+    assert.equal(estimate.hours, 1.21);
+  });
+
+  it('charges every word without tiers, and skips the estimate without locales', () => {
+    assert.equal(new CostEstimator({ locales: { de_DE: 0.1 } }).estimate(results, suggestions).weightedWords, 11);
+    assert.equal(new CostEstimator().estimate(results, suggestions), null);
+  });
+
+  it('parses locale rates', () => {
+    assert.deepEqual(CostEstimator.parseLocales(['de_DE=0.12', 'pt_BR = 0.1']), { de_DE: 0.12, pt_BR: 0.1 });
+    assert.throws(() => CostEstimator.parseLocales(['de_DE']), /Invalid locale rate "de_DE"/);
+  });
+});
+
+describe('StringFreeze', () => {
+  const freeze = new StringFreeze({
+    windows: [
+      { name: '2.0 release', branches: ['release/*'], milestones: ['2.0*'], from: '2026-11-01', until: '2026-11-15' },
+      { name: 'Stable branch', branches: ['stable'] }
+    ]
+  });
+  const results = compareEntries(
+    [{ msgid: 'Save' }, { msgid: 'Delete' }, { msgid: 'Help', comments: { reference: 'a.php:1' } }],
+    [{ msgid: 'Save' }, { msgid: 'Publish' }, { msgid: 'Help', comments: { reference: 'b.php:2' } }]
+  );
+
+  it('is active when every condition of a window matches, including the first and last day', () => {
+    const context = { baseBranch: 'release/2.0', milestone: '2.0.1' };
+    assert.equal(freeze.getActiveWindow({ ...context, date: new Date('2026-11-01T00:00:00Z') }).name, '2.0 release');
+    assert.equal(freeze.getActiveWindow({ ...context, date: new Date('2026-11-15T23:59:59Z') }).name, '2.0 release');
+    assert.equal(freeze.getActiveWindow({ ...context, date: new Date('2026-10-31T23:59:59Z') }), null);
+    assert.equal(freeze.getActiveWindow({ ...context, date: new Date('2026-11-16T00:00:00Z') }), null);
+    assert.equal(freeze.getActiveWindow({ baseBranch: 'release/2.0', milestone: '3.0', date: new Date('2026-11-05') }), null);
+    assert.equal(freeze.getActiveWindow({ baseBranch: 'release/2.0', date: new Date('2026-11-05') }), null);
+    assert.equal(freeze.getActiveWindow({ baseBranch: 'stable' }).name, 'Stable branch');
+    assert.equal(freeze.getActiveWindow({}), null);
+  });
+
+  it('lists the frozen changes and allows reference changes', () => {
+    const result = freeze.check(results, { baseBranch: 'stable' });
+    assert.deepEqual(result.violations.map(({ kind, entry }) => [kind, entry.msgid]).sort(), [['added', 'Publish'], ['removed', 'Delete']]);
+    assert.equal(result.exempt, false);
+    assert.equal(freeze.check(results, { baseBranch: 'main' }), null);
+  });
+
+  it('is exempt with the exception label', () => {
+    const result = freeze.check(results, { baseBranch: 'stable', labels: [StringFreeze.DEFAULT_EXCEPTION_LABEL] });
+    assert.equal(result.exempt, true);
+    assert.match(StringFreeze.formatFailure(result), /^String freeze "Stable branch" is active, but 2 string\(s\) changed:/);
+  });
+});
+
+describe('ChatOps', () => {
+  it('parses one command per line, with quoted msgids', () => {
+    const { commands, errors } = ChatOps.parse('Thanks!\n/i18n ignore "Say \\"hi\\""\r\n  /i18n approve\n/i18n accept Save\n/i18n rematch now\n/i18n translate "Save"');
+    assert.deepEqual(commands, [{ name: 'ignore', msgid: 'Say "hi"' }, { name: 'approve', msgid: null }]);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /`\/i18n accept` needs the string in double quotes/);
+    assert.match(errors[1], /`\/i18n rematch` takes no arguments/);
+    assert.match(errors[2], /^Unknown command "\/i18n translate "Save""/);
+    assert.deepEqual(ChatOps.parse('Not a command /i18n approve'), { commands: [], errors: [] });
+  });
+
+  it('only lets people with write access run commands', () => {
+    assert.equal(ChatOps.isPermitted('OWNER'), true);
+    assert.equal(ChatOps.isPermitted('COLLABORATOR'), true);
+    assert.equal(ChatOps.isPermitted('CONTRIBUTOR'), false);
+    assert.equal(ChatOps.isPermitted('NONE'), false);
+  });
+
+  it('accepts suggested matches and keeps authors from approving their own changes', () => {
+    const decisions = new DecisionStore();
+    const { commands } = ChatOps.parse('/i18n accept "Save changes"\n/i18n accept "Export"\n/i18n approve');
+    const suggestions = new Map([['Save changes', { match: 'Save', source: 'llm' }], ['Export', { match: null, source: 'llm' }]]);
+    assert.deepEqual(ChatOps.applyReviews(commands, decisions, { user: 'octocat', author: 'octocat', suggestions, fingerprint: 'abc' }), [
+      '"Export" has no suggested match to accept',
+      'Pull request authors can\'t approve their own string changes'
+    ]);
+    assert.equal(decisions.accepted['Save changes'].match, 'Save');
+    assert.deepEqual(ChatOps.applyReviews(commands.slice(2), decisions, { user: 'translator', author: 'octocat', suggestions, fingerprint: 'abc' }), []);
+    assert.deepEqual(decisions.getApprovers('abc'), ['translator']);
+  });
+});
+
+describe('DecisionStore', () => {
+  const createStore = () => {
+    const store = new DecisionStore();
+    store.ignore('Lorem ipsum', 'octocat');
+    store.accept('Save changes', { match: 'Save', source: 'llm' }, 'octocat');
+    store.approve('translator', 'abc');
+    return store;
+  };
+  const createOctokit = (comments, login) => ({
+    paginate: async () => comments,
+    rest: {
+      issues: { listComments: () => {} },
+      users: {
+        getAuthenticated: async () => {
+          if (!login) throw new Error('Resource not accessible by integration');
+          return { data: { login } };
+        }
+      }
+    }
+  });
+
+  it('reads back the decisions it renders', () => {
+    const store = new DecisionStore(DecisionStore.parse(createStore().render()));
+    assert.deepEqual(Object.keys(store.ignored), ['Lorem ipsum']);
+    assert.deepEqual(store.summarize('abc').accepted, [{ msgid: 'Save changes', match: 'Save', by: 'octocat' }]);
+    assert.deepEqual(store.getApprovers('abc'), ['translator']);
+    // Approvals expire when the strings change
+    assert.deepEqual(store.getApprovers('def'), []);
+    assert.deepEqual(DecisionStore.parse('no data'), {});
+  });
+
+  it('replaces the suggestions with accepted ones and ignores strings', () => {
+    const store = createStore();
+    const suggestions = new Map([['Save changes', { match: 'Save all', source: 'local', confidence: 0.7 }]]);
+    store.applyAccepted(suggestions);
+    assert.deepEqual(suggestions.get('Save changes'), { match: 'Save', source: 'llm', confidence: null, acceptedBy: 'octocat' });
+    const ignore = store.createIgnoreFilter(null);
+    assert.equal(ignore(new POTEntry({ msgid: 'Lorem ipsum' })), true);
+    assert.equal(ignore(new POTEntry({ msgid: 'Save changes' })), false);
+  });
+
+  it('only trusts decisions comments of the token user', async () => {
+    const body = createStore().render();
+    const comments = [
+      { id: 1, user: { login: 'mallory', type: 'User' }, body: new DecisionStore({ approvals: [{ by: 'mallory', at: '2026-10-19T00:00:00Z', fingerprint: 'abc' }] }).render() },
+      { id: 2, user: { login: 'i18n-bot', type: 'User' }, body }
+    ];
+    const store = await DecisionStore.load(createOctokit(comments, 'i18n-bot'), { owner: 'o', repo: 'r', pullRequestNumber: 1 });
+    assert.equal(store.commentId, 2);
+    assert.deepEqual(store.getApprovers('abc'), ['translator']);
+
+    // GITHUB_TOKEN can't look itself up, its comments are posted by a bot
+    assert.equal((await DecisionStore.load(createOctokit(comments, null), { owner: 'o', repo: 'r', pullRequestNumber: 1 })).commentId, null);
+    const botComments = [{ id: 3, user: { login: 'github-actions[bot]', type: 'Bot' }, body }];
+    assert.equal((await DecisionStore.load(createOctokit(botComments, null), { owner: 'o', repo: 'r', pullRequestNumber: 1 })).commentId, 3);
+  });
+});
+
+describe('ReportComments', () => {
+  const section = (summary, rows, open = false) => [open ? '<details open>' : '<details>', `<summary>${summary}</summary>`, '', ...rows, '</details>'].join('\n');
+  const table = count => ['| String | Location | Words | Suggested Match |', '|--------|----------|-------|-----------------|',
+    ...Array.from({ length: count }, (_, index) => `| String ${index} | a.php:${index} | 2 | Match ${index} |`)];
+
+  it('splits the report between sections, including open ones', () => {
+    const markdown = [
+      '### 🌍 i18n String Review Report\n\n| Summary |',
+      section('⚠️ Placeholder Issues (1)', ['- `%s` was removed'], true),
+      section('➕ Added Strings (30)', table(30)),
+      section('➖ Removed Strings (30)', table(30))
+    ].join('\n');
+    // The summary is a block of its own, condensed reports post only that
+    assert.deepEqual(ReportComments._splitBlocks(markdown).map(block => block.split('\n')[0]), ['### 🌍 i18n String Review Report', '<details open>', '<details>', '<details>']);
+    const bodies = ReportComments.split(markdown, { maxLength: 2000 });
+    assert.ok(bodies.length > 1);
+    for (const body of bodies) {
+      // Every section starts and ends in the same comment
+      assert.equal((body.match(/^<details\b[^>]*>$/gm) || []).length, (body.match(/^<\/details>$/gm) || []).length);
+    }
+    assert.ok(bodies.some(body => body.includes('<details open>\n<summary>⚠️ Placeholder Issues (1)</summary>')));
+    assert.ok(bodies[1].startsWith(`${ReportComments.partMarker(2)}\n#### 🌍 i18n String Review, continued (part 2 of ${bodies.length})`));
+  });
+
+  it('finds every part, so the cache reads matches beyond the first comment', () => {
+    const markdown = ['### 🌍 i18n String Review Report\n\n| Summary |', section('➕ Added Strings (15)', table(15)), section('🔄 Changed Strings (15)', table(30).slice(0, 2).concat(table(30).slice(17)))].join('\n');
+    const bodies = ReportComments.split(markdown, { maxLength: 1200 });
+    assert.ok(bodies.length > 1);
+    const comments = [...bodies].reverse().map((body, index) => ({ id: index, body }));
+    comments.push({ id: 99, body: 'Looks good' });
+
+    const parts = ReportComments.findParts(comments);
+    assert.deepEqual([...parts.keys()].sort(), bodies.map((_, index) => index + 1));
+    const cache = LLMCache.extractCacheFromComment(ReportComments.joinParts(parts));
+    assert.equal(Object.keys(cache).length, 30);
+    assert.equal(cache['String 29'].match, 'Match 29');
+  });
+});
+
+describe('StringExporter', () => {
+  const results = compareEntries(
+    [{ msgid: '%d file', msgidPlural: '%d files' }, { msgid: 'Save your chnages' }],
+    [
+      { msgid: '%d file', msgidPlural: '%d files and folders' },
+      { msgid: 'Save your changes' },
+      { msgid: 'Say "hi", <b>friend</b>', msgctxt: 'greeting', comments: { extracted: 'shown on login', reference: 'src/a.php:12 src/b.php' } },
+      { msgid: '=SUM(A1)' }
+    ]
+  );
+  const suggestions = new Map([['Save your changes', { match: 'Save changes', source: 'local', confidence: 0.9 }]]);
+  const groups = StringExporter.collect([{ domain: 'myapp', file: 'languages/myapp.pot', results }], suggestions);
+  const exporter = new StringExporter({ targetLanguage: 'de-DE' });
+
+  it('exports the new wording of added and changed strings with their previous wording', () => {
+    assert.deepEqual(groups[0].units.map(({ kind, entry }) => [kind, entry.msgid]), [
+      ['added', 'Say "hi", <b>friend</b>'],
+      ['added', '=SUM(A1)'],
+      ['changed', '%d file'],
+      ['reworded', 'Save your changes']
+    ]);
+    assert.deepEqual(StringExporter.collect([{ domain: 'empty', results: compareEntries([{ msgid: 'Delete' }], []) }]), []);
+  });
+
+  it('writes CSV with quoted fields and without formulas', () => {
+    const rows = exporter.toCSV(groups).replace(/^\uFEFF/, '').split('\r\n');
+    assert.equal(rows[0], StringExporter.CSV_COLUMNS.join(','));
+    assert.equal(rows[1], 'myapp,added,greeting,"Say ""hi"", <b>friend</b>",,,,shown on login,,src/a.php:12 src/b.php,3,,,');
+    assert.equal(rows[2], 'myapp,added,,\'=SUM(A1),,,,,,,1,,,');
+    assert.equal(rows[3], 'myapp,changed,,%d file,%d files and folders,,%d files,,,,6,,,');
+    assert.equal(rows[4], 'myapp,reworded,,Save your changes,,Save your chnages,,,,,3,Save changes,local,90');
+    assert.equal(rows[5], '');
+  });
+
+  it('writes XLIFF 1.2 with plural groups, contexts and locations', () => {
+    const xliff = exporter.toXLIFF12(groups);
+    assert.match(xliff, /<file original="languages\/myapp\.pot" source-language="en" target-language="de-DE" datatype="po">/);
+    assert.match(xliff, /<source>Say &quot;hi&quot;, &lt;b&gt;friend&lt;\/b&gt;<\/source>/);
+    assert.match(xliff, /<context context-type="x-gettext-msgctxt">greeting<\/context>/);
+    assert.match(xliff, /<context context-type="sourcefile">src\/a\.php<\/context>\n\s+<context context-type="linenumber">12<\/context>/);
+    assert.match(xliff, /<group id="myapp-3" restype="x-gettext-plurals">[^]*<trans-unit id="myapp-3\[0\]">\n\s+<source>%d file<\/source>[^]*<trans-unit id="myapp-3\[1\]">\n\s+<source>%d files and folders<\/source>/);
+    assert.match(xliff, /<note from="i18n-string-reviewer">Suggested existing string \(local, 90% similar\): Save changes<\/note>/);
+  });
+
+  it('writes XLIFF 2.0 with notes and a unit per plural form', () => {
+    const xliff = exporter.toXLIFF20(groups);
+    assert.match(xliff, /<xliff xmlns="urn:oasis:names:tc:xliff:document:2\.0" version="2\.0" srcLang="en" trgLang="de-DE">/);
+    assert.match(xliff, /<note category="context">greeting<\/note>/);
+    assert.match(xliff, /<note category="previous-source">%d files<\/note>/);
+    assert.match(xliff, /<group id="u3" type="po:plurals">[^]*<unit id="u3-0">[^]*<unit id="u3-1">/);
+    assert.equal((xliff.match(/<unit /g) || []).length, 5);
+  });
+
+  it('writes a file per format', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-export-'));
+    try {
+      const files = exporter.write(dir, ['csv', 'xliff-2.0'], [{ domain: 'myapp', file: 'languages/myapp.pot', results }], suggestions);
+      assert.deepEqual(Object.keys(files), ['csv', 'xliff-2.0']);
+      assert.equal(fs.readFileSync(files.csv, 'utf8'), exporter.toCSV(groups));
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['strings.csv', 'strings.xliff20.xlf']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('TranslationCoverage', () => {
+  const po = (headers, entries) => [
+    'msgid ""',
+    'msgstr ""',
+    ...Object.entries(headers).map(([name, value]) => `"${name}: ${value}\\n"`),
+    '',
+    ...entries
+  ].join('\n') + '\n';
+
+  const withCatalogs = test => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-coverage-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'translations.po'), po({ Language: 'de_DE', 'X-Domain': 'myapp' }, [
+        'msgid "Save"', 'msgstr "Speichern"', '',
+        'msgid "Delete"', 'msgstr "Löschen"', '',
+        'msgctxt "menu"', 'msgid "Open"', 'msgstr "Öffnen"', '',
+        'msgid "%d file"', 'msgid_plural "%d files"', 'msgstr[0] "%d Datei"', 'msgstr[1] "%d Dateien"', '',
+        '#, fuzzy', 'msgid "Cancel"', 'msgstr "Abbrechen"', '',
+        'msgid "Export"', 'msgstr ""'
+      ]));
+      fs.writeFileSync(path.join(dir, 'myapp-fr_FR.po'), po({}, ['msgid "Delete"', 'msgstr "Supprimer"']));
+      test(['translations.po', 'myapp-fr_FR.po'].map(file => TranslationCoverage.loadCatalog(path.join(dir, file))));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  it('reads the translated entries of a PO file, skipping fuzzy and empty ones', () => {
+    withCatalogs(([german, french]) => {
+      assert.equal(german.locale, 'de_DE');
+      assert.equal(german.domain, 'myapp');
+      assert.deepEqual([...german.translated].sort(), ['%d file', 'Delete', 'Save', 'menu||Open']);
+      assert.equal(german.msgidTranslations.get('%d file'), '%d Datei');
+      assert.equal(german.msgidTranslations.has('Cancel'), false);
+      assert.equal(french.locale, 'fr_FR');
+      assert.equal(french.domain, 'myapp');
+    });
+  });
+
+  it('finds the locale and text domain in the file path', () => {
+    assert.equal(TranslationCoverage._getLocale('languages/de_DE.po', {}), 'de_DE');
+    assert.equal(TranslationCoverage._getLocale('languages/myapp-pt_BR.po', {}), 'pt_BR');
+    assert.equal(TranslationCoverage._getLocale('locale/fr/LC_MESSAGES/myapp.po', {}), 'fr');
+    assert.equal(TranslationCoverage._getLocale('languages/sr_RS@latin.po', {}), 'sr_RS@latin');
+    assert.equal(TranslationCoverage._getLocale('languages/myapp-pt_BR.po', { Language: 'pt-BR' }), 'pt-BR');
+    assert.equal(TranslationCoverage._getDomain('locale/fr/LC_MESSAGES/myapp.po', {}, 'fr'), 'myapp');
+    assert.equal(TranslationCoverage._getDomain('languages/de_DE.po', {}, 'de_DE'), null);
+  });
+
+  it('counts new, lost and fuzzy translations per locale', () => {
+    const toMap = entries => new Map(entries.map(data => new POTEntry(data)).map(entry => [entry.getKey(), entry]));
+    const comparator = new POTComparator(null, null);
+    comparator.loadEntries(
+      toMap([{ msgid: 'Save' }, { msgid: 'Delete' }, { msgid: 'Open', msgctxt: 'menu' }, { msgid: '%d file', msgidPlural: '%d files' }]),
+      toMap([{ msgid: 'Save' }, { msgid: 'Open', msgctxt: 'menu' }, { msgid: '%d file', msgidPlural: '%d folders' }, { msgid: 'Export' }])
+    );
+    comparator.compare();
+    const domains = [{ domain: 'myapp', results: comparator.getResults(), baseEntries: comparator.baseEntries, targetEntries: comparator.targetEntries }];
+    const suggestions = new Map([['Export', { match: 'Delete', source: 'llm' }]]);
+
+    withCatalogs(catalogs => {
+      const { locales, suggestions: translatedMatches } = new TranslationCoverage(catalogs).analyze(domains, suggestions);
+      assert.deepEqual(locales.map(({ locale, coverageBefore, coverageAfter, untranslated, lost, fuzzy, suggestionsTranslated }) =>
+        [locale, coverageBefore, coverageAfter, untranslated, lost, fuzzy, suggestionsTranslated]), [
+        ['de_DE', 1, 0.5, 1, 1, 1, 1],
+        ['fr_FR', 0.25, 0, 1, 1, 0, 1]
+      ]);
+      assert.deepEqual(translatedMatches, [{ msgid: 'Export', match: 'Delete', translatedIn: ['de_DE', 'fr_FR'] }]);
+    });
+  });
+});